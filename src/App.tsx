@@ -7,7 +7,13 @@ import Landing from "./pages/Landing";
 import Connect from "./pages/Connect";
 import Dashboard from "./pages/Dashboard";
 import History from "./pages/History";
+import TransactionDetail from "./pages/TransactionDetail";
+import RequestPayment from "./pages/RequestPayment";
+import Pay from "./pages/Pay";
+import WatchAccount from "./pages/WatchAccount";
 import NotFound from "./pages/NotFound";
+import RequireSession from "./components/RequireSession";
+import WalletSessionWatcher from "./components/WalletSessionWatcher";
 
 const queryClient = new QueryClient();
 
@@ -16,12 +22,17 @@ const App = () => (
     <TooltipProvider>
       <Toaster />
       <Sonner />
+      <WalletSessionWatcher />
       <BrowserRouter>
         <Routes>
           <Route path="/" element={<Landing />} />
           <Route path="/connect" element={<Connect />} />
-          <Route path="/dashboard" element={<Dashboard />} />
-          <Route path="/history" element={<History />} />
+          <Route path="/dashboard" element={<RequireSession><Dashboard /></RequireSession>} />
+          <Route path="/history" element={<RequireSession><History /></RequireSession>} />
+          <Route path="/tx/:hash" element={<TransactionDetail />} />
+          <Route path="/request" element={<RequireSession><RequestPayment /></RequireSession>} />
+          <Route path="/pay" element={<Pay />} />
+          <Route path="/account/:publicKey" element={<WatchAccount />} />
           {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
           <Route path="*" element={<NotFound />} />
         </Routes>
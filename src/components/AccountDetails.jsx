@@ -0,0 +1,128 @@
+/**
+ * AccountDetails Component
+ *
+ * Read-only account settings: home domain, sequence number, signing thresholds,
+ * issuer flags and signers. Doesn't need a wallet, so it works for watched accounts too.
+ */
+
+import { useState, useEffect } from "react";
+import { getAccountDetails, shortenAddress } from "@/stellar/stellarClient";
+import { useNetwork } from "@/hooks/use-network";
+import { Badge } from "@/components/ui/badge";
+import { KeyRound, Loader2 } from "lucide-react";
+
+// Labels for the account flags an issuer can set
+const FLAG_LABELS = {
+  authRequired: "Auth required",
+  authRevocable: "Auth revocable",
+  authImmutable: "Auth immutable",
+  authClawbackEnabled: "Clawback enabled",
+};
+
+export default function AccountDetails({ publicKey, refreshTrigger }) {
+  const [details, setDetails] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const network = useNetwork();
+
+  useEffect(() => {
+    if (!publicKey) return;
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    getAccountDetails(publicKey)
+      .then((result) => !cancelled && setDetails(result))
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error fetching account details:", err);
+        setDetails(null);
+        setError(err.message || "Failed to load account details");
+      })
+      .finally(() => !cancelled && setIsLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [publicKey, refreshTrigger, network]);
+
+  const activeFlags = details ? Object.keys(FLAG_LABELS).filter((flag) => details.flags[flag]) : [];
+
+  return (
+    <div className="glass-card p-6">
+      {/* Header */}
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 rounded-lg bg-primary/10">
+          <KeyRound className="h-5 w-5 text-primary" />
+        </div>
+        <h3 className="text-lg font-semibold text-foreground">Account Details</h3>
+      </div>
+
+      {isLoading && !details && (
+        <div className="flex items-center gap-2 text-sm text-muted-foreground py-4">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Loading account details...
+        </div>
+      )}
+
+      {error && <p className="text-sm text-muted-foreground py-4">{error}</p>}
+
+      {details && (
+        <div className="space-y-4 text-sm">
+          <div className="grid sm:grid-cols-2 gap-3">
+            <div>
+              <p className="text-xs text-muted-foreground">Home domain</p>
+              <p className="font-medium text-foreground">{details.homeDomain || "None"}</p>
+            </div>
+            <div>
+              <p className="text-xs text-muted-foreground">Sequence number</p>
+              <p className="font-mono text-foreground break-all">{details.sequence}</p>
+            </div>
+            <div>
+              <p className="text-xs text-muted-foreground">Thresholds (low / medium / high)</p>
+              <p className="font-medium text-foreground">
+                {details.thresholds.low} / {details.thresholds.medium} / {details.thresholds.high}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-muted-foreground">Flags</p>
+              <div className="flex flex-wrap gap-1 mt-0.5">
+                {activeFlags.length === 0 ? (
+                  <span className="font-medium text-foreground">None</span>
+                ) : (
+                  activeFlags.map((flag) => (
+                    <Badge key={flag} variant="outline" className="text-xs">
+                      {FLAG_LABELS[flag]}
+                    </Badge>
+                  ))
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <p className="text-xs text-muted-foreground mb-2">Signers</p>
+            <div className="space-y-1">
+              {details.signers.map((signer) => (
+                <div
+                  key={signer.key}
+                  className="flex items-center justify-between gap-2 px-3 py-2 rounded-lg bg-muted/30 border border-border/50"
+                >
+                  <span className="font-mono text-xs text-foreground break-all">
+                    {signer.type === "ed25519_public_key" ? shortenAddress(signer.key, 6) : signer.key}
+                    {signer.key === details.accountId && (
+                      <span className="ml-2 font-sans text-muted-foreground">master key</span>
+                    )}
+                  </span>
+                  <Badge variant="outline" className="text-xs flex-shrink-0">
+                    weight {signer.weight}
+                  </Badge>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
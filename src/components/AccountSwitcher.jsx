@@ -0,0 +1,200 @@
+/**
+ * AccountSwitcher Component
+ *
+ * Header menu for the saved accounts: switch between them, give them nicknames,
+ * forget old ones and watch new ones. Accounts connected in a wallet are saved
+ * automatically, including ones picked by switching account inside the wallet.
+ */
+
+import { useState, useEffect } from "react";
+import { shortenAddress } from "@/stellar/stellarClient";
+import { switchAccount, startWatchSession } from "@/lib/wallet-session";
+import { rememberAccount, renameAccount, forgetAccount } from "@/lib/saved-accounts";
+import { useSavedAccounts } from "@/hooks/use-saved-accounts";
+import { useWalletSession } from "@/hooks/use-wallet-session";
+import { SIGNERS } from "@/stellar/signers";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Wallet, Eye, Check, ChevronDown, Trash2, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+/**
+ * The nickname, or the shortened address for accounts without one
+ */
+function getAccountLabel(account) {
+  return account.nickname || shortenAddress(account.publicKey);
+}
+
+export default function AccountSwitcher({ className = "" }) {
+  const { publicKey, watchOnly, signer } = useWalletSession();
+  const accounts = useSavedAccounts();
+  const [open, setOpen] = useState(false);
+  const [switchingTo, setSwitchingTo] = useState(null);
+  const [nickname, setNickname] = useState("");
+  const [watchAddress, setWatchAddress] = useState("");
+
+  const current = accounts.find((account) => account.publicKey === publicKey);
+
+  // Sessions started before accounts were saved
+  useEffect(() => {
+    if (publicKey && !current) {
+      rememberAccount(publicKey, { watchOnly, signerId: watchOnly ? null : signer.id });
+    }
+  }, [publicKey, current, watchOnly, signer]);
+
+  useEffect(() => {
+    if (open) {
+      setNickname(current?.nickname || "");
+    }
+  }, [open, current]);
+
+  const handleSwitch = async (account) => {
+    if (account.publicKey === publicKey || switchingTo) return;
+    setSwitchingTo(account.publicKey);
+
+    try {
+      const { canSign, signer: accountSigner } = await switchAccount(account.publicKey);
+      setOpen(false);
+      if (!canSign && accountSigner) {
+        toast.info(`Opened ${getAccountLabel(account)} read-only`, {
+          description: `Select this account in ${accountSigner.name} to sign with it`,
+        });
+      } else {
+        toast.success(`Switched to ${getAccountLabel(account)}`);
+      }
+    } catch (err) {
+      toast.error("Failed to switch account", { description: err.message });
+    } finally {
+      setSwitchingTo(null);
+    }
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    try {
+      renameAccount(publicKey, nickname);
+      toast.success("Nickname saved");
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleWatch = (e) => {
+    e.preventDefault();
+    try {
+      startWatchSession(watchAddress);
+      setWatchAddress("");
+      setOpen(false);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const getWalletName = (account) =>
+    SIGNERS.find((candidate) => candidate.id === account.signerId)?.name || "Wallet";
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button variant="ghost" size="sm" className={`gap-2 bg-muted/50 ${className}`}>
+          {watchOnly ? <Eye className="h-4 w-4 text-primary" /> : <Wallet className="h-4 w-4 text-primary" />}
+          <span className={current?.nickname ? "text-sm text-foreground" : "text-sm font-mono text-foreground"}>
+            {current ? getAccountLabel(current) : shortenAddress(publicKey)}
+          </span>
+          {watchOnly && <Badge variant="outline" className="text-xs">Watch-only</Badge>}
+          <ChevronDown className="h-3 w-3 text-muted-foreground" />
+        </Button>
+      </PopoverTrigger>
+
+      <PopoverContent className="w-80 p-3" align="end">
+        <p className="text-xs text-muted-foreground px-1 mb-2">Accounts</p>
+
+        <div className="space-y-1 max-h-64 overflow-y-auto">
+          {accounts.map((account) => {
+            const isCurrent = account.publicKey === publicKey;
+            return (
+              <div
+                key={account.publicKey}
+                className={`flex items-center gap-2 rounded-lg px-2 py-1.5 ${isCurrent ? "bg-primary/10" : "hover:bg-muted/50"}`}
+              >
+                <button
+                  type="button"
+                  onClick={() => handleSwitch(account)}
+                  disabled={!!switchingTo}
+                  className="flex-1 min-w-0 flex items-center gap-2 text-left"
+                >
+                  {switchingTo === account.publicKey ? (
+                    <Loader2 className="h-4 w-4 animate-spin text-muted-foreground flex-shrink-0" />
+                  ) : account.watchOnly ? (
+                    <Eye className="h-4 w-4 text-muted-foreground flex-shrink-0" />
+                  ) : (
+                    <Wallet className="h-4 w-4 text-muted-foreground flex-shrink-0" />
+                  )}
+                  <span className="min-w-0">
+                    <span className="block text-sm text-foreground truncate">{getAccountLabel(account)}</span>
+                    <span className="block text-xs text-muted-foreground font-mono">
+                      {account.nickname ? `${shortenAddress(account.publicKey)} · ` : ""}
+                      {account.watchOnly ? "Watch-only" : getWalletName(account)}
+                    </span>
+                  </span>
+                </button>
+
+                {isCurrent ? (
+                  <Check className="h-4 w-4 text-primary flex-shrink-0" />
+                ) : (
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-7 w-7 flex-shrink-0 text-muted-foreground hover:text-destructive"
+                    onClick={() => forgetAccount(account.publicKey)}
+                    aria-label={`Forget ${getAccountLabel(account)}`}
+                  >
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </Button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Nickname for the current account */}
+        <form onSubmit={handleRename} className="mt-3 pt-3 border-t border-border/50">
+          <p className="text-xs text-muted-foreground px-1 mb-1.5">Nickname</p>
+          <div className="flex gap-2">
+            <Input
+              value={nickname}
+              onChange={(e) => setNickname(e.target.value)}
+              placeholder={shortenAddress(publicKey)}
+              className="h-8 text-sm"
+              aria-label="Nickname"
+            />
+            <Button type="submit" size="sm" variant="outline" className="h-8">
+              Save
+            </Button>
+          </div>
+        </form>
+
+        {/* Watch another account */}
+        <form onSubmit={handleWatch} className="mt-3 pt-3 border-t border-border/50">
+          <p className="text-xs text-muted-foreground px-1 mb-1.5">
+            Watch an account, or switch account in your wallet to add it
+          </p>
+          <div className="flex gap-2">
+            <Input
+              value={watchAddress}
+              onChange={(e) => setWatchAddress(e.target.value)}
+              placeholder="G..."
+              className="h-8 text-sm font-mono"
+              aria-label="Account address"
+            />
+            <Button type="submit" size="sm" variant="outline" className="h-8" disabled={!watchAddress.trim()}>
+              Watch
+            </Button>
+          </div>
+        </form>
+      </PopoverContent>
+    </Popover>
+  );
+}
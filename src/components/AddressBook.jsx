@@ -0,0 +1,282 @@
+/**
+ * AddressBook Component
+ *
+ * Saved contacts with labels and an optional default memo, kept in localStorage.
+ * Suggests counterparties from recent history and supports JSON import/export.
+ */
+
+import { useState, useEffect, useRef } from "react";
+import { getTransactionHistory, shortenAddress, MEMO_TYPES } from "@/stellar/stellarClient";
+import {
+  saveContact,
+  removeContact,
+  getSuggestedContacts,
+  exportAddressBook,
+  importAddressBook,
+} from "@/lib/address-book";
+import { downloadFile } from "@/lib/utils";
+import { useAddressBook } from "@/hooks/use-address-book";
+import { useNetwork } from "@/hooks/use-network";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { BookUser, Plus, Pencil, Trash2, Download, Upload } from "lucide-react";
+import { toast } from "sonner";
+
+const EMPTY_FORM = { address: "", label: "", memoType: "none", memoValue: "" };
+
+// Suggestions shown from history
+const MAX_SUGGESTIONS = 5;
+
+export default function AddressBook({ publicKey, refreshTrigger }) {
+  const contacts = useAddressBook();
+  const [form, setForm] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [history, setHistory] = useState([]);
+  const fileInputRef = useRef(null);
+  const network = useNetwork();
+
+  // Recent history feeds the suggestions
+  useEffect(() => {
+    if (!publicKey) return;
+    let cancelled = false;
+
+    getTransactionHistory(publicKey, 50)
+      .then((records) => !cancelled && setHistory(records))
+      .catch((err) => console.error("Error fetching history for suggestions:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [publicKey, refreshTrigger, network]);
+
+  const suggestions = publicKey ? getSuggestedContacts(history, publicKey).slice(0, MAX_SUGGESTIONS) : [];
+
+  const openForm = (initial = EMPTY_FORM, address = null) => {
+    setForm({ ...EMPTY_FORM, ...initial });
+    setEditing(address);
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditing(null);
+  };
+
+  const handleSave = () => {
+    try {
+      const contact = saveContact(form);
+      toast.success(editing ? `Updated ${contact.label}` : `Saved ${contact.label}`);
+      closeForm();
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const handleRemove = (contact) => {
+    removeContact(contact.address);
+    toast.info(`Removed ${contact.label}`);
+  };
+
+  const handleExport = () => {
+    downloadFile(exportAddressBook(), "stellar-address-book.json", "application/json");
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const { added, updated, skipped } = importAddressBook(await file.text());
+      toast.success(`Imported ${added} new and ${updated} updated contacts`, {
+        description: skipped > 0 ? `${skipped} invalid entries were skipped` : undefined,
+      });
+    } catch (err) {
+      toast.error("Import failed", { description: err.message });
+    }
+  };
+
+  return (
+    <div className="glass-card p-6">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg bg-primary/10">
+            <BookUser className="h-5 w-5 text-primary" />
+          </div>
+          <h3 className="text-lg font-semibold text-foreground">Address Book</h3>
+        </div>
+        <div className="flex items-center gap-1">
+          <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => fileInputRef.current?.click()} title="Import contacts">
+            <Upload className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8"
+            onClick={handleExport}
+            disabled={contacts.length === 0}
+            title="Export contacts"
+          >
+            <Download className="h-4 w-4" />
+          </Button>
+          <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => openForm()} disabled={!!form} title="Add contact">
+            <Plus className="h-4 w-4" />
+          </Button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+
+      {/* Add / edit form */}
+      {form && (
+        <div className="space-y-3 p-4 mb-4 rounded-lg bg-muted/30 border border-border/50 animate-in fade-in slide-in-from-top duration-200">
+          <div className="space-y-1">
+            <Label htmlFor="contact-label" className="text-xs">Label</Label>
+            <Input
+              id="contact-label"
+              placeholder="e.g. Alice, Exchange deposit"
+              value={form.label}
+              onChange={(e) => setForm({ ...form, label: e.target.value })}
+              className="bg-muted/30 border-border/50"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="contact-address" className="text-xs">Address</Label>
+            <Input
+              id="contact-address"
+              placeholder="GABC...XYZ or MABC...XYZ"
+              value={form.address}
+              onChange={(e) => setForm({ ...form, address: e.target.value.trim() })}
+              disabled={!!editing}
+              className="font-mono text-xs bg-muted/30 border-border/50"
+            />
+          </div>
+          <div className="space-y-1">
+            <Label className="text-xs">Default memo</Label>
+            <div className="flex gap-2">
+              <Select value={form.memoType} onValueChange={(memoType) => setForm({ ...form, memoType, memoValue: "" })}>
+                <SelectTrigger className="w-28 flex-shrink-0 bg-muted/30 border-border/50">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {MEMO_TYPES.map((type) => (
+                    <SelectItem key={type} value={type} className="capitalize">
+                      {type}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Input
+                placeholder={form.memoType === "none" ? "No memo" : "Memo value"}
+                value={form.memoValue}
+                onChange={(e) => setForm({ ...form, memoValue: e.target.value })}
+                disabled={form.memoType === "none"}
+                className="font-mono text-xs bg-muted/30 border-border/50"
+              />
+            </div>
+          </div>
+          <div className="flex gap-2">
+            <Button size="sm" onClick={handleSave} className="flex-1">
+              {editing ? "Save changes" : "Save contact"}
+            </Button>
+            <Button size="sm" variant="ghost" onClick={closeForm}>
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {/* Contacts */}
+      {contacts.length === 0 && !form ? (
+        <p className="text-sm text-muted-foreground text-center py-4">
+          No saved contacts yet. Saved contacts autocomplete in Send Payment.
+        </p>
+      ) : (
+        <div className="space-y-2 max-h-[320px] overflow-y-auto pr-1">
+          {contacts.map((contact) => (
+            <div key={contact.address} className="flex items-center justify-between gap-3 p-3 rounded-lg bg-muted/30 border border-border/50">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-foreground truncate">{contact.label}</p>
+                <p className="text-xs font-mono text-muted-foreground">
+                  {shortenAddress(contact.address, 6)}
+                </p>
+              </div>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                {contact.defaultMemo && (
+                  <Badge variant="outline" className="text-xs font-mono max-w-[120px] truncate" title={contact.defaultMemo.value}>
+                    {contact.defaultMemo.type}: {contact.defaultMemo.value}
+                  </Badge>
+                )}
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7"
+                  onClick={() =>
+                    openForm(
+                      {
+                        address: contact.address,
+                        label: contact.label,
+                        memoType: contact.defaultMemo?.type || "none",
+                        memoValue: contact.defaultMemo?.value || "",
+                      },
+                      contact.address
+                    )
+                  }
+                  title="Edit contact"
+                >
+                  <Pencil className="h-3 w-3" />
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-7 w-7 text-muted-foreground hover:text-destructive"
+                  onClick={() => handleRemove(contact)}
+                  title="Remove contact"
+                >
+                  <Trash2 className="h-3 w-3" />
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Suggestions from history */}
+      {suggestions.length > 0 && (
+        <div className="mt-4 pt-4 border-t border-border/50">
+          <p className="text-xs font-medium text-muted-foreground mb-2">Suggested from your history</p>
+          <div className="space-y-1">
+            {suggestions.map((suggestion) => (
+              <div key={suggestion.address} className="flex items-center justify-between gap-2">
+                <span className="text-xs font-mono text-foreground">
+                  {shortenAddress(suggestion.address, 6)}
+                  <span className="ml-2 text-muted-foreground font-sans">
+                    {suggestion.transactionCount} tx
+                  </span>
+                </span>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-7 gap-1 text-xs"
+                  onClick={() => openForm({ address: suggestion.address })}
+                  disabled={!!form}
+                >
+                  <Plus className="h-3 w-3" />
+                  Save
+                </Button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
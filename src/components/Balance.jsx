@@ -1,59 +1,110 @@
 /**
  * Balance Component
  * 
- * Displays the XLM balance for the connected wallet
- * Fetches balance from Stellar Horizon testnet API
+ * Displays the XLM balance for the connected wallet,
+ * followed by every trustline (issued asset) the account holds
+ * Fetches balance from the active network's Horizon API
+ * and refreshes it whenever a payment streams in
  * Includes loading and error states
  */
 
-import { useState, useEffect, useCallback } from "react";
-import { getBalance } from "@/stellar/stellarClient";
+import { useState, useEffect, useCallback, useRef } from "react";
+import { getBalances, getSpendableBalance, fundWithFriendbot } from "@/stellar/stellarClient";
+import { useNetwork } from "@/hooks/use-network";
+import { useAccountStream, notifyIncomingPayment } from "@/hooks/use-account-stream";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
-import { RefreshCw, Coins, AlertCircle, ExternalLink, TrendingUp, Loader2 } from "lucide-react";
+import { RefreshCw, Coins, AlertCircle, TrendingUp, Loader2 } from "lucide-react";
 import { toast } from "sonner";
 
+// Tooltip for the live updates dot
+const STREAM_STATUS_TITLES = {
+  connecting: "Connecting to live updates...",
+  live: "Live updates on",
+  reconnecting: "Reconnecting to live updates...",
+};
+
 export default function Balance({ publicKey }) {
-  const [balance, setBalance] = useState(null);
+  const [balances, setBalances] = useState(null);
+  const [reserve, setReserve] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  const [isFunding, setIsFunding] = useState(false);
+  const network = useNetwork();
+  // The account on screen; responses for an account switched away from are dropped
+  const accountRef = useRef(publicKey);
+  accountRef.current = publicKey;
 
   /**
-   * Fetches the current XLM balance
+   * Fetches the current balances (XLM first, then issued assets)
+   * Background refreshes keep the current balances on screen: no loading state,
+   * no toasts, and a failure leaves the last known balances in place
    */
-  const fetchBalance = useCallback(async () => {
+  const fetchBalance = useCallback(async (background = false) => {
     if (!publicKey) return;
 
-    setIsLoading(true);
-    setError(null);
+    if (!background) {
+      setIsLoading(true);
+      setError(null);
+    }
 
     try {
-      const xlmBalance = await getBalance(publicKey);
-      setBalance(xlmBalance);
+      const [accountBalances, accountReserve] = await Promise.all([
+        getBalances(publicKey),
+        getSpendableBalance(publicKey),
+      ]);
+      if (accountRef.current !== publicKey) return;
+      setBalances(accountBalances);
+      setReserve(accountReserve);
       setLastUpdated(new Date());
-      toast.success("Balance updated");
+      if (!background) {
+        toast.success("Balance updated");
+      }
     } catch (err) {
+      if (accountRef.current !== publicKey) return;
       console.error("Error fetching balance:", err);
+      if (background) return;
       const errorMsg = err.message || "Failed to fetch balance";
       setError(errorMsg);
-      setBalance(null);
+      setBalances(null);
+      setReserve(null);
       toast.error(errorMsg);
     } finally {
-      setIsLoading(false);
+      if (!background && accountRef.current === publicKey) setIsLoading(false);
     }
-  }, [publicKey]);
+  }, [publicKey, network]);
 
-  // Fetch balance when public key changes
+  // Fetch balance when public key or network changes, without showing the previous account's
   useEffect(() => {
+    setBalances(null);
+    setReserve(null);
+    setError(null);
     if (publicKey) {
       fetchBalance();
-    } else {
-      setBalance(null);
-      setError(null);
     }
   }, [publicKey, fetchBalance]);
 
+  // Any payment in or out changes the balance
+  const streamStatus = useAccountStream(publicKey, {
+    onPayment: (record) => {
+      notifyIncomingPayment(record);
+      fetchBalance(true);
+    },
+  });
+
+  // XLM is always the first entry returned by getBalances
+  const balance = balances ? balances[0]?.balance || "0" : null;
+  const assetBalances = balances ? balances.filter((b) => b.assetType !== "native") : [];
+
+  /**
+   * Shortens an issuer address for display
+   */
+  const formatIssuer = (issuer) => {
+    if (!issuer) return "";
+    return `${issuer.slice(0, 4)}...${issuer.slice(-4)}`;
+  };
+
   /**
    * Formats balance for display
    * Shows up to 7 decimal places (Stellar precision)
@@ -69,14 +120,21 @@ export default function Balance({ publicKey }) {
   };
 
   /**
-   * Opens Stellar Laboratory to fund testnet account
+   * Funds the account through the active network's Friendbot
    * Friendbot gives 10,000 XLM for testing
    */
-  const openFriendbot = () => {
-    window.open(
-      `https://laboratory.stellar.org/#account-creator?network=test`,
-      "_blank"
-    );
+  const openFriendbot = async () => {
+    setIsFunding(true);
+    try {
+      await fundWithFriendbot(publicKey);
+      toast.success("Account funded by Friendbot");
+      await fetchBalance();
+    } catch (err) {
+      console.error("Friendbot error:", err);
+      toast.error(err.message || "Friendbot funding failed");
+    } finally {
+      setIsFunding(false);
+    }
   };
 
   // Wallet not connected
@@ -107,7 +165,11 @@ export default function Balance({ publicKey }) {
           <div>
             <h3 className="text-lg font-semibold text-foreground">Balance</h3>
             {lastUpdated && !isLoading && (
-              <p className="text-xs text-muted-foreground">
+              <p className="text-xs text-muted-foreground flex items-center gap-1.5">
+                <span
+                  className={`h-1.5 w-1.5 rounded-full ${streamStatus === "live" ? "bg-success" : "bg-warning animate-pulse"}`}
+                  title={STREAM_STATUS_TITLES[streamStatus]}
+                />
                 {lastUpdated.toLocaleTimeString()}
               </p>
             )}
@@ -116,7 +178,7 @@ export default function Balance({ publicKey }) {
         <Button
           variant="ghost"
           size="icon"
-          onClick={fetchBalance}
+          onClick={() => fetchBalance()}
           disabled={isLoading}
           className="h-9 w-9 text-muted-foreground hover:text-foreground hover:bg-primary/10 transition-all"
           title="Refresh balance"
@@ -139,12 +201,17 @@ export default function Balance({ publicKey }) {
               )}
             </div>
           </div>
-          {error.includes("not found") && (
+          {error.includes("not found") && network.friendbotUrl && (
             <Button
               onClick={openFriendbot}
+              disabled={isFunding}
               className="w-full gap-2 bg-gradient-to-r from-primary to-secondary hover:opacity-90 transition-opacity"
             >
-              <TrendingUp className="h-4 w-4" />
+              {isFunding ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
+              ) : (
+                <TrendingUp className="h-4 w-4" />
+              )}
               Fund with Friendbot (10,000 XLM)
             </Button>
           )}
@@ -171,31 +238,105 @@ export default function Balance({ publicKey }) {
               <span className="text-xl text-muted-foreground font-medium">XLM</span>
             </div>
             <Badge variant="outline" className="mt-2 text-xs">
-              Stellar Testnet
+              Stellar {network.name}
             </Badge>
+
+            {/* Spendable vs reserved */}
+            {reserve && (
+              <div className="grid grid-cols-2 gap-3 mt-4 pt-4 border-t border-primary/10">
+                <div>
+                  <p className="text-xs text-muted-foreground">Available to send</p>
+                  <p className="font-semibold text-foreground">{formatBalance(reserve.spendable)} XLM</p>
+                </div>
+                <div title={`(2 + ${reserve.subentryCount} subentries + ${reserve.numSponsoring} sponsoring - ${reserve.numSponsored} sponsored) × ${reserve.baseReserve} XLM`}>
+                  <p className="text-xs text-muted-foreground">Minimum reserve</p>
+                  <p className="font-semibold text-foreground">{formatBalance(reserve.minimumBalance)} XLM</p>
+                </div>
+              </div>
+            )}
           </div>
           
           {/* Low balance warning */}
-          {parseFloat(balance) < 1 && (
+          {reserve && parseFloat(reserve.spendable) < 1 && (
             <div className="flex items-start gap-2 p-3 rounded-lg bg-warning/10 border border-warning/20 animate-in slide-in-from-top duration-300">
               <AlertCircle className="h-4 w-4 text-warning mt-0.5 flex-shrink-0" />
               <p className="text-xs text-warning leading-relaxed">
-                Low balance. Minimum 1 XLM required for most transactions.
+                Low balance. {formatBalance(reserve.minimumBalance)} XLM is locked as the minimum reserve
+                {parseFloat(reserve.sellingLiabilities) > 0 &&
+                  ` and ${formatBalance(reserve.sellingLiabilities)} XLM is committed to open offers`}
+                , so only {formatBalance(reserve.spendable)} XLM can be sent.
+              </p>
+            </div>
+          )}
+
+          {/* Issued assets (trustlines) */}
+          {assetBalances.length > 0 && (
+            <div className="space-y-2">
+              <p className="text-xs font-medium text-muted-foreground uppercase tracking-wide">
+                Assets
               </p>
+              {assetBalances.map((asset) => (
+                <div
+                  key={asset.liquidityPoolId || `${asset.assetCode}:${asset.assetIssuer}`}
+                  className="p-3 rounded-lg bg-muted/30 border border-border/50"
+                >
+                  <div className="flex items-center justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-semibold text-foreground">{asset.assetCode}</span>
+                        {!asset.isAuthorized && (
+                          <Badge variant="destructive" className="text-[10px]">
+                            {asset.isAuthorizedToMaintainLiabilities ? "Liabilities only" : "Not authorized"}
+                          </Badge>
+                        )}
+                        {asset.isClawbackEnabled && (
+                          <Badge variant="outline" className="text-[10px]">
+                            Clawback
+                          </Badge>
+                        )}
+                      </div>
+                      <p
+                        className="text-xs text-muted-foreground font-mono truncate"
+                        title={asset.assetIssuer || asset.liquidityPoolId}
+                      >
+                        {asset.assetIssuer
+                          ? formatIssuer(asset.assetIssuer)
+                          : formatIssuer(asset.liquidityPoolId)}
+                      </p>
+                    </div>
+                    <div className="text-right flex-shrink-0">
+                      <p className="font-semibold text-foreground">{formatBalance(asset.balance)}</p>
+                      {asset.limit && (
+                        <p className="text-xs text-muted-foreground">
+                          Limit {formatBalance(asset.limit)}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                  {(parseFloat(asset.buyingLiabilities) > 0 || parseFloat(asset.sellingLiabilities) > 0) && (
+                    <div className="flex justify-between mt-2 pt-2 border-t border-border/50 text-xs text-muted-foreground">
+                      <span>Buying: {formatBalance(asset.buyingLiabilities)}</span>
+                      <span>Selling: {formatBalance(asset.sellingLiabilities)}</span>
+                    </div>
+                  )}
+                </div>
+              ))}
             </div>
           )}
 
           {/* Friendbot link for getting test XLM */}
-          <Button
-            variant="ghost"
-            size="sm"
-            onClick={openFriendbot}
-            className="w-full text-xs text-muted-foreground hover:text-primary hover:bg-primary/5 gap-2 transition-all"
-          >
-            <TrendingUp className="h-3 w-3" />
-            Need more test XLM? Use Friendbot
-            <ExternalLink className="h-3 w-3" />
-          </Button>
+          {network.friendbotUrl && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={openFriendbot}
+              disabled={isFunding}
+              className="w-full text-xs text-muted-foreground hover:text-primary hover:bg-primary/5 gap-2 transition-all"
+            >
+              <TrendingUp className="h-3 w-3" />
+              Need more test XLM? Use Friendbot
+            </Button>
+          )}
         </div>
       )}
     </div>
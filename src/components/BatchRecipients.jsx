@@ -0,0 +1,149 @@
+/**
+ * BatchRecipients Component
+ *
+ * Editor for the recipient list in SendPayment's batch mode.
+ * Rows can be typed in one by one or pasted as CSV ("address,amount" per line).
+ */
+
+import { useState } from "react";
+import { parseBatchCsv, MAX_OPERATIONS_PER_TRANSACTION } from "@/stellar/stellarClient";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Plus, Trash2, FileText } from "lucide-react";
+import { toast } from "sonner";
+
+export const EMPTY_ROW = { destination: "", amount: "" };
+
+export default function BatchRecipients({ rows, onChange, disabled, assetCode = "XLM" }) {
+  const [csvOpen, setCsvOpen] = useState(false);
+  const [csvText, setCsvText] = useState("");
+
+  const updateRow = (index, field, value) => {
+    onChange(rows.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const removeRow = (index) => {
+    const next = rows.filter((_, i) => i !== index);
+    onChange(next.length > 0 ? next : [{ ...EMPTY_ROW }]);
+  };
+
+  /**
+   * Appends the pasted CSV rows, replacing a lone empty row
+   */
+  const importCsv = () => {
+    try {
+      const imported = parseBatchCsv(csvText);
+      if (imported.length === 0) {
+        toast.error("No rows found in the pasted CSV");
+        return;
+      }
+      const existing = rows.filter((row) => row.destination.trim() || row.amount.trim());
+      onChange([...existing, ...imported]);
+      setCsvText("");
+      setCsvOpen(false);
+      toast.success(`Imported ${imported.length} recipients`);
+    } catch (err) {
+      toast.error(err.message);
+    }
+  };
+
+  const filledRows = rows.filter((row) => row.destination.trim() && row.amount.trim());
+  const total = filledRows.reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0);
+  const transactionCount = Math.ceil(filledRows.length / MAX_OPERATIONS_PER_TRANSACTION);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <Label className="text-sm font-medium text-foreground">Recipients</Label>
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={() => setCsvOpen(!csvOpen)}
+          disabled={disabled}
+          className="h-7 gap-1 text-xs"
+        >
+          <FileText className="h-3 w-3" />
+          Paste CSV
+        </Button>
+      </div>
+
+      {/* CSV import */}
+      {csvOpen && (
+        <div className="space-y-2 animate-in fade-in slide-in-from-top duration-200">
+          <Textarea
+            rows={5}
+            placeholder={"address,amount\nGABC...XYZ,10\nGDEF...UVW,2.5"}
+            value={csvText}
+            onChange={(e) => setCsvText(e.target.value)}
+            disabled={disabled}
+            className="font-mono text-xs bg-muted/30 border-border/50"
+          />
+          <Button type="button" size="sm" onClick={importCsv} disabled={disabled || !csvText.trim()} className="w-full">
+            Import
+          </Button>
+        </div>
+      )}
+
+      {/* Rows */}
+      <div className="space-y-2 max-h-[320px] overflow-y-auto pr-1">
+        {rows.map((row, index) => (
+          <div key={index} className="flex items-center gap-2">
+            <span className="w-6 text-xs text-muted-foreground text-right flex-shrink-0">{index + 1}</span>
+            <Input
+              type="text"
+              placeholder="GABC...XYZ"
+              value={row.destination}
+              onChange={(e) => updateRow(index, "destination", e.target.value.trim())}
+              disabled={disabled}
+              className="font-mono text-xs bg-muted/30 border-border/50"
+            />
+            <Input
+              type="number"
+              step="0.0000001"
+              min="0.0000001"
+              placeholder="0.00"
+              value={row.amount}
+              onChange={(e) => updateRow(index, "amount", e.target.value)}
+              disabled={disabled}
+              className="w-28 flex-shrink-0 text-sm bg-muted/30 border-border/50"
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={() => removeRow(index)}
+              disabled={disabled}
+              className="h-8 w-8 flex-shrink-0 text-muted-foreground hover:text-destructive"
+              title="Remove recipient"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+      </div>
+
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => onChange([...rows, { ...EMPTY_ROW }])}
+        disabled={disabled}
+        className="w-full gap-2"
+      >
+        <Plus className="h-4 w-4" />
+        Add recipient
+      </Button>
+
+      {/* Summary */}
+      <p className="text-xs text-muted-foreground leading-relaxed">
+        {filledRows.length} recipients · {parseFloat(total.toFixed(7)).toLocaleString(undefined, { maximumFractionDigits: 7 })}{" "}
+        {assetCode} total
+        {transactionCount > 1 &&
+          ` · split into ${transactionCount} transactions of up to ${MAX_OPERATIONS_PER_TRANSACTION} payments`}
+      </p>
+    </div>
+  );
+}
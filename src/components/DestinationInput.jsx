@@ -0,0 +1,87 @@
+/**
+ * DestinationInput Component
+ *
+ * Destination address field for SendPayment that autocompletes from the address book.
+ * Matches on label or address; arrow keys and Enter pick a contact.
+ */
+
+import { useState } from "react";
+import { shortenAddress } from "@/stellar/stellarClient";
+import { useAddressBook } from "@/hooks/use-address-book";
+import { Input } from "@/components/ui/input";
+import { Command, CommandGroup, CommandItem, CommandList } from "@/components/ui/command";
+import { BookUser } from "lucide-react";
+
+// Most contacts shown at once
+const MAX_MATCHES = 6;
+
+export default function DestinationInput({ id, value, onChange, onSelectContact, disabled, className = "" }) {
+  const [open, setOpen] = useState(false);
+  const contacts = useAddressBook();
+
+  const query = value.trim().toLowerCase();
+  const selected = contacts.find((contact) => contact.address === value.trim());
+  const matches = selected
+    ? []
+    : contacts
+        .filter((contact) => !query || contact.label.toLowerCase().includes(query) || contact.address.toLowerCase().includes(query))
+        .slice(0, MAX_MATCHES);
+
+  const pick = (contact) => {
+    onSelectContact(contact);
+    setOpen(false);
+  };
+
+  return (
+    <div className="space-y-1">
+      <Command shouldFilter={false} className="relative overflow-visible bg-transparent">
+        <Input
+          id={id}
+          type="text"
+          placeholder={contacts.length > 0 ? "GABC...XYZ, name*domain.com or a saved contact" : "GABC...XYZ or name*domain.com"}
+          value={value}
+          onChange={(e) => {
+            onChange(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={(e) => e.key === "Escape" && setOpen(false)}
+          disabled={disabled}
+          autoComplete="off"
+          className={className}
+        />
+        {open && matches.length > 0 && (
+          <CommandList
+            // Keep focus in the input so clicking a contact doesn't close the list first
+            onMouseDown={(e) => e.preventDefault()}
+            className="absolute top-full left-0 right-0 z-20 mt-1 rounded-md border border-border/50 bg-popover shadow-md"
+          >
+            <CommandGroup heading="Address book">
+              {matches.map((contact) => (
+                <CommandItem
+                  key={contact.address}
+                  value={contact.address}
+                  onSelect={() => pick(contact)}
+                  className="flex items-center gap-2"
+                >
+                  <BookUser className="h-4 w-4 text-primary flex-shrink-0" />
+                  <span className="font-medium truncate">{contact.label}</span>
+                  <span className="ml-auto font-mono text-xs text-muted-foreground">
+                    {shortenAddress(contact.address)}
+                  </span>
+                </CommandItem>
+              ))}
+            </CommandGroup>
+          </CommandList>
+        )}
+      </Command>
+      {selected && (
+        <p className="flex items-center gap-1 text-xs text-primary">
+          <BookUser className="h-3 w-3" />
+          {selected.label}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+/**
+ * ExportHistoryDialog Component
+ *
+ * Exports the account's complete history for a date range as CSV or JSON,
+ * following Horizon's paging cursors until the start of the range
+ */
+
+import { useState } from "react";
+import { format, startOfDay, endOfDay } from "date-fns";
+import { getTransactionHistoryRange } from "@/stellar/stellarClient";
+import { toExportRows, toCsv, toJson, EXPORT_MIME_TYPES } from "@/lib/history-export";
+import { downloadFile } from "@/lib/utils";
+import { useNetwork } from "@/hooks/use-network";
+import { Button } from "@/components/ui/button";
+import { Calendar } from "@/components/ui/calendar";
+import { Label } from "@/components/ui/label";
+import { ToggleGroup, ToggleGroupItem } from "@/components/ui/toggle-group";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { Download, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+export default function ExportHistoryDialog({ publicKey, defaultRange }) {
+  const [open, setOpen] = useState(false);
+  const [range, setRange] = useState(defaultRange);
+  const [exportFormat, setExportFormat] = useState("csv");
+  const [scanned, setScanned] = useState(null);
+  const network = useNetwork();
+
+  const isExporting = scanned !== null;
+
+  /**
+   * Loads every record in the range and downloads the file
+   */
+  const handleExport = async () => {
+    setScanned(0);
+
+    try {
+      const records = await getTransactionHistoryRange(publicKey, {
+        from: range?.from ? startOfDay(range.from) : undefined,
+        to: range?.to ? endOfDay(range.to) : range?.from ? endOfDay(range.from) : undefined,
+        onProgress: setScanned,
+      });
+
+      if (records.length === 0) {
+        toast.info("No transactions in the selected range");
+        return;
+      }
+
+      const rows = toExportRows(records, publicKey);
+      const content = exportFormat === "csv" ? toCsv(rows) : toJson(rows);
+      const period = range?.from
+        ? `${format(range.from, "yyyyMMdd")}-${format(range.to || range.from, "yyyyMMdd")}`
+        : "all";
+      downloadFile(
+        content,
+        `stellar-${network.id}-${publicKey.slice(0, 6)}-${period}.${exportFormat}`,
+        EXPORT_MIME_TYPES[exportFormat]
+      );
+
+      toast.success(`Exported ${rows.length} transactions`);
+      setOpen(false);
+    } catch (err) {
+      console.error("Export error:", err);
+      toast.error("Export failed", { description: err.message });
+    } finally {
+      setScanned(null);
+    }
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(next) => {
+        if (isExporting) return;
+        if (next) setRange(defaultRange);
+        setOpen(next);
+      }}
+    >
+      <DialogTrigger asChild>
+        <Button variant="ghost" size="sm" className="gap-2" disabled={!publicKey}>
+          <Download className="h-4 w-4" />
+          <span className="hidden sm:inline">Export</span>
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Export History</DialogTitle>
+          <DialogDescription>
+            Download every operation in a date range on {network.name}. Leave the range empty to export
+            everything.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="flex justify-center">
+            <Calendar
+              mode="range"
+              selected={range}
+              onSelect={setRange}
+              disabled={{ after: new Date() }}
+              className="rounded-md border border-border/50"
+            />
+          </div>
+          <p className="text-xs text-muted-foreground text-center">
+            {range?.from
+              ? `${format(range.from, "MMM d, yyyy")} – ${format(range.to || range.from, "MMM d, yyyy")}`
+              : "All time"}
+          </p>
+
+          <div className="space-y-2">
+            <Label className="text-sm font-medium text-foreground">Format</Label>
+            <ToggleGroup
+              type="single"
+              value={exportFormat}
+              onValueChange={(value) => value && setExportFormat(value)}
+              disabled={isExporting}
+              className="grid grid-cols-2"
+            >
+              <ToggleGroupItem value="csv" size="sm" variant="outline" className="text-xs">
+                CSV
+              </ToggleGroupItem>
+              <ToggleGroupItem value="json" size="sm" variant="outline" className="text-xs">
+                JSON
+              </ToggleGroupItem>
+            </ToggleGroup>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button onClick={handleExport} disabled={isExporting} className="gap-2">
+            {isExporting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+            {isExporting ? `Scanned ${scanned} operations...` : "Export"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
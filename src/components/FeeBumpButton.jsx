@@ -0,0 +1,89 @@
+/**
+ * FeeBumpButton Component
+ *
+ * Resubmits a stuck or underpriced transaction without starting over:
+ * 1. Suggests a higher fee from fee_stats and the original fee
+ * 2. Wraps the original signed transaction in a fee-bump transaction
+ * 3. Fee bump is signed with the connected wallet and submitted
+ */
+
+import { useState } from "react";
+import {
+  getFeeEstimates,
+  getBumpFee,
+  buildFeeBumpTransaction,
+  submitTransaction,
+  stroopsToXlm,
+  NETWORK_PASSPHRASE,
+} from "@/stellar/stellarClient";
+import { useSigner } from "@/hooks/use-signer";
+import { useWalletSession } from "@/hooks/use-wallet-session";
+import { Button } from "@/components/ui/button";
+import { Zap, Loader2 } from "lucide-react";
+import { toast } from "sonner";
+
+export default function FeeBumpButton({ publicKey, signedXDR, onComplete, disabled, className = "" }) {
+  const [isBumping, setIsBumping] = useState(false);
+  const signer = useSigner();
+  const { watchOnly } = useWalletSession();
+
+  /**
+   * Builds, signs and submits the fee bump
+   */
+  const handleBump = async () => {
+    setIsBumping(true);
+
+    try {
+      // Fee stats are only a suggestion; fall back to doubling the original fee
+      let estimates = null;
+      try {
+        estimates = await getFeeEstimates();
+      } catch (err) {
+        console.error("Error fetching fee stats:", err);
+      }
+
+      const feePerOperation = getBumpFee(signedXDR, estimates);
+      const feeBumpXDR = buildFeeBumpTransaction(publicKey, signedXDR, feePerOperation);
+
+      toast.info(`Please approve the fee bump in ${signer.name}`, {
+        description: `New fee: ${parseFloat(stroopsToXlm(feePerOperation))} XLM per operation`,
+      });
+
+      const signedFeeBumpXDR = await signer.signTransaction(feeBumpXDR, {
+        networkPassphrase: NETWORK_PASSPHRASE,
+        address: publicKey,
+      });
+
+      const result = await submitTransaction(signedFeeBumpXDR);
+      toast.success("Fee bump accepted!");
+
+      if (onComplete) {
+        onComplete(result);
+      }
+    } catch (err) {
+      console.error("Fee bump error:", err);
+      let errorMsg = err.message || "Fee bump failed. Please try again.";
+      if (err.declined) {
+        errorMsg = `Fee bump was rejected in ${signer.name}`;
+      }
+      toast.error("Fee bump failed", { description: errorMsg });
+    } finally {
+      setIsBumping(false);
+    }
+  };
+
+  return (
+    <Button
+      type="button"
+      variant="outline"
+      size="sm"
+      onClick={handleBump}
+      disabled={disabled || isBumping || !signedXDR || watchOnly}
+      title={watchOnly ? "Watch-only accounts can't sign" : undefined}
+      className={`gap-2 ${className}`}
+    >
+      {isBumping ? <Loader2 className="h-3 w-3 animate-spin" /> : <Zap className="h-3 w-3" />}
+      {isBumping ? "Bumping fee..." : "Bump fee & resubmit"}
+    </Button>
+  );
+}
@@ -0,0 +1,168 @@
+/**
+ * HistoryFilters Component
+ *
+ * Filter bar for the History page: free-text search over counterparty, memo and hash,
+ * direction, operation type, asset, status, amount range and a date range
+ */
+
+import { format } from "date-fns";
+import {
+  EMPTY_FILTERS,
+  hasActiveFilters,
+  parseFilterDate,
+  formatFilterDate,
+} from "@/lib/history-filters";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Calendar } from "@/components/ui/calendar";
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Search, CalendarDays, X } from "lucide-react";
+
+// Select items can't have an empty value, so "any" is stored as "" and shown as ALL
+const ALL = "all";
+
+/**
+ * A filter dropdown with an "any" option
+ */
+function FilterSelect({ value, onChange, placeholder, anyLabel, options }) {
+  return (
+    <Select value={value || ALL} onValueChange={(next) => onChange(next === ALL ? "" : next)}>
+      <SelectTrigger className="h-9 text-xs bg-muted/30 border-border/50">
+        <SelectValue placeholder={placeholder} />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={ALL} className="text-xs">
+          {anyLabel}
+        </SelectItem>
+        {options.map((option) => (
+          <SelectItem key={option.value} value={option.value} className="text-xs">
+            {option.label}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+export default function HistoryFilters({ filters, onChange, typeOptions, assetOptions }) {
+  const update = (field, value) => onChange({ ...filters, [field]: value });
+
+  const from = parseFilterDate(filters.from);
+  const to = parseFilterDate(filters.to);
+
+  return (
+    <div className="glass-card p-4 space-y-3">
+      {/* Search */}
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+        <Input
+          type="search"
+          placeholder="Search address, memo or hash"
+          value={filters.search}
+          onChange={(e) => update("search", e.target.value)}
+          className="pl-9 bg-muted/30 border-border/50"
+        />
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <FilterSelect
+          value={filters.direction}
+          onChange={(value) => update("direction", value)}
+          anyLabel="Any direction"
+          options={[
+            { value: "sent", label: "Sent" },
+            { value: "received", label: "Received" },
+            { value: "none", label: "No transfer" },
+          ]}
+        />
+        <FilterSelect
+          value={filters.type}
+          onChange={(value) => update("type", value)}
+          anyLabel="Any type"
+          options={typeOptions}
+        />
+        <FilterSelect
+          value={filters.asset}
+          onChange={(value) => update("asset", value)}
+          anyLabel="Any asset"
+          options={assetOptions}
+        />
+        <FilterSelect
+          value={filters.status}
+          onChange={(value) => update("status", value)}
+          anyLabel="Any status"
+          options={[
+            { value: "success", label: "Successful" },
+            { value: "failed", label: "Failed" },
+          ]}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {/* Amount range */}
+        <Input
+          type="number"
+          min="0"
+          step="0.0000001"
+          placeholder="Min amount"
+          value={filters.minAmount}
+          onChange={(e) => update("minAmount", e.target.value)}
+          className="h-9 w-32 text-xs bg-muted/30 border-border/50"
+        />
+        <span className="text-xs text-muted-foreground">to</span>
+        <Input
+          type="number"
+          min="0"
+          step="0.0000001"
+          placeholder="Max amount"
+          value={filters.maxAmount}
+          onChange={(e) => update("maxAmount", e.target.value)}
+          className="h-9 w-32 text-xs bg-muted/30 border-border/50"
+        />
+
+        {/* Date range */}
+        <Popover>
+          <PopoverTrigger asChild>
+            <Button variant="outline" size="sm" className="h-9 gap-2 text-xs font-normal">
+              <CalendarDays className="h-4 w-4" />
+              {from || to
+                ? `${from ? format(from, "MMM d, yyyy") : "Start"} – ${to ? format(to, "MMM d, yyyy") : "Today"}`
+                : "Any date"}
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent className="w-auto p-0" align="start">
+            <Calendar
+              mode="range"
+              selected={{ from, to }}
+              onSelect={(range) =>
+                onChange({ ...filters, from: formatFilterDate(range?.from), to: formatFilterDate(range?.to) })
+              }
+              disabled={{ after: new Date() }}
+              numberOfMonths={2}
+              initialFocus
+            />
+          </PopoverContent>
+        </Popover>
+
+        {hasActiveFilters(filters) && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onChange(EMPTY_FILTERS)}
+            className="h-9 gap-1 text-xs ml-auto"
+          >
+            <X className="h-3 w-3" />
+            Clear filters
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+/**
+ * NetworkSelector Component
+ * 
+ * Dropdown for switching the active Stellar network profile
+ * (Testnet, Futurenet, Mainnet or a local standalone node)
+ */
+
+import { NETWORK_PROFILES, setNetwork } from "@/stellar/stellarClient";
+import { useNetwork } from "@/hooks/use-network";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Globe } from "lucide-react";
+import { toast } from "sonner";
+
+export default function NetworkSelector({ onChange, disabled, className = "" }) {
+  const network = useNetwork();
+
+  /**
+   * Switches the active network and notifies the parent
+   */
+  const handleChange = (networkId) => {
+    if (networkId === network.id) return;
+
+    const profile = setNetwork(networkId);
+    toast.info(`Switched to ${profile.name}`);
+    if (onChange) {
+      onChange(profile);
+    }
+  };
+
+  return (
+    <Select value={network.id} onValueChange={handleChange} disabled={disabled}>
+      <SelectTrigger className={`h-8 w-auto gap-2 text-xs ${className}`} title="Stellar network">
+        <Globe className="h-3 w-3 text-primary" />
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {Object.values(NETWORK_PROFILES).map((profile) => (
+          <SelectItem key={profile.id} value={profile.id} className="text-xs">
+            {profile.name}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
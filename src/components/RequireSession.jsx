@@ -0,0 +1,27 @@
+/**
+ * RequireSession Component
+ *
+ * Route guard for pages that need a connected wallet. Without a session it
+ * redirects to /connect, which sends the user back here once they connect.
+ */
+
+import { useEffect } from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import { useWalletSession } from "@/hooks/use-wallet-session";
+import { toast } from "sonner";
+
+export default function RequireSession({ children }) {
+  const { publicKey } = useWalletSession();
+  const location = useLocation();
+
+  useEffect(() => {
+    if (!publicKey) {
+      toast.error("Please connect your wallet first");
+    }
+  }, [publicKey]);
+
+  if (!publicKey) {
+    return <Navigate to="/connect" replace state={{ from: location.pathname + location.search }} />;
+  }
+  return children;
+}
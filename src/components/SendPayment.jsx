@@ -1,28 +1,57 @@
 /**
  * SendPayment Component
  * 
- * Handles the XLM payment flow:
- * 1. User enters destination address and amount
+ * Handles the payment flow for XLM and issued assets:
+ * 1. User picks an asset and enters destination address (or federation address), amount and optional memo
  * 2. Transaction is built using stellar-sdk
- * 3. Transaction is signed via Freighter
- * 4. Transaction is submitted to Stellar Testnet
- * 5. User sees success/failure feedback with transaction hash
+ * 3. User reviews the decoded transaction and confirms
+ * 4. Transaction is signed with the connected wallet (Freighter, xBull, Albedo...)
+ * 5. Transaction is submitted to the active Stellar network
+ * 6. User sees success/failure feedback with transaction hash
  */
 
-import { useState, useEffect } from "react";
-import { signTransaction } from "@stellar/freighter-api";
-import { isAllowed, requestAccess } from "@stellar/freighter-api";
+import { useState, useEffect, useCallback, useRef } from "react";
 import {
   buildPaymentTransaction,
+  buildBatchPaymentTransactions,
   submitTransaction,
-  isValidPublicKey,
+  isValidDestination,
+  parseMuxedAddress,
+  getBaseAddress,
+  isFederationAddress,
+  resolveFederationAddress,
   getExplorerUrl,
+  getBalances,
+  getSpendableBalance,
+  getAssetId,
+  createMemo,
+  MEMO_TYPES,
+  getFeeEstimates,
+  resolveFee,
+  stroopsToXlm,
+  FEE_STRATEGIES,
+  decodeTransaction,
   NETWORK_PASSPHRASE,
 } from "@/stellar/stellarClient";
+import { useNetwork } from "@/hooks/use-network";
+import { useSigner } from "@/hooks/use-signer";
+import { useWalletSession } from "@/hooks/use-wallet-session";
+import FeeBumpButton from "@/components/FeeBumpButton";
+import TransactionReviewDialog from "@/components/TransactionReviewDialog";
+import BatchRecipients, { EMPTY_ROW } from "@/components/BatchRecipients";
+import DestinationInput from "@/components/DestinationInput";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Badge } from "@/components/ui/badge";
+import { ToggleGroup, ToggleGroupItem } from "@/components/ui/toggle-group";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import {
   Send,
   AlertCircle,
@@ -31,16 +60,67 @@ import {
   ArrowRight,
   Loader2,
   Sparkles,
+  Users,
+  AtSign,
 } from "lucide-react";
 import { toast } from "sonner";
 
-export default function SendPayment({ publicKey, onTransactionComplete, prefilledDestination }) {
+// Pause after typing before a federation address is looked up
+const FEDERATION_DEBOUNCE_MS = 500;
+
+// Hint shown in the memo field for each memo type
+const MEMO_PLACEHOLDERS = {
+  text: "Up to 28 bytes",
+  id: "Numeric ID (e.g. 123456)",
+  hash: "64 hex characters",
+  return: "64 hex characters",
+};
+
+/**
+ * Shapes a Horizon submit result for the success message
+ */
+const toSuccessResult = (result) => ({
+  hash: result.hash,
+  explorerUrl: getExplorerUrl(result.hash),
+});
+
+export default function SendPayment({
+  publicKey,
+  onTransactionComplete,
+  prefilledDestination,
+  prefilledPayment,
+  refreshTrigger,
+}) {
   const [destination, setDestination] = useState(prefilledDestination || "");
   const [amount, setAmount] = useState("");
+  const [assets, setAssets] = useState([]);
+  const [selectedAsset, setSelectedAsset] = useState("native");
+  const [xlmReserve, setXlmReserve] = useState(null);
+  const [memoType, setMemoType] = useState("none");
+  const [memoValue, setMemoValue] = useState("");
+  const [feeStrategy, setFeeStrategy] = useState("normal");
+  const [customFee, setCustomFee] = useState("");
+  const [feeEstimates, setFeeEstimates] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [stuckXDR, setStuckXDR] = useState(null); // signed XDR that can be fee-bumped
   const [success, setSuccess] = useState(null);
-  const [step, setStep] = useState("input"); // input, signing, submitting
+  const [step, setStep] = useState("input"); // input, resolving, checking, building, signing, submitting
+  const [review, setReview] = useState(null); // { xdrs, transactions } awaiting confirmation
+  const [mode, setMode] = useState("single"); // single, batch
+  const [batchRows, setBatchRows] = useState([{ ...EMPTY_ROW }]);
+  const [federation, setFederation] = useState(null); // { status, record, error } for name*domain destinations
+  const federationMemoRef = useRef(false); // whether the memo was filled in by the last federation lookup
+  const network = useNetwork();
+  const signer = useSigner();
+  const { watchOnly } = useWalletSession();
+
+  // Sets a memo that didn't come from a federation lookup, so a new destination keeps it
+  const setMemo = (type, value) => {
+    federationMemoRef.current = false;
+    setMemoType(type);
+    setMemoValue(value);
+  };
 
   // Update destination when prefilledDestination changes
   useEffect(() => {
@@ -49,24 +129,191 @@ export default function SendPayment({ publicKey, onTransactionComplete, prefille
     }
   }, [prefilledDestination]);
 
+  // Fill every field from a payment request ({ destination, amount, asset, memoType, memoValue })
+  useEffect(() => {
+    if (!prefilledPayment) return;
+    setMode("single");
+    setDestination(prefilledPayment.destination);
+    setAmount(prefilledPayment.amount || "");
+    federationMemoRef.current = false;
+    setMemoType(prefilledPayment.memoType || "none");
+    setMemoValue(prefilledPayment.memoValue || "");
+  }, [prefilledPayment]);
+
+  // Resolve federation addresses as they're typed so the account ID and memo show before sending
+  useEffect(() => {
+    // A memo the last lookup filled in belongs to that address only,
+    // so it goes as soon as the destination changes (and stays gone if the new lookup fails)
+    if (federationMemoRef.current) {
+      federationMemoRef.current = false;
+      setMemoType("none");
+      setMemoValue("");
+    }
+
+    const address = destination.trim();
+    if (!isFederationAddress(address)) {
+      setFederation(null);
+      return;
+    }
+
+    let cancelled = false;
+    setFederation({ status: "resolving", record: null, error: null });
+    const timer = setTimeout(async () => {
+      try {
+        const record = await resolveFederationAddress(address);
+        if (cancelled) return;
+        setFederation({ status: "resolved", record, error: null });
+        if (record.memo) {
+          federationMemoRef.current = true;
+          setMemoType(record.memoType);
+          setMemoValue(record.memo);
+        }
+      } catch (err) {
+        if (!cancelled) setFederation({ status: "error", record: null, error: err.message });
+      }
+    }, FEDERATION_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [destination]);
+
+  // Memo the federation server requires; it replaces whatever was typed
+  const federationMemo = federation?.record?.memo ? federation.record : null;
+
+  // Muxed destinations (SEP-0023) pay their base account, tagged with an ID
+  const muxedDestination = parseMuxedAddress(destination.trim());
+
   /**
-   * Validates the form inputs
+   * Loads the assets this account can send (XLM plus authorized trustlines)
    */
-  const validateInputs = () => {
+  const fetchAssets = useCallback(async () => {
+    if (!publicKey) return;
+
+    try {
+      const [balances, reserve] = await Promise.all([
+        getBalances(publicKey),
+        getSpendableBalance(publicKey),
+      ]);
+      setAssets(
+        balances.filter((b) => b.assetType !== "liquidity_pool_shares" && b.isAuthorized)
+      );
+      setXlmReserve(reserve);
+    } catch (err) {
+      // Balance component already reports account errors; fall back to XLM only
+      console.error("Error fetching assets:", err);
+      setAssets([]);
+      setXlmReserve(null);
+    }
+  }, [publicKey, network]);
+
+  useEffect(() => {
+    fetchAssets();
+  }, [fetchAssets, refreshTrigger]);
+
+  /**
+   * Loads fee presets from Horizon's fee_stats
+   * Falls back to the base fee if Horizon can't be reached
+   */
+  const fetchFeeEstimates = useCallback(async () => {
+    try {
+      setFeeEstimates(await getFeeEstimates());
+    } catch (err) {
+      console.error("Error fetching fee stats:", err);
+      setFeeEstimates(null);
+    }
+  }, [network]);
+
+  useEffect(() => {
+    fetchFeeEstimates();
+  }, [fetchFeeEstimates, refreshTrigger]);
+
+  // A requested asset can only be selected once the account's assets have loaded
+  useEffect(() => {
+    if (prefilledPayment?.asset && assets.some((a) => getAssetId(a) === prefilledPayment.asset)) {
+      setSelectedAsset(prefilledPayment.asset);
+    }
+  }, [prefilledPayment, assets]);
+
+  // Reset to XLM if the selected asset is no longer available
+  useEffect(() => {
+    if (selectedAsset !== "native" && !assets.some((a) => getAssetId(a) === selectedAsset)) {
+      setSelectedAsset("native");
+    }
+  }, [assets, selectedAsset]);
+
+  const selectedBalance = assets.find((a) => getAssetId(a) === selectedAsset);
+
+  // A payment request is only paid in the asset it asks for, never another one
+  const requestedAsset = mode === "single" && prefilledPayment?.asset ? prefilledPayment.asset : null;
+  const requestedAssetMissing = !!requestedAsset && selectedAsset !== requestedAsset;
+  const assetCode = selectedBalance ? selectedBalance.assetCode : "XLM";
+  const isNativeSelected = !selectedBalance || selectedBalance.assetType === "native";
+
+  /**
+   * Batch rows that have been filled in
+   */
+  const getBatchPayments = () =>
+    batchRows
+      .filter((row) => row.destination.trim() || row.amount.trim())
+      .map((row) => ({ destination: row.destination.trim(), amount: row.amount.trim() }));
+
+  // Fee per operation in stroops; null while a custom fee is invalid
+  let feeStroops = null;
+  try {
+    feeStroops = resolveFee(feeStrategy, feeEstimates, customFee);
+  } catch {
+    feeStroops = null;
+  }
+  const feeXlm = feeStroops ? stroopsToXlm(feeStroops) : null;
+
+  // Payments in the current form, for the cost summary
+  const batchPayments = getBatchPayments();
+  const paymentCount = mode === "batch" ? batchPayments.length || 1 : 1;
+  const paymentTotal =
+    mode === "batch"
+      ? batchPayments.reduce((sum, payment) => sum + (parseFloat(payment.amount) || 0), 0)
+      : parseFloat(amount) || 0;
+  const totalFeeXlm = feeXlm ? parseFloat((parseFloat(feeXlm) * paymentCount).toFixed(7)) : null;
+
+  /**
+   * Spendable XLM once the fees for every payment in the form are set aside
+   * The reserve is always fetched without a fee, so this is the only place one is subtracted
+   */
+  const getSpendableAfterFees = (reserve) =>
+    Math.max(parseFloat(reserve.spendable) - (totalFeeXlm || 0), 0).toFixed(7);
+
+  // What can be sent without hitting op_low_reserve / op_underfunded
+  const availableAmount = isNativeSelected
+    ? xlmReserve && getSpendableAfterFees(xlmReserve)
+    : selectedBalance &&
+      Math.max(parseFloat(selectedBalance.balance) - parseFloat(selectedBalance.sellingLiabilities), 0).toFixed(7);
+
+  /**
+   * Validates the single-recipient destination and amount
+   */
+  const validateRecipient = () => {
     // Check destination format
     if (!destination.trim()) {
       throw new Error("Destination address is required");
     }
     
-    if (!isValidPublicKey(destination.trim())) {
-      throw new Error("Invalid Stellar address format. Must start with 'G' and be 56 characters.");
+    if (!isValidDestination(destination.trim()) && !isFederationAddress(destination.trim())) {
+      throw new Error(
+        "Invalid Stellar address format. Enter a public key (starts with 'G', 56 characters), a muxed address (starts with 'M') or a federation address (name*domain.com)."
+      );
     }
 
     // Check if sending to self
-    if (destination.trim() === publicKey) {
+    if (getBaseAddress(destination.trim()) === publicKey) {
       throw new Error("Cannot send to your own address");
     }
 
+    if (requestedAssetMissing) {
+      throw new Error(`This request asks for ${requestedAsset.split(":")[0]}, which your account can't send`);
+    }
+
     // Check amount
     if (!amount.trim()) {
       throw new Error("Amount is required");
@@ -79,117 +326,277 @@ export default function SendPayment({ publicKey, onTransactionComplete, prefille
 
     // Stellar has a minimum transaction amount
     if (numAmount < 0.0000001) {
-      throw new Error("Amount is below minimum (0.0000001 XLM)");
+      throw new Error(`Amount is below minimum (0.0000001 ${assetCode})`);
+    }
+  };
+
+  /**
+   * Validates the form inputs
+   * Batch rows are validated in full by buildBatchPaymentTransactions
+   */
+  const validateInputs = () => {
+    if (mode === "batch") {
+      if (getBatchPayments().length === 0) {
+        throw new Error("Add at least one recipient with an amount");
+      }
+    } else {
+      validateRecipient();
     }
 
+    // Check memo against its type's limits
+    createMemo(memoType, memoValue);
+
+    // Check custom fee
+    resolveFee(feeStrategy, feeEstimates, customFee);
+
     return true;
   };
 
   /**
-   * Handles the send payment flow
+   * Gets the account ID and memo to pay, resolving a federation address if one was entered
+   *
+   * @returns {Promise<{accountId: string, memo: {type: string, value: string}}>}
+   * @throws {Error} - If the address can't be resolved or resolves to this account
+   */
+  const resolveRecipient = async () => {
+    const address = destination.trim();
+    if (!isFederationAddress(address)) {
+      return { accountId: address, memo: { type: memoType, value: memoValue } };
+    }
+
+    const record = await resolveFederationAddress(address);
+    if (record.accountId === publicKey) {
+      throw new Error(`${address} resolves to your own address`);
+    }
+    return {
+      accountId: record.accountId,
+      memo: record.memo ? { type: record.memoType, value: record.memo } : { type: memoType, value: memoValue },
+    };
+  };
+
+  /**
+   * Checks the amount against what the account can actually spend
+   * Uses a fresh reserve calculation so the minimum balance is never touched,
+   * and makes sure the XLM fee is covered when sending another asset
+   */
+  const validateSpendable = async () => {
+    const numAmount = parseFloat(amount);
+    const reserve = await getSpendableBalance(publicKey);
+    setXlmReserve(reserve);
+    const spendable = getSpendableAfterFees(reserve);
+
+    if (isNativeSelected) {
+      if (numAmount > parseFloat(spendable)) {
+        throw new Error(
+          `Amount exceeds your available balance of ${spendable} XLM after fees. ` +
+            `${reserve.minimumBalance} XLM must stay in your account as the minimum reserve.`
+        );
+      }
+      return;
+    }
+
+    if (parseFloat(reserve.spendable) < (totalFeeXlm || 0)) {
+      throw new Error(
+        `Not enough XLM for the ${totalFeeXlm} XLM fee: ${reserve.spendable} XLM is spendable above ` +
+          `the ${reserve.minimumBalance} XLM minimum reserve`
+      );
+    }
+    if (numAmount > parseFloat(availableAmount)) {
+      throw new Error(`Amount exceeds your available balance of ${availableAmount} ${assetCode}`);
+    }
+  };
+
+  /**
+   * Fills in a contact picked from the address book, including its default memo
+   * unless a memo has already been typed
+   */
+  const handleSelectContact = (contact) => {
+    setDestination(contact.address);
+    if (contact.defaultMemo && (!memoValue.trim() || federationMemoRef.current)) {
+      setMemo(contact.defaultMemo.type, contact.defaultMemo.value);
+    }
+  };
+
+  /**
+   * Turns a payment error into a message and shows it
+   */
+  const handlePaymentError = (err) => {
+    console.error("Payment error:", err);
+
+    // Underpriced or timed out: keep the signed transaction so it can be fee-bumped
+    if (err.resubmittable) {
+      setStuckXDR(err.signedXDR);
+    }
+    let errorMsg = err.message || "Transaction failed. Please try again.";
+    
+    // Handle specific wallet errors
+    if (err.declined) {
+      errorMsg = `Transaction was rejected in ${signer.name}`;
+    } else if (err.message && err.message.includes("not connected")) {
+      errorMsg = "Wallet not connected. Please reconnect your wallet and try again.";
+    } else if (err.message && err.message.includes("permission")) {
+      errorMsg = `Wallet permission denied. Please allow access in ${signer.name}.`;
+    }
+    
+    setError(errorMsg);
+    toast.error("Transaction failed", {
+      description: errorMsg,
+    });
+  };
+
+  /**
+   * Handles the send payment flow up to the review step
    */
   const handleSendPayment = async () => {
     setError(null);
     setSuccess(null);
+    setStuckXDR(null);
 
     try {
       // Step 1: Validate inputs
       validateInputs();
 
       setIsLoading(true);
-      setStep("signing");
-
-      // Step 1.5: Ensure Freighter is still connected
-      // This is important because Freighter might have disconnected
-      const allowedResult = await isAllowed();
-      const allowed = allowedResult.isAllowed || allowedResult;
-      
-      if (!allowed) {
+      setStep("checking");
+
+      // Step 1.1: Look up federation addresses (cached once resolved while typing)
+      let recipient = null;
+      if (mode === "single") {
+        setStep("resolving");
+        recipient = await resolveRecipient();
+        setStep("checking");
+      }
+
+      // Step 1.25: Block amounts that would dip into the reserve
+      // (batch totals are checked by the batch builder)
+      if (mode === "single") {
+        await validateSpendable();
+      }
+      setStep("building");
+
+      // Step 1.5: Ensure the wallet is still connected
+      // This is important because the wallet might have revoked access
+      if (!(await signer.getPublicKey())) {
         // Request access again
         toast.info("Requesting wallet permission...");
-        const accessResult = await requestAccess();
-        if (accessResult.error) {
-          throw new Error("Wallet permission denied. Please connect your wallet.");
-        }
+        await signer.connect();
       }
 
-      // Step 2: Build the transaction
-      const transactionXDR = await buildPaymentTransaction(
-        publicKey,
-        destination.trim(),
-        amount.trim()
-      );
+      // Step 2: Build the transaction(s)
+      const options = { asset: selectedAsset, memo: { type: memoType, value: memoValue }, fee: feeStroops };
+      const transactionXDRs =
+        mode === "batch"
+          ? await buildBatchPaymentTransactions(publicKey, getBatchPayments(), options)
+          : [
+              await buildPaymentTransaction(publicKey, recipient.accountId, amount.trim(), {
+                ...options,
+                memo: recipient.memo,
+              }),
+            ];
 
-      // Step 3: Sign with Freighter
-      // This will open a popup in the Freighter extension
-      toast.info("Please approve the transaction in Freighter");
-      
-      const signResult = await signTransaction(transactionXDR, {
-        network: "TESTNET",
-        networkPassphrase: NETWORK_PASSPHRASE,
-        accountToSign: publicKey,
-      });
+      // Step 2.5: Show the decoded transaction(s) for review
+      // Signing only continues once the user confirms in the dialog
+      setReview({ xdrs: transactionXDRs, transactions: transactionXDRs.map(decodeTransaction) });
+    } catch (err) {
+      handlePaymentError(err);
+    } finally {
+      setIsLoading(false);
+      setStep("input");
+    }
+  };
 
-      console.log("Sign result:", signResult); // Debug log
+  /**
+   * Signs the reviewed transaction(s) with the connected wallet and submits them
+   * Batch transactions use consecutive sequence numbers, so they go one at a time
+   * and stop at the first failure
+   */
+  const handleConfirmPayment = async () => {
+    const transactionXDRs = review.xdrs;
+    const results = [];
+    setReview(null);
+    setIsLoading(true);
+
+    try {
+      for (const [index, transactionXDR] of transactionXDRs.entries()) {
+        // Step 3: Sign with the wallet
+        // This opens the wallet's approval prompt; rejecting it throws
+        setStep("signing");
+        toast.info(
+          transactionXDRs.length > 1
+            ? `Please approve transaction ${index + 1} of ${transactionXDRs.length} in ${signer.name}`
+            : `Please approve the transaction in ${signer.name}`
+        );
 
-      // Freighter returns an object with signedTxXdr property
-      const signedXDR = signResult.signedTxXdr || signResult;
+        const signedXDR = await signer.signTransaction(transactionXDR, {
+          networkPassphrase: NETWORK_PASSPHRASE,
+          address: publicKey,
+        });
 
-      // Check if user cancelled the signature
-      if (!signedXDR) {
-        throw new Error("Transaction signing was cancelled");
+        // Step 4: Submit to Stellar network
+        setStep("submitting");
+        results.push(await submitTransaction(signedXDR));
       }
 
-      // Step 4: Submit to Stellar network
-      setStep("submitting");
-      const result = await submitTransaction(signedXDR);
-
       // Step 5: Success!
-      setSuccess({
-        hash: result.hash,
-        explorerUrl: getExplorerUrl(result.hash),
-      });
-
-      toast.success("Payment sent successfully!", {
-        description: `Sent ${amount} XLM`,
-      });
-
-      // Clear form
-      setDestination("");
-      setAmount("");
-
-      // Notify parent to refresh balance
-      if (onTransactionComplete) {
-        onTransactionComplete();
-      }
+      completePayment(results);
     } catch (err) {
-      console.error("Payment error:", err);
-      let errorMsg = err.message || "Transaction failed. Please try again.";
-      
-      // Handle specific Freighter errors
-      if (err.message && err.message.includes("User declined")) {
-        errorMsg = "Transaction was rejected in Freighter wallet";
-      } else if (err.message && err.message.includes("not connected")) {
-        errorMsg = "Wallet not connected. Please reconnect your wallet and try again.";
-      } else if (err.message && err.message.includes("permission")) {
-        errorMsg = "Wallet permission denied. Please allow access in Freighter settings.";
+      if (results.length > 0) {
+        err.message = `${results.length} of ${transactionXDRs.length} transactions were submitted. ${err.message}`;
+        setSuccess({ results: results.map(toSuccessResult) });
+        if (onTransactionComplete) {
+          onTransactionComplete();
+        }
       }
-      
-      setError(errorMsg);
-      toast.error("Transaction failed", {
-        description: errorMsg,
-      });
+      handlePaymentError(err);
     } finally {
       setIsLoading(false);
       setStep("input");
     }
   };
 
+  /**
+   * Shows the result and resets the form once a payment lands
+   * Used for direct submissions, batches and fee-bumped resubmissions
+   *
+   * @param {object|Array} result - Horizon result, or one per submitted transaction
+   */
+  const completePayment = (result) => {
+    const results = Array.isArray(result) ? result : [result];
+    setError(null);
+    setStuckXDR(null);
+    setSuccess({ results: results.map(toSuccessResult) });
+
+    toast.success("Payment sent successfully!", {
+      description:
+        mode === "batch"
+          ? `Paid ${getBatchPayments().length} recipients in ${results.length} transaction${results.length > 1 ? "s" : ""}`
+          : `Sent ${amount} ${assetCode}`,
+    });
+
+    // Clear form
+    setDestination("");
+    setAmount("");
+    setBatchRows([{ ...EMPTY_ROW }]);
+    setMemo("none", "");
+    fetchAssets();
+
+    // Notify parent to refresh balance
+    if (onTransactionComplete) {
+      onTransactionComplete();
+    }
+  };
+
   /**
    * Gets the current step label for loading state
    */
   const getStepLabel = () => {
     switch (step) {
+      case "resolving":
+        return "Resolving federation address...";
+      case "checking":
+        return "Checking balance...";
+      case "building":
+        return "Preparing transaction...";
       case "signing":
         return "Waiting for signature...";
       case "submitting":
@@ -216,6 +623,23 @@ export default function SendPayment({ publicKey, onTransactionComplete, prefille
     );
   }
 
+  // Watched accounts have no wallet to sign with
+  if (watchOnly) {
+    return (
+      <div className="glass-card p-6 opacity-60">
+        <div className="flex items-center gap-3 mb-2">
+          <div className="p-3 rounded-xl bg-muted">
+            <Send className="h-6 w-6 text-muted-foreground" />
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-muted-foreground">Send Payment</h3>
+            <p className="text-xs text-muted-foreground">Watch-only: connect this account's wallet to send</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="glass-card p-6">
       {/* Header */}
@@ -226,7 +650,7 @@ export default function SendPayment({ publicKey, onTransactionComplete, prefille
         <div>
           <h3 className="text-lg font-semibold text-foreground">Send Payment</h3>
           <Badge variant="outline" className="mt-1 text-xs">
-            Testnet
+            {network.name}
           </Badge>
         </div>
       </div>
@@ -243,24 +667,28 @@ export default function SendPayment({ publicKey, onTransactionComplete, prefille
                 <Sparkles className="h-4 w-4" />
                 Payment Sent!
               </p>
-              <p className="text-xs text-muted-foreground font-mono break-all leading-relaxed">
-                {success.hash}
-              </p>
-              <Button
-                asChild
-                variant="outline"
-                size="sm"
-                className="gap-2 border-success/30 text-success hover:bg-success/10 hover:border-success/50"
-              >
-                <a
-                  href={success.explorerUrl}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                >
-                  View on Explorer
-                  <ExternalLink className="h-3 w-3" />
-                </a>
-              </Button>
+              {success.results.map((result) => (
+                <div key={result.hash} className="space-y-2">
+                  <p className="text-xs text-muted-foreground font-mono break-all leading-relaxed">
+                    {result.hash}
+                  </p>
+                  <Button
+                    asChild
+                    variant="outline"
+                    size="sm"
+                    className="gap-2 border-success/30 text-success hover:bg-success/10 hover:border-success/50"
+                  >
+                    <a
+                      href={result.explorerUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      View on Explorer
+                      <ExternalLink className="h-3 w-3" />
+                    </a>
+                  </Button>
+                </div>
+              ))}
             </div>
           </div>
         </div>
@@ -274,6 +702,20 @@ export default function SendPayment({ publicKey, onTransactionComplete, prefille
             <div className="flex-1">
               <p className="text-destructive font-semibold">Transaction Failed</p>
               <p className="text-sm text-muted-foreground mt-1 leading-relaxed">{error}</p>
+              {stuckXDR && (
+                <div className="mt-3 space-y-2">
+                  <p className="text-xs text-muted-foreground leading-relaxed">
+                    Your signed payment can be resubmitted with a higher fee without filling in the form again.
+                  </p>
+                  <FeeBumpButton
+                    publicKey={publicKey}
+                    signedXDR={stuckXDR}
+                    onComplete={completePayment}
+                    disabled={isLoading}
+                    className="border-destructive/30"
+                  />
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -287,55 +729,269 @@ export default function SendPayment({ publicKey, onTransactionComplete, prefille
         }}
         className="space-y-4"
       >
+        {/* Single or batch mode */}
+        <ToggleGroup
+          type="single"
+          value={mode}
+          onValueChange={(value) => value && setMode(value)}
+          disabled={isLoading}
+          className="grid grid-cols-2"
+        >
+          <ToggleGroupItem value="single" size="sm" variant="outline" className="gap-2 text-xs">
+            <Send className="h-3 w-3" />
+            Single
+          </ToggleGroupItem>
+          <ToggleGroupItem value="batch" size="sm" variant="outline" className="gap-2 text-xs">
+            <Users className="h-3 w-3" />
+            Batch
+          </ToggleGroupItem>
+        </ToggleGroup>
+
         {/* Destination input */}
+        {mode === "single" && (
+          <div className="space-y-2">
+            <Label htmlFor="destination" className="text-sm font-medium text-foreground">
+              Destination Address
+            </Label>
+            <DestinationInput
+              id="destination"
+              value={destination}
+              onChange={setDestination}
+              onSelectContact={handleSelectContact}
+              disabled={isLoading}
+              className="font-mono text-sm bg-muted/30 border-border/50 focus:border-primary focus:ring-2 focus:ring-primary/20 placeholder:text-muted-foreground/50 transition-all"
+            />
+            {muxedDestination && (
+              <div className="p-2 rounded-lg bg-primary/5 border border-primary/20 text-xs space-y-1">
+                <p className="text-primary">Muxed account ID {muxedDestination.id} of</p>
+                <p className="font-mono text-foreground break-all">{muxedDestination.baseAddress}</p>
+                <p className="text-muted-foreground">The ID identifies the recipient, so a memo usually isn't needed</p>
+              </div>
+            )}
+            {federation?.status === "resolving" && (
+              <p className="flex items-center gap-1 text-xs text-muted-foreground">
+                <Loader2 className="h-3 w-3 animate-spin" />
+                Resolving federation address...
+              </p>
+            )}
+            {federation?.status === "error" && (
+              <p className="flex items-center gap-1 text-xs text-destructive">
+                <AlertCircle className="h-3 w-3" />
+                {federation.error}
+              </p>
+            )}
+            {federation?.status === "resolved" && (
+              <div className="p-2 rounded-lg bg-primary/5 border border-primary/20 text-xs space-y-1">
+                <p className="flex items-center gap-1 text-primary">
+                  <AtSign className="h-3 w-3" />
+                  Resolves to
+                </p>
+                <p className="font-mono text-foreground break-all">{federation.record.accountId}</p>
+                {federation.record.memo && (
+                  <p className="text-muted-foreground">
+                    Required memo ({federation.record.memoType}):{" "}
+                    <span className="font-mono text-foreground break-all">{federation.record.memo}</span>
+                  </p>
+                )}
+              </div>
+            )}
+            <p className="text-xs text-muted-foreground leading-relaxed">
+              Enter the recipient's Stellar public key (starts with 'G'), muxed address (starts with 'M'), federation address (name*domain.com) or pick a saved contact
+            </p>
+          </div>
+        )}
+
+        {/* Asset selector */}
         <div className="space-y-2">
-          <Label htmlFor="destination" className="text-sm font-medium text-foreground">
-            Destination Address
+          <Label htmlFor="asset" className="text-sm font-medium text-foreground">
+            Asset
           </Label>
-          <Input
-            id="destination"
-            type="text"
-            placeholder="GABC...XYZ (Stellar public key)"
-            value={destination}
-            onChange={(e) => setDestination(e.target.value)}
+          <Select value={selectedAsset} onValueChange={setSelectedAsset} disabled={isLoading}>
+            <SelectTrigger id="asset" className="bg-muted/30 border-border/50">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {assets.length === 0 && <SelectItem value="native">XLM</SelectItem>}
+              {assets.map((asset) => (
+                <SelectItem key={getAssetId(asset)} value={getAssetId(asset)}>
+                  <span className="font-medium">{asset.assetCode}</span>
+                  <span className="ml-2 text-xs text-muted-foreground">
+                    {asset.assetIssuer
+                      ? `${asset.assetIssuer.slice(0, 4)}...${asset.assetIssuer.slice(-4)} · `
+                      : ""}
+                    {parseFloat(asset.balance).toLocaleString(undefined, { maximumFractionDigits: 7 })}
+                  </span>
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {requestedAssetMissing && assets.length > 0 && (
+            <p className="text-xs text-destructive leading-relaxed">
+              This request asks for {requestedAsset.split(":")[0]}, which your account doesn't hold
+            </p>
+          )}
+        </div>
+
+        {/* Amount input */}
+        {mode === "single" && (
+          <div className="space-y-2">
+            <Label htmlFor="amount" className="text-sm font-medium text-foreground">
+              Amount
+            </Label>
+            <div className="relative">
+              <Input
+                id="amount"
+                type="number"
+                step="0.0000001"
+                min="0.0000001"
+                placeholder="0.00"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                disabled={isLoading}
+                className="pr-24 text-lg bg-muted/30 border-border/50 focus:border-primary focus:ring-2 focus:ring-primary/20 placeholder:text-muted-foreground/50 transition-all"
+              />
+              <Badge className="absolute right-3 top-1/2 -translate-y-1/2 bg-primary/10 text-primary border-primary/20">
+                {assetCode}
+              </Badge>
+            </div>
+            <div className="flex items-center justify-between text-xs text-muted-foreground leading-relaxed">
+              <span>Minimum: 0.0000001 {assetCode}</span>
+              {availableAmount !== undefined && availableAmount !== null && (
+                <button
+                  type="button"
+                  onClick={() => setAmount(availableAmount)}
+                  disabled={isLoading}
+                  className="hover:text-primary transition-colors"
+                  title="Send the maximum available"
+                >
+                  Available: {parseFloat(availableAmount).toLocaleString(undefined, { maximumFractionDigits: 7 })} {assetCode}
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Batch recipients */}
+        {mode === "batch" && (
+          <BatchRecipients
+            rows={batchRows}
+            onChange={setBatchRows}
             disabled={isLoading}
-            className="font-mono text-sm bg-muted/30 border-border/50 focus:border-primary focus:ring-2 focus:ring-primary/20 placeholder:text-muted-foreground/50 transition-all"
+            assetCode={assetCode}
           />
+        )}
+
+        {/* Memo */}
+        <div className="space-y-2">
+          <Label htmlFor="memo" className="text-sm font-medium text-foreground">
+            Memo
+          </Label>
+          <div className="flex gap-2">
+            <Select
+              value={memoType}
+              onValueChange={(type) => setMemo(type, "")}
+              disabled={isLoading || (mode === "single" && !!federationMemo)}
+            >
+              <SelectTrigger className="w-28 flex-shrink-0 bg-muted/30 border-border/50">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {MEMO_TYPES.map((type) => (
+                  <SelectItem key={type} value={type} className="capitalize">
+                    {type}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {memoType !== "none" && (
+              <Input
+                id="memo"
+                type="text"
+                placeholder={MEMO_PLACEHOLDERS[memoType]}
+                value={memoValue}
+                onChange={(e) => setMemo(memoType, e.target.value)}
+                disabled={isLoading || (mode === "single" && !!federationMemo)}
+                className="font-mono text-sm bg-muted/30 border-border/50 focus:border-primary focus:ring-2 focus:ring-primary/20 placeholder:text-muted-foreground/50 transition-all"
+              />
+            )}
+          </div>
           <p className="text-xs text-muted-foreground leading-relaxed">
-            Enter the recipient's Stellar public key (starts with 'G')
+            {mode === "single" && federationMemo
+              ? `Set by the federation server for ${federationMemo.address}`
+              : "Exchanges and custodial wallets usually require a memo to credit your deposit"}
           </p>
         </div>
 
-        {/* Amount input */}
+        {/* Fee */}
         <div className="space-y-2">
-          <Label htmlFor="amount" className="text-sm font-medium text-foreground">
-            Amount
-          </Label>
-          <div className="relative">
+          <Label className="text-sm font-medium text-foreground">Network Fee</Label>
+          <ToggleGroup
+            type="single"
+            value={feeStrategy}
+            onValueChange={(strategy) => strategy && setFeeStrategy(strategy)}
+            disabled={isLoading}
+            className="grid grid-cols-4"
+          >
+            {FEE_STRATEGIES.map((strategy) => (
+              <ToggleGroupItem
+                key={strategy}
+                value={strategy}
+                size="sm"
+                variant="outline"
+                className="capitalize text-xs"
+              >
+                {strategy}
+              </ToggleGroupItem>
+            ))}
+          </ToggleGroup>
+          {feeStrategy === "custom" && (
             <Input
-              id="amount"
               type="number"
-              step="0.0000001"
-              min="0.0000001"
-              placeholder="0.00"
-              value={amount}
-              onChange={(e) => setAmount(e.target.value)}
+              step="1"
+              min="100"
+              placeholder="Fee in stroops (min 100)"
+              value={customFee}
+              onChange={(e) => setCustomFee(e.target.value)}
               disabled={isLoading}
-              className="pr-16 text-lg bg-muted/30 border-border/50 focus:border-primary focus:ring-2 focus:ring-primary/20 placeholder:text-muted-foreground/50 transition-all"
+              className="text-sm bg-muted/30 border-border/50 focus:border-primary focus:ring-2 focus:ring-primary/20 placeholder:text-muted-foreground/50 transition-all"
             />
-            <Badge className="absolute right-3 top-1/2 -translate-y-1/2 bg-primary/10 text-primary border-primary/20">
-              XLM
-            </Badge>
+          )}
+          {feeEstimates && feeEstimates.capacityUsage > 0.9 && (
+            <p className="text-xs text-warning leading-relaxed">
+              The network is congested. A higher fee makes it more likely your payment is included.
+            </p>
+          )}
+        </div>
+
+        {/* Cost summary */}
+        <div className="p-3 rounded-lg bg-muted/30 border border-border/50 space-y-1 text-xs">
+          <div className="flex justify-between text-muted-foreground">
+            <span>Fee</span>
+            <span className="font-mono">
+              {totalFeeXlm === null
+                ? "—"
+                : `${totalFeeXlm} XLM (${paymentCount > 1 ? `${paymentCount} × ` : ""}${feeStroops} stroops)`}
+            </span>
+          </div>
+          <div className="flex justify-between font-medium text-foreground">
+            <span>Total cost</span>
+            <span className="font-mono">
+              {totalFeeXlm === null || !paymentTotal
+                ? "—"
+                : isNativeSelected
+                  ? `${parseFloat((paymentTotal + totalFeeXlm).toFixed(7))} XLM`
+                  : `${parseFloat(paymentTotal.toFixed(7))} ${assetCode} + ${totalFeeXlm} XLM`}
+            </span>
           </div>
-          <p className="text-xs text-muted-foreground leading-relaxed">
-            Minimum: 0.0000001 XLM
-          </p>
         </div>
 
         {/* Submit button */}
         <Button
           type="submit"
-          disabled={isLoading || !destination || !amount}
+          disabled={
+            isLoading ||
+            (mode === "single" ? !destination || !amount || requestedAssetMissing : getBatchPayments().length === 0)
+          }
           className="w-full gap-2 bg-gradient-to-r from-primary to-secondary hover:opacity-90 transition-all shadow-lg shadow-primary/20 hover:shadow-xl hover:shadow-primary/30 mt-6"
           size="lg"
         >
@@ -353,11 +1009,20 @@ export default function SendPayment({ publicKey, onTransactionComplete, prefille
         </Button>
       </form>
 
-      {/* Testnet reminder */}
+      {/* Review step before signing */}
+      <TransactionReviewDialog
+        transactions={review?.transactions}
+        onConfirm={handleConfirmPayment}
+        onCancel={() => setReview(null)}
+      />
+
+      {/* Network reminder */}
       <div className="flex items-center gap-2 mt-4 p-3 rounded-lg bg-muted/30 border border-border/50">
         <AlertCircle className="h-4 w-4 text-muted-foreground flex-shrink-0" />
         <p className="text-xs text-muted-foreground leading-relaxed">
-          This is Stellar Testnet. Transactions use test XLM only.
+          {network.id === "mainnet"
+            ? "This is Stellar Mainnet. Transactions move real XLM."
+            : `This is Stellar ${network.name}. Transactions use test XLM only.`}
         </p>
       </div>
     </div>
@@ -1,17 +1,20 @@
 /**
  * TransactionHistory Component
  * 
- * Displays the user's recent XLM transactions fetched from Horizon
- * Shows sent/received transactions with clickable addresses
+ * Displays the user's recent operations fetched from Horizon
+ * Shows sent/received payments with clickable addresses; other operations show a summary
  * Allows selecting an address to use as recipient
+ * New operations stream in live at the top of the list
  */
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import {
   getTransactionHistory,
   getExplorerUrl,
   getAccountExplorerUrl,
+  shortenAddress,
 } from "@/stellar/stellarClient";
+import { useAccountStream } from "@/hooks/use-account-stream";
 import { Button } from "@/components/ui/button";
 import {
   History,
@@ -22,13 +25,20 @@ import {
   AlertCircle,
   Copy,
   Check,
+  Settings2,
 } from "lucide-react";
 
+// Number of recent operations shown
+const HISTORY_LIMIT = 20;
+
 export default function TransactionHistory({ publicKey, onSelectAddress, refreshTrigger }) {
   const [transactions, setTransactions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [copiedId, setCopiedId] = useState(null);
+  // The account on screen; responses for an account switched away from are dropped
+  const accountRef = useRef(publicKey);
+  accountRef.current = publicKey;
 
   /**
    * Fetches transaction history from Horizon
@@ -40,32 +50,43 @@ export default function TransactionHistory({ publicKey, onSelectAddress, refresh
     setError(null);
 
     try {
-      const history = await getTransactionHistory(publicKey, 20);
+      const history = await getTransactionHistory(publicKey, HISTORY_LIMIT);
+      if (accountRef.current !== publicKey) return;
       setTransactions(history);
     } catch (err) {
+      if (accountRef.current !== publicKey) return;
       console.error("Error fetching transaction history:", err);
       setError(err.message || "Failed to fetch transaction history");
     } finally {
-      setIsLoading(false);
+      if (accountRef.current === publicKey) setIsLoading(false);
     }
   }, [publicKey]);
 
+  // Another account's operations never show under this one
+  useEffect(() => {
+    setTransactions([]);
+  }, [publicKey]);
+
   // Fetch on mount and when publicKey or refreshTrigger changes
   useEffect(() => {
     if (publicKey) {
       fetchHistory();
-    } else {
-      setTransactions([]);
     }
   }, [publicKey, fetchHistory, refreshTrigger]);
 
+  // Prepend streamed operations, keeping the list at its original length
+  useAccountStream(publicKey, {
+    onOperation: (record) => {
+      setTransactions((prev) =>
+        prev.some((tx) => tx.id === record.id) ? prev : [record, ...prev].slice(0, HISTORY_LIMIT)
+      );
+    },
+  });
+
   /**
-   * Formats a public key for display
+   * Formats a public key or muxed address for display
    */
-  const formatAddress = (address) => {
-    if (!address) return "";
-    return `${address.slice(0, 6)}...${address.slice(-6)}`;
-  };
+  const formatAddress = (address) => shortenAddress(address, 6);
 
   /**
    * Formats the transaction date
@@ -173,37 +194,49 @@ export default function TransactionHistory({ publicKey, onSelectAddress, refresh
             >
               <div className="flex items-start justify-between gap-3">
                 {/* Direction icon and amount */}
-                <div className="flex items-center gap-3">
+                <div className="flex items-center gap-3 min-w-0">
                   <div
-                    className={`p-2 rounded-full ${
+                    className={`p-2 rounded-full flex-shrink-0 ${
                       tx.direction === "sent"
                         ? "bg-destructive/10"
-                        : "bg-success/10"
+                        : tx.direction === "received"
+                          ? "bg-success/10"
+                          : "bg-primary/10"
                     }`}
                   >
                     {tx.direction === "sent" ? (
                       <ArrowUpRight className="h-4 w-4 text-destructive" />
-                    ) : (
+                    ) : tx.direction === "received" ? (
                       <ArrowDownLeft className="h-4 w-4 text-success" />
+                    ) : (
+                      <Settings2 className="h-4 w-4 text-primary" />
                     )}
                   </div>
-                  <div>
-                    <div className="flex items-baseline gap-1">
-                      <span
-                        className={`font-semibold ${
-                          tx.direction === "sent"
-                            ? "text-destructive"
-                            : "text-success"
-                        }`}
-                      >
-                        {tx.direction === "sent" ? "-" : "+"}
-                        {parseFloat(tx.amount).toLocaleString(undefined, {
-                          minimumFractionDigits: 2,
-                          maximumFractionDigits: 7,
-                        })}
-                      </span>
-                      <span className="text-xs text-muted-foreground">XLM</span>
-                    </div>
+                  <div className="min-w-0">
+                    {tx.amount ? (
+                      <div className="flex items-baseline gap-1">
+                        <span
+                          className={`font-semibold ${
+                            tx.direction === "sent"
+                              ? "text-destructive"
+                              : tx.direction === "received"
+                                ? "text-success"
+                                : "text-foreground"
+                          }`}
+                        >
+                          {tx.direction === "sent" ? "-" : tx.direction === "received" ? "+" : ""}
+                          {parseFloat(tx.amount).toLocaleString(undefined, {
+                            minimumFractionDigits: 2,
+                            maximumFractionDigits: 7,
+                          })}
+                        </span>
+                        <span className="text-xs text-muted-foreground">{tx.asset?.split(":")[0]}</span>
+                      </div>
+                    ) : (
+                      <p className="text-sm font-medium text-foreground truncate" title={tx.summary}>
+                        {tx.summary}
+                      </p>
+                    )}
                     <p className="text-xs text-muted-foreground mt-0.5">
                       {formatDate(tx.timestamp)}
                     </p>
@@ -212,32 +245,36 @@ export default function TransactionHistory({ publicKey, onSelectAddress, refresh
 
                 {/* Other party address */}
                 <div className="text-right flex-shrink-0">
-                  <div className="flex items-center gap-1">
-                    <span className="text-xs text-muted-foreground">
-                      {tx.direction === "sent" ? "To:" : "From:"}
-                    </span>
-                    <button
-                      onClick={() => onSelectAddress?.(tx.otherParty)}
-                      className="font-mono text-xs text-primary hover:text-primary/80 transition-colors cursor-pointer"
-                      title="Click to use this address"
-                    >
-                      {formatAddress(tx.otherParty)}
-                    </button>
-                  </div>
-                  
+                  {tx.otherParty && (
+                    <div className="flex items-center gap-1">
+                      <span className="text-xs text-muted-foreground">
+                        {tx.direction === "sent" ? "To:" : tx.direction === "received" ? "From:" : "Account:"}
+                      </span>
+                      <button
+                        onClick={() => onSelectAddress?.(tx.otherPartyMuxed || tx.otherParty)}
+                        className="font-mono text-xs text-primary hover:text-primary/80 transition-colors cursor-pointer"
+                        title="Click to use this address"
+                      >
+                        {formatAddress(tx.otherPartyMuxed || tx.otherParty)}
+                      </button>
+                    </div>
+                  )}
+
                   {/* Action buttons */}
                   <div className="flex items-center gap-1 mt-1 justify-end">
-                    <button
-                      onClick={() => copyAddress(tx.otherParty, tx.id)}
-                      className="p-1 text-muted-foreground hover:text-foreground transition-colors"
-                      title="Copy address"
-                    >
-                      {copiedId === tx.id ? (
-                        <Check className="h-3 w-3 text-success" />
-                      ) : (
-                        <Copy className="h-3 w-3" />
-                      )}
-                    </button>
+                    {tx.otherParty && (
+                      <button
+                        onClick={() => copyAddress(tx.otherPartyMuxed || tx.otherParty, tx.id)}
+                        className="p-1 text-muted-foreground hover:text-foreground transition-colors"
+                        title="Copy address"
+                      >
+                        {copiedId === tx.id ? (
+                          <Check className="h-3 w-3 text-success" />
+                        ) : (
+                          <Copy className="h-3 w-3" />
+                        )}
+                      </button>
+                    )}
                     {tx.hash && (
                       <a
                         href={getExplorerUrl(tx.hash)}
@@ -249,15 +286,17 @@ export default function TransactionHistory({ publicKey, onSelectAddress, refresh
                         <ExternalLink className="h-3 w-3" />
                       </a>
                     )}
-                    <a
-                      href={getAccountExplorerUrl(tx.otherParty)}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      className="p-1 text-muted-foreground hover:text-foreground transition-colors"
-                      title="View account on explorer"
-                    >
-                      <ExternalLink className="h-3 w-3" />
-                    </a>
+                    {tx.otherParty && (
+                      <a
+                        href={getAccountExplorerUrl(tx.otherParty)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="p-1 text-muted-foreground hover:text-foreground transition-colors"
+                        title="View account on explorer"
+                      >
+                        <ExternalLink className="h-3 w-3" />
+                      </a>
+                    )}
                   </div>
                 </div>
               </div>
@@ -266,7 +305,8 @@ export default function TransactionHistory({ publicKey, onSelectAddress, refresh
               {tx.memo && (
                 <div className="mt-2 pt-2 border-t border-border/50">
                   <p className="text-xs text-muted-foreground">
-                    Memo: <span className="text-foreground">{tx.memo}</span>
+                    Memo{tx.memoType && tx.memoType !== "text" ? ` (${tx.memoType})` : ""}:{" "}
+                    <span className="text-foreground break-all">{tx.memo}</span>
                   </p>
                 </div>
               )}
@@ -0,0 +1,205 @@
+/**
+ * TransactionReviewDialog Component
+ *
+ * Shows the decoded transaction before it goes to the wallet for signing:
+ * operation type, destination, amount (or trustline asset and limit), fee, memo,
+ * timeout and sequence number.
+ * Warns loudly when a payment will create a brand new account. Batch payments
+ * are shown as one section per transaction.
+ */
+
+import { useEffect, useState } from "react";
+import { stroopsToXlm } from "@/stellar/stellarClient";
+import { useSigner } from "@/hooks/use-signer";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import { Badge } from "@/components/ui/badge";
+import { AlertTriangle } from "lucide-react";
+
+// Limit a changeTrust op gets when none is given (max int64 in stroops)
+const MAX_TRUSTLINE_LIMIT = "922337203685.4775807";
+
+// Labels for operation types the review can show
+const OPERATION_LABELS = {
+  payment: "Payment",
+  createAccount: "Create Account",
+  changeTrust: "Change Trust",
+};
+
+/**
+ * Formats an asset identifier for display
+ */
+const formatAsset = (asset) => {
+  if (!asset) return "";
+  const [code, issuer] = asset.split(":");
+  return issuer ? `${code} (${issuer.slice(0, 4)}...${issuer.slice(-4)})` : code;
+};
+
+/**
+ * Formats a trustline limit; "0" removes the trustline
+ */
+const formatLimit = (limit) => {
+  if (parseFloat(limit) === 0) return "0 (removes the trustline)";
+  if (limit === MAX_TRUSTLINE_LIMIT) return "Maximum";
+  return parseFloat(limit).toLocaleString(undefined, { maximumFractionDigits: 7 });
+};
+
+/**
+ * A single label/value row
+ */
+function ReviewRow({ label, children }) {
+  return (
+    <div className="flex items-start justify-between gap-4 py-2 border-b border-border/50 last:border-0">
+      <span className="text-sm text-muted-foreground flex-shrink-0">{label}</span>
+      <span className="text-sm text-foreground text-right break-all">{children}</span>
+    </div>
+  );
+}
+
+/**
+ * Operations and details of one transaction
+ */
+function TransactionDetails({ transaction, secondsLeft }) {
+  return (
+    <>
+      {/* Operations */}
+      {transaction.operations.map((op, index) => (
+        <div key={index} className="p-3 rounded-lg bg-muted/30 border border-border/50">
+          <div className="flex items-center justify-between mb-1">
+            <Badge variant={op.type === "createAccount" ? "destructive" : "outline"} className="text-xs">
+              {OPERATION_LABELS[op.type] || op.type}
+            </Badge>
+            {transaction.operations.length > 1 && (
+              <span className="text-xs text-muted-foreground">#{index + 1}</span>
+            )}
+          </div>
+          {op.destination && (
+            <ReviewRow label="Destination">
+              <span className="font-mono text-xs">{op.destination}</span>
+            </ReviewRow>
+          )}
+          {op.type === "changeTrust" && (
+            <>
+              <ReviewRow label="Asset">{formatAsset(op.asset)}</ReviewRow>
+              <ReviewRow label="Limit">{formatLimit(op.limit)}</ReviewRow>
+            </>
+          )}
+          {op.amount && (
+            <ReviewRow label="Amount">
+              <span className="font-semibold">
+                {op.amount} {formatAsset(op.asset)}
+              </span>
+            </ReviewRow>
+          )}
+        </div>
+      ))}
+
+      {/* Transaction details */}
+      <div>
+        <ReviewRow label="Fee">
+          {parseFloat(stroopsToXlm(transaction.fee))} XLM ({transaction.fee} stroops)
+        </ReviewRow>
+        <ReviewRow label="Memo">
+          {transaction.memo.type === "none" ? (
+            <span className="text-muted-foreground">None</span>
+          ) : (
+            <span className="font-mono text-xs">
+              {transaction.memo.value} <span className="text-muted-foreground">({transaction.memo.type})</span>
+            </span>
+          )}
+        </ReviewRow>
+        <ReviewRow label="Timeout">
+          {secondsLeft === null
+            ? "None"
+            : secondsLeft > 0
+              ? `Expires in ${Math.floor(secondsLeft / 60)}:${String(secondsLeft % 60).padStart(2, "0")}`
+              : "Expired — build the transaction again"}
+        </ReviewRow>
+        <ReviewRow label="Sequence">
+          <span className="font-mono text-xs">{transaction.sequence}</span>
+        </ReviewRow>
+      </div>
+    </>
+  );
+}
+
+/**
+ * Takes the decoded transactions of one send; batch payments may span several
+ */
+export default function TransactionReviewDialog({ transactions, onConfirm, onCancel }) {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const isOpen = !!transactions && transactions.length > 0;
+  const signer = useSigner();
+
+  // Keep the expiry countdown current while the dialog is open
+  useEffect(() => {
+    if (!isOpen) return;
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(interval);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const createsAccount = transactions.some((tx) => tx.operations.some((op) => op.type === "createAccount"));
+  // All transactions of a batch are built together, so the first one expires first
+  const maxTime = transactions[0].maxTime;
+  const secondsLeft = maxTime > 0 ? Math.max(maxTime - now, 0) : null;
+
+  return (
+    <AlertDialog open={isOpen} onOpenChange={(open) => !open && onCancel()}>
+      <AlertDialogContent className="max-h-[90vh] overflow-y-auto">
+        <AlertDialogHeader>
+          <AlertDialogTitle>
+            {transactions.length > 1 ? `Review ${transactions.length} Transactions` : "Review Transaction"}
+          </AlertDialogTitle>
+          <AlertDialogDescription>
+            Check every detail before approving in {signer.name}. Stellar payments cannot be reversed.
+            {transactions.length > 1 && ` ${signer.name} will ask you to approve each transaction in turn.`}
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+
+        {/* New account warning */}
+        {createsAccount && (
+          <div className="flex items-start gap-3 p-3 rounded-lg bg-warning/10 border-2 border-warning/30">
+            <AlertTriangle className="h-5 w-5 text-warning mt-0.5 flex-shrink-0" />
+            <p className="text-sm text-warning leading-relaxed">
+              {transactions.length > 1 || transactions[0].operations.length > 1
+                ? "Some destination accounts do not exist yet. Those payments will "
+                : "The destination account does not exist yet. This will "}
+              <strong>create a new account</strong> funded with the amount below. Double-check the
+              address — funds sent to a mistyped address cannot be recovered.
+            </p>
+          </div>
+        )}
+
+        {transactions.length === 1 ? (
+          <TransactionDetails transaction={transactions[0]} secondsLeft={secondsLeft} />
+        ) : (
+          transactions.map((transaction, index) => (
+            <div key={index} className="space-y-2">
+              <p className="text-sm font-medium text-foreground">
+                Transaction {index + 1} of {transactions.length}
+              </p>
+              <TransactionDetails transaction={transaction} secondsLeft={secondsLeft} />
+            </div>
+          ))
+        )}
+
+        <AlertDialogFooter>
+          <AlertDialogCancel>Cancel</AlertDialogCancel>
+          <AlertDialogAction onClick={onConfirm} disabled={secondsLeft === 0}>
+            {transactions.length > 1 ? "Confirm & Sign All" : "Confirm & Sign"}
+          </AlertDialogAction>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+}
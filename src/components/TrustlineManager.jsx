@@ -0,0 +1,461 @@
+/**
+ * TrustlineManager Component
+ *
+ * Lets the user opt in to issued assets and manage existing trustlines:
+ * 1. Search for an asset by code, or enter it as CODE:ISSUER
+ * 2. Add a trustline with an optional limit
+ * 3. Change the limit of an existing trustline
+ * 4. Remove a trustline once its balance is zero
+ *
+ * Transactions are built with stellar-sdk, reviewed, and signed with the connected
+ * wallet, the same way as in SendPayment
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import {
+  getBalances,
+  getAssetId,
+  getSpendableBalance,
+  searchAssets,
+  buildChangeTrustTransaction,
+  decodeTransaction,
+  submitTransaction,
+  stroopsToXlm,
+  BASE_FEE,
+  NETWORK_PASSPHRASE,
+} from "@/stellar/stellarClient";
+import { useNetwork } from "@/hooks/use-network";
+import { useSigner } from "@/hooks/use-signer";
+import { useWalletSession } from "@/hooks/use-wallet-session";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import TransactionReviewDialog from "@/components/TransactionReviewDialog";
+import {
+  ShieldCheck,
+  Search,
+  Plus,
+  Trash2,
+  Pencil,
+  Check,
+  X,
+  Loader2,
+  AlertCircle,
+} from "lucide-react";
+import { toast } from "sonner";
+
+export default function TrustlineManager({ publicKey, onTrustlineChange, refreshTrigger }) {
+  const [trustlines, setTrustlines] = useState([]);
+  const [assetInput, setAssetInput] = useState("");
+  const [limitInput, setLimitInput] = useState("");
+  const [searchResults, setSearchResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [pendingAsset, setPendingAsset] = useState(null); // asset id currently being signed
+  const [editing, setEditing] = useState(null); // { assetId, limit }
+  const [review, setReview] = useState(null); // { xdr, transactions, successMessage, onSuccess } awaiting confirmation
+  const [error, setError] = useState(null);
+  const network = useNetwork();
+  const signer = useSigner();
+  const { watchOnly } = useWalletSession();
+
+  /**
+   * Loads the account's current trustlines
+   */
+  const fetchTrustlines = useCallback(async () => {
+    if (!publicKey) return;
+
+    try {
+      const balances = await getBalances(publicKey);
+      setTrustlines(balances.filter((b) => b.assetType !== "native" && b.assetType !== "liquidity_pool_shares"));
+    } catch (err) {
+      console.error("Error fetching trustlines:", err);
+      setTrustlines([]);
+    }
+  }, [publicKey, network]);
+
+  useEffect(() => {
+    fetchTrustlines();
+  }, [fetchTrustlines, refreshTrigger]);
+
+  /**
+   * Looks up assets by code when the input isn't already CODE:ISSUER
+   */
+  const handleSearch = async () => {
+    const code = assetInput.trim();
+    if (!code || code.includes(":")) return;
+
+    setIsSearching(true);
+    setError(null);
+    try {
+      const results = await searchAssets(code);
+      setSearchResults(results);
+      if (results.length === 0) {
+        toast.info(`No assets found with code ${code}`);
+      }
+    } catch (err) {
+      console.error("Asset search error:", err);
+      setError(err.message || "Asset search failed");
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  /**
+   * Shows why a trustline change failed
+   */
+  const handleTrustlineError = (err) => {
+    console.error("Trustline error:", err);
+    let errorMsg = err.message || "Trustline update failed. Please try again.";
+    if (err.declined) {
+      errorMsg = `Transaction was rejected in ${signer.name}`;
+    }
+    setError(errorMsg);
+    toast.error("Trustline update failed", { description: errorMsg });
+  };
+
+  /**
+   * Builds a changeTrust transaction and opens it for review
+   * A new trustline is only built once the account can cover its extra reserve and the fee
+   *
+   * @param {string} assetId - The asset as CODE:ISSUER
+   * @param {string} [limit] - New limit; "0" removes the trustline
+   * @param {string} successMessage - Toast shown once the transaction lands
+   * @param {Function} [onSuccess] - Called once the transaction lands
+   */
+  const changeTrust = async (assetId, limit, successMessage, onSuccess) => {
+    setError(null);
+    setPendingAsset(assetId);
+
+    try {
+      // Ensure the wallet is still connected
+      if (!(await signer.getPublicKey())) {
+        toast.info("Requesting wallet permission...");
+        await signer.connect();
+      }
+
+      // Each trustline is a subentry, raising the minimum balance by one base reserve
+      if (!trustlines.some((t) => getAssetId(t) === assetId)) {
+        const reserve = await getSpendableBalance(publicKey, BASE_FEE);
+        if (parseFloat(reserve.spendable) < parseFloat(reserve.baseReserve)) {
+          throw new Error(
+            `Not enough XLM to add a trustline: it raises your minimum balance by ${parseFloat(reserve.baseReserve)} XLM, ` +
+              `plus the ${parseFloat(stroopsToXlm(BASE_FEE))} XLM fee`
+          );
+        }
+      }
+
+      const transactionXDR = await buildChangeTrustTransaction(publicKey, assetId, limit);
+
+      // Signing only continues once the user confirms in the dialog
+      setReview({ xdr: transactionXDR, transactions: [decodeTransaction(transactionXDR)], successMessage, onSuccess });
+    } catch (err) {
+      handleTrustlineError(err);
+      setPendingAsset(null);
+    }
+  };
+
+  /**
+   * Signs the reviewed transaction with the connected wallet and submits it
+   */
+  const handleConfirm = async () => {
+    const { xdr, successMessage, onSuccess } = review;
+    setReview(null);
+
+    try {
+      toast.info(`Please approve the transaction in ${signer.name}`);
+      const signedXDR = await signer.signTransaction(xdr, {
+        networkPassphrase: NETWORK_PASSPHRASE,
+        address: publicKey,
+      });
+
+      await submitTransaction(signedXDR);
+      toast.success(successMessage);
+      if (onSuccess) {
+        onSuccess();
+      }
+
+      await fetchTrustlines();
+      if (onTrustlineChange) {
+        onTrustlineChange();
+      }
+    } catch (err) {
+      handleTrustlineError(err);
+    } finally {
+      setPendingAsset(null);
+    }
+  };
+
+  const handleCancelReview = () => {
+    setReview(null);
+    setPendingAsset(null);
+  };
+
+  /**
+   * Adds a trustline for the entered or selected asset
+   */
+  const handleAdd = async (assetId = assetInput.trim()) => {
+    if (!assetId.includes(":")) {
+      setError("Enter the asset as CODE:ISSUER, or search by code and pick a result");
+      return;
+    }
+
+    const code = assetId.split(":")[0];
+    await changeTrust(assetId, limitInput.trim() || undefined, `Trustline for ${code} added`, () => {
+      setAssetInput("");
+      setLimitInput("");
+      setSearchResults([]);
+    });
+  };
+
+  /**
+   * Saves a new limit for an existing trustline
+   */
+  const handleSaveLimit = async () => {
+    const code = editing.assetId.split(":")[0];
+    await changeTrust(editing.assetId, editing.limit.trim() || undefined, `${code} limit updated`, () =>
+      setEditing(null)
+    );
+  };
+
+  /**
+   * Removes a trustline (only allowed at zero balance)
+   */
+  const handleRemove = (trustline) => {
+    changeTrust(getAssetId(trustline), "0", `Trustline for ${trustline.assetCode} removed`);
+  };
+
+  const formatIssuer = (issuer) => `${issuer.slice(0, 4)}...${issuer.slice(-4)}`;
+
+  const formatAmount = (value) =>
+    parseFloat(value).toLocaleString(undefined, { maximumFractionDigits: 7 });
+
+  // Watched accounts can't sign, so every action stays disabled for them
+  const isBusy = pendingAsset !== null || watchOnly;
+
+  // Wallet not connected
+  if (!publicKey) {
+    return null;
+  }
+
+  return (
+    <div className="glass-card p-6">
+      {/* Header */}
+      <div className="flex items-center gap-3 mb-6">
+        <div className="p-3 rounded-xl bg-gradient-to-br from-primary/20 to-primary/5">
+          <ShieldCheck className="h-6 w-6 text-primary" />
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-foreground">Trustlines</h3>
+          <p className="text-xs text-muted-foreground">
+            {watchOnly
+              ? "Watch-only: connect this account's wallet to change trustlines"
+              : "Opt in to issued assets before you can receive them"}
+          </p>
+        </div>
+      </div>
+
+      {/* Error message */}
+      {error && (
+        <div className="mb-4 flex items-start gap-2 p-3 rounded-lg bg-destructive/10 border border-destructive/20 animate-in fade-in slide-in-from-top duration-300">
+          <AlertCircle className="h-4 w-4 text-destructive mt-0.5 flex-shrink-0" />
+          <p className="text-sm text-destructive">{error}</p>
+        </div>
+      )}
+
+      {/* Add trustline form */}
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (assetInput.includes(":")) {
+            handleAdd();
+          } else {
+            handleSearch();
+          }
+        }}
+        className="grid sm:grid-cols-[1fr_160px_auto] gap-3 items-end"
+      >
+        <div className="space-y-2">
+          <Label htmlFor="trust-asset" className="text-sm font-medium text-foreground">
+            Asset
+          </Label>
+          <Input
+            id="trust-asset"
+            type="text"
+            placeholder="USDC or USDC:GABC...XYZ"
+            value={assetInput}
+            onChange={(e) => {
+              setAssetInput(e.target.value);
+              setSearchResults([]);
+            }}
+            disabled={isBusy}
+            className="font-mono text-sm bg-muted/30 border-border/50"
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="trust-limit" className="text-sm font-medium text-foreground">
+            Limit (optional)
+          </Label>
+          <Input
+            id="trust-limit"
+            type="number"
+            step="0.0000001"
+            min="0"
+            placeholder="Max"
+            value={limitInput}
+            onChange={(e) => setLimitInput(e.target.value)}
+            disabled={isBusy}
+            className="bg-muted/30 border-border/50"
+          />
+        </div>
+        {assetInput.includes(":") ? (
+          <Button type="submit" disabled={isBusy} className="gap-2">
+            {pendingAsset === assetInput.trim() ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <Plus className="h-4 w-4" />
+            )}
+            Add
+          </Button>
+        ) : (
+          <Button type="submit" variant="outline" disabled={isBusy || isSearching || !assetInput.trim()} className="gap-2">
+            {isSearching ? <Loader2 className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+            Search
+          </Button>
+        )}
+      </form>
+
+      {/* Search results */}
+      {searchResults.length > 0 && (
+        <div className="mt-4 space-y-2 animate-in fade-in duration-300">
+          {searchResults.map((result) => {
+            const assetId = `${result.assetCode}:${result.assetIssuer}`;
+            const alreadyTrusted = trustlines.some((t) => getAssetId(t) === assetId);
+            return (
+              <div
+                key={assetId}
+                className="flex items-center justify-between gap-3 p-3 rounded-lg bg-muted/30 border border-border/50"
+              >
+                <div className="min-w-0">
+                  <p className="font-semibold text-foreground">{result.assetCode}</p>
+                  <p className="text-xs text-muted-foreground font-mono truncate" title={result.assetIssuer}>
+                    {formatIssuer(result.assetIssuer)} · {result.accounts} holders
+                  </p>
+                </div>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={isBusy || alreadyTrusted}
+                  onClick={() => handleAdd(assetId)}
+                  className="gap-1 flex-shrink-0"
+                >
+                  {pendingAsset === assetId ? (
+                    <Loader2 className="h-3 w-3 animate-spin" />
+                  ) : (
+                    <Plus className="h-3 w-3" />
+                  )}
+                  {alreadyTrusted ? "Trusted" : "Trust"}
+                </Button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Existing trustlines */}
+      <div className="mt-6 space-y-2">
+        <p className="text-xs font-medium text-muted-foreground uppercase tracking-wide">
+          Your trustlines
+        </p>
+        {trustlines.length === 0 && (
+          <p className="text-sm text-muted-foreground">No trustlines yet</p>
+        )}
+        {trustlines.map((trustline) => {
+          const assetId = getAssetId(trustline);
+          const isEditing = editing?.assetId === assetId;
+          const canRemove =
+            parseFloat(trustline.balance) === 0 &&
+            parseFloat(trustline.buyingLiabilities) === 0 &&
+            parseFloat(trustline.sellingLiabilities) === 0;
+
+          return (
+            <div
+              key={assetId}
+              className="flex items-center justify-between gap-3 p-3 rounded-lg bg-muted/30 border border-border/50"
+            >
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-semibold text-foreground">{trustline.assetCode}</span>
+                  {!trustline.isAuthorized && (
+                    <Badge variant="destructive" className="text-[10px]">
+                      Not authorized
+                    </Badge>
+                  )}
+                </div>
+                <p className="text-xs text-muted-foreground font-mono truncate" title={trustline.assetIssuer}>
+                  {formatIssuer(trustline.assetIssuer)} · {formatAmount(trustline.balance)} of{" "}
+                  {formatAmount(trustline.limit)}
+                </p>
+              </div>
+
+              {isEditing ? (
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  <Input
+                    type="number"
+                    step="0.0000001"
+                    min="0"
+                    placeholder="Max"
+                    value={editing.limit}
+                    onChange={(e) => setEditing({ assetId, limit: e.target.value })}
+                    disabled={isBusy}
+                    className="h-8 w-32 text-sm bg-muted/30 border-border/50"
+                  />
+                  <Button size="icon" variant="ghost" className="h-8 w-8" onClick={handleSaveLimit} disabled={isBusy} title="Save limit">
+                    {pendingAsset === assetId ? <Loader2 className="h-4 w-4 animate-spin" /> : <Check className="h-4 w-4 text-success" />}
+                  </Button>
+                  <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => setEditing(null)} disabled={isBusy} title="Cancel">
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+              ) : (
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="h-8 w-8"
+                    onClick={() => setEditing({ assetId, limit: trustline.limit })}
+                    disabled={isBusy}
+                    title="Change limit"
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    size="icon"
+                    variant="ghost"
+                    className="h-8 w-8 text-destructive hover:text-destructive hover:bg-destructive/10"
+                    onClick={() => handleRemove(trustline)}
+                    disabled={isBusy || !canRemove}
+                    title={canRemove ? "Remove trustline" : "Balance must be zero to remove"}
+                  >
+                    {pendingAsset === assetId && !isEditing ? (
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                    ) : (
+                      <Trash2 className="h-4 w-4" />
+                    )}
+                  </Button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Review step before signing */}
+      <TransactionReviewDialog
+        transactions={review?.transactions}
+        onConfirm={handleConfirm}
+        onCancel={handleCancelReview}
+      />
+    </div>
+  );
+}
@@ -1,155 +1,128 @@
 /**
  * WalletConnect Component
  * 
- * Handles Freighter wallet connection/disconnection
+ * Lets the user pick a wallet (Freighter, xBull, Albedo or WalletConnect) and connect it
  * Displays the connected wallet's public key
  * 
- * Freighter is a browser extension wallet for Stellar
- * Similar to MetaMask for Ethereum
+ * Wallets are used through the signer interface in @/stellar/signers, so the
+ * picked wallet becomes the one every transaction is signed with.
+ * With autoReconnect off, a still-authorized wallet waits to be picked instead
+ * of reconnecting on mount (e.g. while an account is being watched).
  */
 
-import { useState, useEffect, useCallback } from "react";
-import {
-  isConnected,
-  isAllowed,
-  setAllowed,
-  requestAccess,
-  getAddress,
-  getNetwork,
-} from "@stellar/freighter-api";
+import { useState, useEffect } from "react";
+import { isActiveNetwork, getAccountExplorerUrl } from "@/stellar/stellarClient";
+import { SIGNERS, setSigner } from "@/stellar/signers";
+import { useNetwork } from "@/hooks/use-network";
+import { useSigner } from "@/hooks/use-signer";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Wallet, LogOut, AlertCircle, ExternalLink, CheckCircle, Copy, Check, Loader2, RefreshCw } from "lucide-react";
 import { toast } from "sonner";
 
-export default function WalletConnect({ onConnect, onDisconnect, publicKey }) {
-  const [isLoading, setIsLoading] = useState(false);
+export default function WalletConnect({ onConnect, onDisconnect, publicKey, autoReconnect = true }) {
+  const [connectingId, setConnectingId] = useState(null);
   const [error, setError] = useState(null);
-  const [freighterInstalled, setFreighterInstalled] = useState(null);
+  const [availability, setAvailability] = useState(null);
   const [networkCorrect, setNetworkCorrect] = useState(true);
   const [copied, setCopied] = useState(false);
   const [currentNetwork, setCurrentNetwork] = useState(null);
-
-  // Check if Freighter is installed on component mount
-  useEffect(() => {
-    checkFreighterStatus();
-  }, []);
+  const network = useNetwork();
+  const activeSigner = useSigner();
 
   /**
-   * Checks if Freighter extension is installed and accessible
+   * Verifies the wallet is connected to the active Stellar network
+   * Wallets that don't report a network sign for whichever one they're given
+   *
+   * @returns {Promise<object>} - { onActiveNetwork, networkPassphrase } with the wallet's passphrase if it reports one
    */
-  const checkFreighterStatus = async () => {
+  const checkNetwork = async (signer) => {
     try {
-      const connectedResult = await isConnected();
-      const connected = connectedResult.isConnected || connectedResult;
-      setFreighterInstalled(connected);
-      
-      if (connected) {
-        const allowedResult = await isAllowed();
-        const allowed = allowedResult.isAllowed || allowedResult;
-        
-        if (allowed) {
-          const addressObj = await getAddress();
-          
-          if (addressObj.address) {
-            const networkResult = await getNetwork();
-            const networkName = networkResult.network || networkResult;
-            const isTestnet = networkName === "TESTNET";
-            
-            if (isTestnet) {
-              setCurrentNetwork(networkName);
-              setNetworkCorrect(true);
-              onConnect(addressObj.address);
-            } else {
-              setCurrentNetwork(networkName);
-              setNetworkCorrect(false);
-            }
-          }
-        }
+      const walletNetwork = await signer.getNetwork();
+      if (!walletNetwork) {
+        setCurrentNetwork(network.name);
+        setNetworkCorrect(true);
+        return { onActiveNetwork: true, networkPassphrase: null };
       }
+
+      setCurrentNetwork(walletNetwork.network);
+      const onActiveNetwork = isActiveNetwork(walletNetwork.network, walletNetwork.networkPassphrase);
+      setNetworkCorrect(onActiveNetwork);
+      return { onActiveNetwork, networkPassphrase: walletNetwork.networkPassphrase || null };
     } catch (err) {
-      console.error("Error checking Freighter status:", err);
-      setFreighterInstalled(false);
+      console.error("Error checking network:", err);
+      setCurrentNetwork(null);
+      return { onActiveNetwork: false, networkPassphrase: null };
     }
   };
 
   /**
-   * Verifies the wallet is connected to Stellar Testnet
+   * Checks which wallets are available, and reconnects the last used one
+   * without prompting if it's still authorized
    */
-  const checkNetwork = async () => {
+  const checkWallets = async () => {
+    const results = await Promise.all(SIGNERS.map((signer) => signer.isAvailable().catch(() => false)));
+    setAvailability(Object.fromEntries(SIGNERS.map((signer, index) => [signer.id, results[index]])));
+
+    const signer = SIGNERS.find((candidate) => candidate.id === activeSigner.id);
+    if (!autoReconnect || !signer || !results[SIGNERS.indexOf(signer)]) return;
+
     try {
-      const networkResult = await getNetwork();
-      const networkName = networkResult.network || networkResult;
-      setCurrentNetwork(networkName);
-      
-      const isTestnet = networkName === "TESTNET";
-      setNetworkCorrect(isTestnet);
-      
-      return isTestnet;
+      const address = await signer.getPublicKey();
+      if (!address) return;
+
+      const { onActiveNetwork, networkPassphrase } = await checkNetwork(signer);
+      if (onActiveNetwork) {
+        onConnect(address, networkPassphrase);
+      }
     } catch (err) {
-      console.error("Error checking network:", err);
-      setCurrentNetwork(null);
-      return false;
+      console.error(`Error checking ${signer.name} status:`, err);
     }
   };
 
+  // Check which wallets are installed on component mount
+  useEffect(() => {
+    checkWallets();
+  }, []);
+
   /**
-   * Connects to Freighter wallet
-   * @param {boolean} silent - If true, don't show errors (for auto-connect)
+   * Connects a wallet and makes it the active signer
+   * @param {object} signer - The wallet to connect, from SIGNERS
    */
-  const connectWallet = useCallback(async (silent = false) => {
-    setIsLoading(true);
+  const connectWallet = async (signer) => {
+    setConnectingId(signer.id);
     setError(null);
 
     try {
-      const accessObj = await requestAccess();
-      
-      if (accessObj.error) {
-        throw new Error(accessObj.error);
-      }
-      
-      const pubKey = accessObj.address;
-      
-      if (!pubKey) {
-        throw new Error("Could not retrieve public key from Freighter");
-      }
+      const pubKey = await signer.connect();
 
-      const networkResult = await getNetwork();
-      const networkName = networkResult.network || networkResult;
-      setCurrentNetwork(networkName);
-      
-      const isTestnet = networkName === "TESTNET";
-      setNetworkCorrect(isTestnet);
-      
-      if (!isTestnet) {
-        const errorMsg = `Please switch to Stellar Testnet in Freighter settings (currently on ${networkName})`;
+      const { onActiveNetwork, networkPassphrase } = await checkNetwork(signer);
+      if (!onActiveNetwork) {
+        const errorMsg = `Please switch to Stellar ${network.name} in ${signer.name}`;
         setError(errorMsg);
-        if (!silent) {
-          toast.error(errorMsg);
-        }
-        setIsLoading(false);
+        toast.error(errorMsg);
         return;
       }
 
-      onConnect(pubKey);
-      if (!silent) {
-        toast.success("Wallet connected successfully!");
-      }
+      setSigner(signer);
+      onConnect(pubKey, networkPassphrase);
+      toast.success(`Connected with ${signer.name}!`);
     } catch (err) {
       console.error("Wallet connection error:", err);
-      const errorMsg = err.message || "Failed to connect wallet";
-      if (!silent) {
-        setError(errorMsg);
-        toast.error(errorMsg);
-      }
+      const errorMsg = err.declined
+        ? `Connection was rejected in ${signer.name}`
+        : err.message || "Failed to connect wallet";
+      setError(errorMsg);
+      toast.error(errorMsg);
     } finally {
-      setIsLoading(false);
+      setConnectingId(null);
     }
-  }, [onConnect]);
+  };
 
   /**
-   * Disconnects the wallet (client-side only)
-   * Note: Freighter doesn't have a true "disconnect" - we just clear our state
+   * Disconnects the wallet
+   * The parent ends the session, which also ends WalletConnect pairings;
+   * Freighter doesn't have a true "disconnect" - for it we just clear our state
    */
   const disconnectWallet = () => {
     onDisconnect();
@@ -174,48 +147,8 @@ export default function WalletConnect({ onConnect, onDisconnect, publicKey }) {
     }
   };
 
-  // Freighter not installed - show installation prompt
-  if (freighterInstalled === false) {
-    return (
-      <div className="glass-card p-6 border-2 border-warning/20">
-        <div className="flex items-center gap-3 mb-4">
-          <div className="p-3 rounded-xl bg-gradient-to-br from-warning/20 to-warning/5">
-            <AlertCircle className="h-6 w-6 text-warning" />
-          </div>
-          <div>
-            <h3 className="text-lg font-semibold text-foreground">Freighter Required</h3>
-            <Badge variant="outline" className="mt-1 text-xs">Browser Extension</Badge>
-          </div>
-        </div>
-        <p className="text-muted-foreground mb-4 text-sm leading-relaxed">
-          Freighter is a secure wallet extension for Stellar. Install it to connect your wallet and start making transactions.
-        </p>
-        <Button
-          asChild
-          className="w-full gap-2 bg-gradient-to-r from-primary to-secondary hover:opacity-90 transition-opacity"
-        >
-          <a
-            href="https://www.freighter.app/"
-            target="_blank"
-            rel="noopener noreferrer"
-          >
-            Install Freighter
-            <ExternalLink className="h-4 w-4" />
-          </a>
-        </Button>
-        <button
-          onClick={checkFreighterStatus}
-          className="w-full mt-2 text-xs text-muted-foreground hover:text-foreground transition-colors flex items-center justify-center gap-1"
-        >
-          <RefreshCw className="h-3 w-3" />
-          Refresh after installation
-        </button>
-      </div>
-    );
-  }
-
-  // Still checking Freighter status
-  if (freighterInstalled === null) {
+  // Still checking which wallets are available
+  if (availability === null) {
     return (
       <div className="glass-card p-6">
         <div className="flex items-center gap-3">
@@ -244,10 +177,17 @@ export default function WalletConnect({ onConnect, onDisconnect, publicKey }) {
             <h3 className="text-lg font-semibold text-foreground">
               {publicKey ? "Connected" : "Wallet"}
             </h3>
-            {publicKey && currentNetwork && (
-              <Badge variant="outline" className="mt-1 text-xs">
-                {currentNetwork}
-              </Badge>
+            {publicKey && (
+              <div className="flex gap-1 mt-1">
+                <Badge variant="outline" className="text-xs">
+                  {activeSigner.name}
+                </Badge>
+                {currentNetwork && (
+                  <Badge variant="outline" className="text-xs">
+                    {currentNetwork}
+                  </Badge>
+                )}
+              </div>
             )}
           </div>
         </div>
@@ -263,7 +203,7 @@ export default function WalletConnect({ onConnect, onDisconnect, publicKey }) {
           <div className="flex-1">
             <p className="text-sm font-medium text-destructive">Wrong Network</p>
             <p className="text-xs text-destructive/80 mt-1">
-              Please switch to Stellar Testnet in Freighter settings
+              Please switch to Stellar {network.name} in {activeSigner.name} settings
             </p>
           </div>
         </div>
@@ -323,7 +263,7 @@ export default function WalletConnect({ onConnect, onDisconnect, publicKey }) {
               Disconnect
             </Button>
             <Button
-              onClick={() => window.open(`https://stellar.expert/explorer/testnet/account/${publicKey}`, '_blank')}
+              onClick={() => window.open(getAccountExplorerUrl(publicKey), '_blank')}
               variant="outline"
               className="gap-2 border-border/50 hover:bg-primary/10 hover:text-primary hover:border-primary/50 transition-all"
             >
@@ -337,28 +277,64 @@ export default function WalletConnect({ onConnect, onDisconnect, publicKey }) {
         <div className="space-y-4">
           <div className="p-4 rounded-lg bg-muted/30 border border-border/50">
             <p className="text-sm text-muted-foreground leading-relaxed">
-              Connect your Freighter wallet to view balance and send XLM on Testnet.
+              Choose a wallet to view your balance and send XLM on {network.name}.
             </p>
           </div>
           
-          <Button
-            onClick={() => connectWallet(false)}
-            disabled={isLoading}
-            className="w-full gap-2 bg-gradient-to-r from-primary to-secondary hover:opacity-90 transition-all shadow-lg shadow-primary/20 hover:shadow-xl hover:shadow-primary/30"
-            size="lg"
+          <div className="space-y-2">
+            {SIGNERS.map((signer) => {
+              const available = availability[signer.id];
+              const isConnecting = connectingId === signer.id;
+
+              return available ? (
+                <Button
+                  key={signer.id}
+                  onClick={() => connectWallet(signer)}
+                  disabled={!!connectingId}
+                  variant={signer.id === activeSigner.id ? "default" : "outline"}
+                  className="w-full justify-between gap-2"
+                  size="lg"
+                >
+                  <span className="flex items-center gap-2">
+                    <Wallet className="h-5 w-5" />
+                    {signer.name}
+                  </span>
+                  {isConnecting && <Loader2 className="h-4 w-4 animate-spin" />}
+                </Button>
+              ) : (
+                <div
+                  key={signer.id}
+                  className="flex items-center justify-between gap-2 px-4 py-2 rounded-lg border border-border/50 text-muted-foreground"
+                >
+                  <span className="flex items-center gap-2 text-sm">
+                    <Wallet className="h-4 w-4" />
+                    {signer.name}
+                  </span>
+                  {signer.installUrl ? (
+                    <a
+                      href={signer.installUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="flex items-center gap-1 text-xs hover:text-foreground transition-colors"
+                    >
+                      Install
+                      <ExternalLink className="h-3 w-3" />
+                    </a>
+                  ) : (
+                    <span className="text-xs">Not configured</span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <button
+            onClick={checkWallets}
+            className="w-full text-xs text-muted-foreground hover:text-foreground transition-colors flex items-center justify-center gap-1"
           >
-            {isLoading ? (
-              <>
-                <Loader2 className="h-5 w-5 animate-spin" />
-                Connecting...
-              </>
-            ) : (
-              <>
-                <Wallet className="h-5 w-5" />
-                Connect Freighter
-              </>
-            )}
-          </Button>
+            <RefreshCw className="h-3 w-3" />
+            Refresh after installing a wallet
+          </button>
 
           <div className="flex items-center gap-2 text-xs text-muted-foreground">
             <div className="h-px flex-1 bg-border" />
@@ -0,0 +1,38 @@
+/**
+ * WalletSessionWatcher Component
+ *
+ * Keeps the session in step with the wallet while one is connected: switching
+ * account inside the wallet moves the session to that account, and switching
+ * network moves the app to that network. Renders nothing.
+ */
+
+import { useEffect } from "react";
+import { applyWalletChange } from "@/lib/wallet-session";
+import { shortenAddress } from "@/stellar/stellarClient";
+import { useWalletSession } from "@/hooks/use-wallet-session";
+import { toast } from "sonner";
+
+export default function WalletSessionWatcher() {
+  const { publicKey, watchOnly, signer } = useWalletSession();
+  // A watched account has no wallet to follow
+  const isConnected = !!publicKey && !watchOnly;
+
+  useEffect(() => {
+    if (!isConnected || !signer.watch) return;
+
+    return signer.watch((change) => {
+      const { accountChanged, network } = applyWalletChange(change);
+
+      if (accountChanged) {
+        toast.info(`Switched account in ${signer.name}`, {
+          description: shortenAddress(change.publicKey, 6),
+        });
+      }
+      if (network) {
+        toast.info(`Switched to ${network.name} to match ${signer.name}`);
+      }
+    });
+  }, [isConnected, signer]);
+
+  return null;
+}
@@ -0,0 +1,75 @@
+import * as React from "react";
+import { toast } from "sonner";
+import { subscribeToAccount, shortenAddress } from "@/stellar/stellarClient";
+import { useNetwork } from "@/hooks/use-network";
+
+export type StreamStatus = "connecting" | "live" | "reconnecting";
+
+/**
+ * A history record as returned by getTransactionHistoryPage and the account streams
+ */
+export interface HistoryRecord {
+  id: string;
+  type: string;
+  direction: "sent" | "received" | "none";
+  amount: string | null;
+  asset: string | null;
+  otherParty: string | null;
+  // Set when a side of the transfer used a muxed (M) address
+  otherPartyMuxed: string | null;
+  otherPartyMuxedId: string | null;
+  accountMuxedId: string | null;
+  summary: string;
+  timestamp: string;
+  successful: boolean;
+  pagingToken: string;
+  hash: string;
+  memo: string | null;
+  memoType: string;
+  fee: string | null;
+  feeAccount: string | null;
+  ledger: number | null;
+  detailsUnavailable: boolean;
+}
+
+interface AccountStreamHandlers {
+  onOperation?: (record: HistoryRecord) => void;
+  onPayment?: (record: HistoryRecord) => void;
+}
+
+/**
+ * Streams new activity on an account while mounted
+ * Resubscribes when the account or network changes; handlers may change between renders.
+ */
+export function useAccountStream(publicKey: string | null, handlers: AccountStreamHandlers) {
+  const [status, setStatus] = React.useState<StreamStatus>("connecting");
+  const handlersRef = React.useRef(handlers);
+  handlersRef.current = handlers;
+  const network = useNetwork();
+
+  React.useEffect(() => {
+    if (!publicKey) return;
+
+    return subscribeToAccount(publicKey, {
+      onOperation: (record: HistoryRecord) => handlersRef.current.onOperation?.(record),
+      onPayment: (record: HistoryRecord) => handlersRef.current.onPayment?.(record),
+      onStatusChange: setStatus,
+    });
+  }, [publicKey, network.id]);
+
+  return status;
+}
+
+/**
+ * Raises a toast for a payment the account just received
+ */
+export function notifyIncomingPayment(record: HistoryRecord) {
+  if (record.direction !== "received" || !record.successful) return;
+
+  const amount = record.amount ? `${parseFloat(record.amount)} ${record.asset?.split(":")[0]}` : "Funds";
+  toast.success(`Received ${amount}`, {
+    description: record.otherParty
+      ? `From ${shortenAddress(record.otherPartyMuxed || record.otherParty)}`
+      : record.summary,
+  });
+}
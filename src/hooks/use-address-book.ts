@@ -0,0 +1,9 @@
+import * as React from "react";
+import { getContacts, onAddressBookChange, type Contact } from "@/lib/address-book";
+
+/**
+ * Returns the saved contacts and re-renders when the address book changes
+ */
+export function useAddressBook() {
+  return React.useSyncExternalStore<Contact[]>(onAddressBookChange, getContacts);
+}
@@ -0,0 +1,19 @@
+import * as React from "react";
+import { getNetworkProfile, onNetworkChange } from "@/stellar/stellarClient";
+
+export interface NetworkProfile {
+  id: string;
+  name: string;
+  horizonUrl: string;
+  networkPassphrase: string;
+  friendbotUrl: string | null;
+  explorerUrl: string | null;
+  freighterNetwork: string;
+}
+
+/**
+ * Returns the active Stellar network profile and re-renders when it changes
+ */
+export function useNetwork() {
+  return React.useSyncExternalStore<NetworkProfile>(onNetworkChange, getNetworkProfile);
+}
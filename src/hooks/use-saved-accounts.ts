@@ -0,0 +1,9 @@
+import * as React from "react";
+import { getSavedAccounts, onSavedAccountsChange, type SavedAccount } from "@/lib/saved-accounts";
+
+/**
+ * Returns the saved accounts and re-renders when they change
+ */
+export function useSavedAccounts() {
+  return React.useSyncExternalStore<SavedAccount[]>(onSavedAccountsChange, getSavedAccounts);
+}
@@ -0,0 +1,22 @@
+import * as React from "react";
+import { getSigner, onSignerChange } from "@/stellar/signers";
+
+export interface Signer {
+  id: string;
+  name: string;
+  installUrl?: string;
+  isAvailable: () => Promise<boolean>;
+  connect: () => Promise<string>;
+  getPublicKey: () => Promise<string | null>;
+  getNetwork: () => Promise<{ network: string; networkPassphrase: string } | null>;
+  signTransaction: (xdr: string, opts: { networkPassphrase: string; address: string }) => Promise<string>;
+  disconnect?: () => Promise<void>;
+  watch?: (callback: (change: { publicKey: string | null; networkPassphrase: string | null }) => void) => () => void;
+}
+
+/**
+ * Returns the active wallet signer and re-renders when it changes
+ */
+export function useSigner() {
+  return React.useSyncExternalStore<Signer>(onSignerChange, getSigner);
+}
@@ -0,0 +1,23 @@
+import * as React from "react";
+import { getSession, getSessionStatus, onSessionChange, type WalletSession } from "@/lib/wallet-session";
+import { useNetwork } from "@/hooks/use-network";
+import { useSigner } from "@/hooks/use-signer";
+
+/**
+ * Returns the wallet session (public key, network, status and signer)
+ * and re-renders when any of them changes. watchOnly is set while viewing
+ * an account without its wallet, when nothing can be signed.
+ */
+export function useWalletSession() {
+  const session = React.useSyncExternalStore<WalletSession>(onSessionChange, getSession);
+  const network = useNetwork();
+  const signer = useSigner();
+
+  return {
+    publicKey: session.publicKey,
+    watchOnly: session.watchOnly,
+    network,
+    signer,
+    status: getSessionStatus(session, network.networkPassphrase),
+  };
+}
@@ -0,0 +1,197 @@
+import { isValidDestination, createMemo, getUniqueAddresses } from "@/stellar/stellarClient";
+
+/**
+ * A saved contact. defaultMemo is filled into SendPayment when the contact is picked,
+ * e.g. the deposit memo an exchange requires.
+ */
+export interface Contact {
+  address: string;
+  label: string;
+  defaultMemo: { type: string; value: string } | null;
+  createdAt: string;
+}
+
+export interface ContactInput {
+  address: string;
+  label: string;
+  memoType?: string;
+  memoValue?: string;
+}
+
+// localStorage key for the address book
+const STORAGE_KEY = "stellar_address_book";
+
+// Version written to exported files
+const EXPORT_VERSION = 1;
+
+const MAX_LABEL_LENGTH = 64;
+
+const listeners = new Set<() => void>();
+
+// Cached so useSyncExternalStore sees the same array until something changes
+let contacts: Contact[] | null = null;
+
+function readContacts(): Contact[] {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeContacts(next: Contact[]) {
+  contacts = [...next].sort((a, b) => a.label.localeCompare(b.label));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(contacts));
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * All saved contacts, sorted by label
+ */
+export function getContacts(): Contact[] {
+  if (!contacts) {
+    contacts = readContacts().sort((a, b) => a.label.localeCompare(b.label));
+  }
+  return contacts;
+}
+
+/**
+ * Registers a listener for address book changes
+ *
+ * @returns Unsubscribe function
+ */
+export function onAddressBookChange(listener: () => void) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * The saved contact for an address, if any
+ */
+export function findContact(address: string): Contact | undefined {
+  return getContacts().find((contact) => contact.address === address);
+}
+
+/**
+ * Validates contact input and builds the stored contact
+ *
+ * @throws {Error} - If the address, label or default memo is invalid
+ */
+function toContact(input: ContactInput, createdAt = new Date().toISOString()): Contact {
+  const address = input.address.trim();
+  const label = input.label.trim();
+
+  if (!isValidDestination(address)) {
+    throw new Error("Invalid Stellar address. Must be a public key (G...) or a muxed address (M...)");
+  }
+  if (!label) {
+    throw new Error("Label is required");
+  }
+  if (label.length > MAX_LABEL_LENGTH) {
+    throw new Error(`Label must be at most ${MAX_LABEL_LENGTH} characters`);
+  }
+
+  const memoType = input.memoType || "none";
+  const memoValue = (input.memoValue || "").trim();
+  if (memoType !== "none") {
+    // Throws with the same messages SendPayment shows
+    createMemo(memoType, memoValue);
+  }
+
+  return {
+    address,
+    label,
+    defaultMemo: memoType === "none" ? null : { type: memoType, value: memoValue },
+    createdAt,
+  };
+}
+
+/**
+ * Adds a contact, or updates the one saved for the same address
+ *
+ * @throws {Error} - If the input is invalid
+ */
+export function saveContact(input: ContactInput): Contact {
+  const existing = findContact(input.address.trim());
+  const contact = toContact(input, existing?.createdAt);
+  writeContacts([...getContacts().filter((c) => c.address !== contact.address), contact]);
+  return contact;
+}
+
+/**
+ * Deletes the contact for an address
+ */
+export function removeContact(address: string) {
+  writeContacts(getContacts().filter((contact) => contact.address !== address));
+}
+
+/**
+ * Counterparties from history that aren't saved yet, most recent first
+ *
+ * @param transactions - History records from getTransactionHistory
+ * @param ownAddress - The connected account, which is never suggested
+ */
+export function getSuggestedContacts(transactions: unknown[], ownAddress: string) {
+  const saved = new Set(getContacts().map((contact) => contact.address));
+  return getUniqueAddresses(transactions, ownAddress).filter(
+    (suggestion: { address: string }) => !saved.has(suggestion.address)
+  );
+}
+
+/**
+ * Serializes the address book for a backup file
+ */
+export function exportAddressBook(): string {
+  return JSON.stringify({ version: EXPORT_VERSION, contacts: getContacts() }, null, 2);
+}
+
+/**
+ * Merges contacts from an exported file; entries for saved addresses replace them
+ *
+ * @returns Counts of contacts added, updated and skipped as invalid
+ * @throws {Error} - If the file isn't an exported address book
+ */
+export function importAddressBook(json: string) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error("File is not valid JSON");
+  }
+  if (!data || !Array.isArray(data.contacts)) {
+    throw new Error("File is not an exported address book");
+  }
+
+  const merged = new Map(getContacts().map((contact) => [contact.address, contact]));
+  let added = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  data.contacts.forEach((entry: Partial<Contact>) => {
+    try {
+      const contact = toContact(
+        {
+          address: String(entry.address ?? ""),
+          label: String(entry.label ?? ""),
+          memoType: entry.defaultMemo?.type,
+          memoValue: entry.defaultMemo?.value,
+        },
+        entry.createdAt
+      );
+      if (merged.has(contact.address)) {
+        updated += 1;
+      } else {
+        added += 1;
+      }
+      merged.set(contact.address, contact);
+    } catch {
+      skipped += 1;
+    }
+  });
+
+  writeContacts(Array.from(merged.values()));
+  return { added, updated, skipped };
+}
@@ -0,0 +1,96 @@
+import { stroopsToXlm } from "@/stellar/stellarClient";
+import type { HistoryRecord } from "@/hooks/use-account-stream";
+
+export type ExportFormat = "csv" | "json";
+
+// MIME type of each export format
+export const EXPORT_MIME_TYPES: Record<ExportFormat, string> = {
+  csv: "text/csv;charset=utf-8",
+  json: "application/json",
+};
+
+/**
+ * One exported history row
+ * fee is in XLM and only set on the first row of each transaction the account paid for,
+ * so summing the column gives the fees actually charged to the account.
+ */
+export interface ExportRow {
+  timestamp: string;
+  type: string;
+  direction: string;
+  amount: string;
+  asset: string;
+  counterparty: string;
+  memo: string;
+  fee: string;
+  hash: string;
+  ledger: string;
+}
+
+const COLUMNS: (keyof ExportRow)[] = [
+  "timestamp",
+  "type",
+  "direction",
+  "amount",
+  "asset",
+  "counterparty",
+  "memo",
+  "fee",
+  "hash",
+  "ledger",
+];
+
+/**
+ * Flattens history records into export rows
+ */
+export function toExportRows(records: HistoryRecord[], publicKey: string): ExportRow[] {
+  const feeCounted = new Set<string>();
+
+  return records.map((record) => {
+    let fee = "";
+    if (record.fee && record.feeAccount === publicKey && !feeCounted.has(record.hash)) {
+      feeCounted.add(record.hash);
+      fee = stroopsToXlm(record.fee);
+    }
+
+    return {
+      timestamp: record.timestamp,
+      type: record.type,
+      direction: record.direction,
+      amount: record.amount ?? "",
+      asset: record.asset ?? "",
+      counterparty: record.otherPartyMuxed ?? record.otherParty ?? "",
+      memo: record.memo ?? "",
+      fee,
+      hash: record.hash,
+      ledger: record.ledger === null ? "" : String(record.ledger),
+    };
+  });
+}
+
+/**
+ * Quotes a CSV cell when needed, and stops spreadsheets from running memos as formulas
+ */
+function escapeCsvCell(value: string): string {
+  let cell = value;
+  if (/^[=+@\t\r]/.test(cell) || (cell.startsWith("-") && isNaN(Number(cell)))) {
+    cell = `'${cell}`;
+  }
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Serializes export rows as CSV with a header row
+ */
+export function toCsv(rows: ExportRow[]): string {
+  const lines = [COLUMNS.join(",")];
+  rows.forEach((row) => lines.push(COLUMNS.map((column) => escapeCsvCell(row[column])).join(",")));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Serializes export rows as pretty-printed JSON
+ */
+export function toJson(rows: ExportRow[]): string {
+  return JSON.stringify(rows, null, 2);
+}
@@ -0,0 +1,132 @@
+import { format, parse, isValid, startOfDay, endOfDay } from "date-fns";
+import type { HistoryRecord } from "@/hooks/use-account-stream";
+
+/**
+ * Filters for the History page, kept in the URL query string so a view can be shared
+ * Empty strings mean "any"; dates are local calendar days in yyyy-MM-dd form.
+ */
+export interface HistoryFilters {
+  direction: string;
+  type: string;
+  asset: string;
+  status: string;
+  minAmount: string;
+  maxAmount: string;
+  from: string;
+  to: string;
+  search: string;
+}
+
+export const EMPTY_FILTERS: HistoryFilters = {
+  direction: "",
+  type: "",
+  asset: "",
+  status: "",
+  minAmount: "",
+  maxAmount: "",
+  from: "",
+  to: "",
+  search: "",
+};
+
+// Query param name for each filter
+const PARAM_NAMES: Record<keyof HistoryFilters, string> = {
+  direction: "direction",
+  type: "type",
+  asset: "asset",
+  status: "status",
+  minAmount: "min",
+  maxAmount: "max",
+  from: "from",
+  to: "to",
+  search: "q",
+};
+
+const DATE_FORMAT = "yyyy-MM-dd";
+
+/**
+ * Reads filters from URL query params, ignoring anything unrecognised
+ */
+export function parseHistoryFilters(params: URLSearchParams): HistoryFilters {
+  const filters = { ...EMPTY_FILTERS };
+  (Object.keys(PARAM_NAMES) as (keyof HistoryFilters)[]).forEach((key) => {
+    filters[key] = params.get(PARAM_NAMES[key]) || "";
+  });
+  return filters;
+}
+
+/**
+ * Writes filters to URL query params, leaving out the ones that are not set
+ */
+export function toSearchParams(filters: HistoryFilters): URLSearchParams {
+  const params = new URLSearchParams();
+  (Object.keys(PARAM_NAMES) as (keyof HistoryFilters)[]).forEach((key) => {
+    const value = filters[key].trim();
+    if (value) params.set(PARAM_NAMES[key], value);
+  });
+  return params;
+}
+
+/**
+ * Converts a yyyy-MM-dd filter value to a Date, or undefined if unset or invalid
+ */
+export function parseFilterDate(value: string): Date | undefined {
+  if (!value) return undefined;
+  const date = parse(value, DATE_FORMAT, new Date());
+  return isValid(date) ? date : undefined;
+}
+
+/**
+ * Converts a Date to a yyyy-MM-dd filter value
+ */
+export function formatFilterDate(date: Date | undefined): string {
+  return date ? format(date, DATE_FORMAT) : "";
+}
+
+/**
+ * Whether any filter is set
+ */
+export function hasActiveFilters(filters: HistoryFilters): boolean {
+  return Object.values(filters).some((value) => value.trim() !== "");
+}
+
+/**
+ * Keeps the records that match every filter that is set
+ * Amount filters only match records that move funds.
+ */
+export function filterHistory(records: HistoryRecord[], filters: HistoryFilters): HistoryRecord[] {
+  const from = parseFilterDate(filters.from);
+  const to = parseFilterDate(filters.to);
+  const minAmount = parseFloat(filters.minAmount);
+  const maxAmount = parseFloat(filters.maxAmount);
+  const search = filters.search.trim().toLowerCase();
+
+  return records.filter((record) => {
+    if (filters.direction && record.direction !== filters.direction) return false;
+    if (filters.type && record.type !== filters.type) return false;
+    if (filters.asset && record.asset !== filters.asset) return false;
+    if (filters.status === "success" && !record.successful) return false;
+    if (filters.status === "failed" && record.successful) return false;
+
+    if (!isNaN(minAmount) || !isNaN(maxAmount)) {
+      const amount = parseFloat(record.amount ?? "");
+      if (isNaN(amount)) return false;
+      if (!isNaN(minAmount) && amount < minAmount) return false;
+      if (!isNaN(maxAmount) && amount > maxAmount) return false;
+    }
+
+    const timestamp = new Date(record.timestamp);
+    if (from && timestamp < startOfDay(from)) return false;
+    if (to && timestamp > endOfDay(to)) return false;
+
+    if (search) {
+      const haystack = [record.otherParty, record.otherPartyMuxed, record.memo, record.hash]
+        .filter(Boolean)
+        .join(" ")
+        .toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+
+    return true;
+  });
+}
@@ -0,0 +1,71 @@
+import {
+  ArrowUpRight,
+  ArrowDownLeft,
+  UserPlus,
+  Route,
+  Merge,
+  ShieldCheck,
+  ShieldHalf,
+  ArrowLeftRight,
+  Settings,
+  Database,
+  ListOrdered,
+  Gift,
+  HandCoins,
+  Handshake,
+  Undo2,
+  Droplets,
+  SquareCode,
+  TrendingUp,
+  CircleHelp,
+  type LucideIcon,
+} from "lucide-react";
+
+// Label and icon for each Horizon operation type
+export const OPERATION_DISPLAY: Record<string, { label: string; icon: LucideIcon }> = {
+  create_account: { label: "Create Account", icon: UserPlus },
+  payment: { label: "Payment", icon: ArrowUpRight },
+  path_payment_strict_send: { label: "Path Payment", icon: Route },
+  path_payment_strict_receive: { label: "Path Payment", icon: Route },
+  account_merge: { label: "Account Merge", icon: Merge },
+  change_trust: { label: "Change Trust", icon: ShieldCheck },
+  allow_trust: { label: "Allow Trust", icon: ShieldHalf },
+  set_trust_line_flags: { label: "Trustline Flags", icon: ShieldHalf },
+  manage_sell_offer: { label: "Sell Offer", icon: ArrowLeftRight },
+  manage_buy_offer: { label: "Buy Offer", icon: ArrowLeftRight },
+  create_passive_sell_offer: { label: "Passive Offer", icon: ArrowLeftRight },
+  set_options: { label: "Set Options", icon: Settings },
+  manage_data: { label: "Manage Data", icon: Database },
+  bump_sequence: { label: "Bump Sequence", icon: ListOrdered },
+  create_claimable_balance: { label: "Claimable Balance", icon: Gift },
+  claim_claimable_balance: { label: "Claim Balance", icon: HandCoins },
+  clawback_claimable_balance: { label: "Clawback Balance", icon: Undo2 },
+  clawback: { label: "Clawback", icon: Undo2 },
+  begin_sponsoring_future_reserves: { label: "Begin Sponsoring", icon: Handshake },
+  end_sponsoring_future_reserves: { label: "End Sponsoring", icon: Handshake },
+  revoke_sponsorship: { label: "Revoke Sponsorship", icon: Handshake },
+  liquidity_pool_deposit: { label: "Pool Deposit", icon: Droplets },
+  liquidity_pool_withdraw: { label: "Pool Withdraw", icon: Droplets },
+  invoke_host_function: { label: "Contract Call", icon: SquareCode },
+  extend_footprint_ttl: { label: "Extend TTL", icon: SquareCode },
+  restore_footprint: { label: "Restore Footprint", icon: SquareCode },
+  inflation: { label: "Inflation", icon: TrendingUp },
+};
+
+/**
+ * Label and icon for an operation; payments point the way the money went
+ */
+export const getOperationDisplay = (type: string, direction: string) => {
+  const display = OPERATION_DISPLAY[type] || { label: type.replace(/_/g, " "), icon: CircleHelp };
+  if (type === "payment" && direction === "received") {
+    return { ...display, icon: ArrowDownLeft };
+  }
+  return display;
+};
+
+// Colours for each direction: funds out, funds in, or no transfer
+export const DIRECTION_STYLES: Record<string, { text: string; background: string }> = {
+  sent: { text: "text-destructive", background: "bg-destructive/10" },
+  received: { text: "text-success", background: "bg-success/10" },
+  none: { text: "text-primary", background: "bg-primary/10" },
+};
@@ -0,0 +1,271 @@
+import { Keypair, Networks } from "@stellar/stellar-sdk";
+import {
+  NETWORK_PROFILES,
+  getNetworkProfile,
+  isValidDestination,
+  parseAsset,
+  createMemo,
+  getStellarTomlValue,
+} from "@/stellar/stellarClient";
+
+/**
+ * A SEP-0007 payment request, with asset and memo in the forms SendPayment uses
+ */
+export interface PaymentRequest {
+  destination: string;
+  amount: string | null;
+  // "native" or "CODE:ISSUER"
+  asset: string;
+  memoType: string;
+  // Hash and return memos are hex, as createMemo expects
+  memoValue: string;
+  message: string | null;
+  networkPassphrase: string | null;
+  originDomain: string | null;
+  signature: string | null;
+}
+
+export interface PaymentRequestInput {
+  destination: string;
+  amount?: string;
+  asset?: string;
+  memoType?: string;
+  memoValue?: string;
+  message?: string;
+}
+
+const PAY_PREFIX = "web+stellar:pay?";
+
+// SEP-0007 caps msg at 300 characters
+export const MAX_MESSAGE_LENGTH = 300;
+
+// memo_type values in the URI for each of our memo types
+const MEMO_TYPE_PARAMS: Record<string, string> = {
+  text: "MEMO_TEXT",
+  id: "MEMO_ID",
+  hash: "MEMO_HASH",
+  return: "MEMO_RETURN",
+};
+
+// Signed payload prefix: 35 zero bytes then 4, followed by this text and the unsigned URI
+const SIGNATURE_PREFIX = "stellar.sep.7 - URI Scheme";
+
+const hexToBase64 = (hex: string) =>
+  btoa(String.fromCharCode(...(hex.match(/../g) || []).map((byte) => parseInt(byte, 16))));
+
+const base64ToHex = (base64: string) =>
+  Array.from(atob(base64), (char) => char.charCodeAt(0).toString(16).padStart(2, "0")).join("");
+
+/**
+ * Checks an amount has at most 7 decimals and is positive
+ *
+ * @throws {Error} - If it isn't
+ */
+function validateAmount(amount: string) {
+  if (!/^\d*\.?\d{0,7}$/.test(amount) || !(parseFloat(amount) > 0)) {
+    throw new Error("Amount must be a positive number with at most 7 decimals");
+  }
+}
+
+/**
+ * Builds a web+stellar:pay URI asking for a payment to destination
+ * The active network's passphrase is included unless it's Mainnet, the SEP-0007 default.
+ *
+ * @throws {Error} - If any field is invalid
+ */
+export function buildPaymentRequestUri(input: PaymentRequestInput): string {
+  const destination = input.destination.trim();
+  if (!isValidDestination(destination)) {
+    throw new Error("Invalid destination address");
+  }
+
+  const params: [string, string][] = [["destination", destination]];
+
+  const amount = (input.amount || "").trim();
+  if (amount) {
+    validateAmount(amount);
+    params.push(["amount", amount]);
+  }
+
+  const asset = parseAsset(input.asset);
+  if (!asset.isNative()) {
+    params.push(["asset_code", asset.getCode()], ["asset_issuer", asset.getIssuer()]);
+  }
+
+  const memoType = input.memoType || "none";
+  if (memoType !== "none") {
+    const memoValue = (input.memoValue || "").trim();
+    createMemo(memoType, memoValue);
+    params.push(
+      ["memo", memoType === "hash" || memoType === "return" ? hexToBase64(memoValue) : memoValue],
+      ["memo_type", MEMO_TYPE_PARAMS[memoType]]
+    );
+  }
+
+  const message = (input.message || "").trim();
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  if (message) {
+    params.push(["msg", message]);
+  }
+
+  const { networkPassphrase } = getNetworkProfile();
+  if (networkPassphrase !== Networks.PUBLIC) {
+    params.push(["network_passphrase", networkPassphrase]);
+  }
+
+  return PAY_PREFIX + params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join("&");
+}
+
+/**
+ * Parses and validates a web+stellar:pay URI without checking its signature
+ *
+ * @throws {Error} - If the URI isn't a valid payment request
+ */
+export function parsePaymentRequestUri(uri: string): PaymentRequest {
+  const trimmed = uri.trim();
+  if (!trimmed.startsWith(PAY_PREFIX)) {
+    throw new Error("Not a payment request. Links must start with web+stellar:pay?");
+  }
+
+  const params = new Map<string, string>();
+  trimmed
+    .slice(PAY_PREFIX.length)
+    .split("&")
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [key, ...rest] = pair.split("=");
+      try {
+        params.set(key, decodeURIComponent(rest.join("=")));
+      } catch {
+        throw new Error(`Payment request has a malformed ${key} parameter`);
+      }
+    });
+
+  const destination = params.get("destination") || "";
+  if (!isValidDestination(destination)) {
+    throw new Error("Payment request has a missing or invalid destination");
+  }
+
+  const amount = params.get("amount") || null;
+  if (amount) validateAmount(amount);
+
+  const assetCode = params.get("asset_code");
+  const assetIssuer = params.get("asset_issuer");
+  if (assetIssuer && !assetCode) {
+    throw new Error("Payment request has an asset issuer but no asset code");
+  }
+  if (assetCode && assetCode !== "XLM" && !assetIssuer) {
+    throw new Error("Payment request has an asset code but no asset issuer");
+  }
+  const asset = assetCode && assetIssuer ? `${assetCode}:${assetIssuer}` : "native";
+  parseAsset(asset);
+
+  const memoTypeParam = params.get("memo_type") || (params.has("memo") ? "MEMO_TEXT" : null);
+  const memoType = memoTypeParam
+    ? Object.keys(MEMO_TYPE_PARAMS).find((type) => MEMO_TYPE_PARAMS[type] === memoTypeParam)
+    : "none";
+  if (!memoType) {
+    throw new Error(`Payment request has an unknown memo type: ${memoTypeParam}`);
+  }
+  let memoValue = params.get("memo") || "";
+  if (memoType === "hash" || memoType === "return") {
+    try {
+      memoValue = base64ToHex(memoValue);
+    } catch {
+      throw new Error(`Payment request's ${memoType} memo isn't valid base64`);
+    }
+  }
+  if (memoType !== "none") createMemo(memoType, memoValue);
+
+  const message = params.get("msg") || null;
+  if (message && message.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Payment request message is longer than ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  // A callback asks for the signed transaction instead of a submission, which this wallet doesn't do
+  if (params.has("callback")) {
+    throw new Error("Payment requests with a callback aren't supported");
+  }
+
+  const originDomain = params.get("origin_domain") || null;
+  const signature = params.get("signature") || null;
+  if (originDomain && !signature) {
+    throw new Error(`Payment request claims to come from ${originDomain} but isn't signed`);
+  }
+  if (signature && !originDomain) {
+    throw new Error("Payment request is signed but has no origin_domain");
+  }
+  if (signature && !/&signature=[^&]*$/.test(trimmed)) {
+    throw new Error("Payment request signature must be the last parameter");
+  }
+
+  return {
+    destination,
+    amount,
+    asset,
+    memoType,
+    memoValue: memoType === "none" ? "" : memoValue,
+    message,
+    networkPassphrase: params.get("network_passphrase") || null,
+    originDomain,
+    signature,
+  };
+}
+
+/**
+ * Parses a payment request and checks it can be paid here:
+ * it must be for the active network, and a signed request must verify against
+ * the URI_REQUEST_SIGNING_KEY in its origin domain's stellar.toml
+ *
+ * @throws {Error} - If the URI is invalid, for another network, or its signature doesn't verify
+ */
+export async function verifyPaymentRequest(uri: string): Promise<PaymentRequest> {
+  const request = parsePaymentRequestUri(uri);
+
+  const profile = getNetworkProfile();
+  const requestPassphrase = request.networkPassphrase || Networks.PUBLIC;
+  if (requestPassphrase !== profile.networkPassphrase) {
+    const requested = Object.values(NETWORK_PROFILES).find(
+      (candidate: { networkPassphrase: string }) => candidate.networkPassphrase === requestPassphrase
+    ) as { name: string } | undefined;
+    throw new Error(
+      `This request is for ${requested ? requested.name : "another network"}, but you're on ${profile.name}. Switch networks to pay it.`
+    );
+  }
+
+  if (request.signature) {
+    const signingKey = await getStellarTomlValue(request.originDomain, "URI_REQUEST_SIGNING_KEY");
+    if (!signingKey) {
+      throw new Error(`${request.originDomain} doesn't publish a URI_REQUEST_SIGNING_KEY, so the request can't be verified`);
+    }
+
+    const unsigned = uri.trim().replace(/&signature=[^&]*$/, "");
+    const payload = new Uint8Array([
+      ...new Array(35).fill(0),
+      4,
+      ...new TextEncoder().encode(SIGNATURE_PREFIX + unsigned),
+    ]);
+
+    let valid = false;
+    try {
+      const signature = Uint8Array.from(atob(request.signature), (char) => char.charCodeAt(0));
+      valid = Keypair.fromPublicKey(signingKey).verify(payload as Buffer, signature as Buffer);
+    } catch {
+      valid = false;
+    }
+    if (!valid) {
+      throw new Error(`Payment request signature doesn't match ${request.originDomain}`);
+    }
+  }
+
+  return request;
+}
+
+/**
+ * Link into this app's /pay route for a payment request, for sharing outside wallets
+ */
+export function getPaymentRequestLink(uri: string, origin = window.location.origin): string {
+  return `${origin}/pay?uri=${encodeURIComponent(uri)}`;
+}
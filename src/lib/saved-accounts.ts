@@ -0,0 +1,111 @@
+/**
+ * An account the app has opened before, kept for quick switching.
+ * signerId is the wallet it was connected with; watch-only accounts have none.
+ */
+export interface SavedAccount {
+  publicKey: string;
+  nickname: string;
+  watchOnly: boolean;
+  signerId: string | null;
+  addedAt: string;
+}
+
+// localStorage key for the saved accounts
+const STORAGE_KEY = "stellar_saved_accounts";
+
+const MAX_NICKNAME_LENGTH = 32;
+
+const listeners = new Set<() => void>();
+
+// Cached so useSyncExternalStore sees the same array until something changes
+let accounts: SavedAccount[] | null = null;
+
+function readAccounts(): SavedAccount[] {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAccounts(next: SavedAccount[]) {
+  accounts = next;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(accounts));
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * All saved accounts, in the order they were added
+ */
+export function getSavedAccounts(): SavedAccount[] {
+  if (!accounts) {
+    accounts = readAccounts();
+  }
+  return accounts;
+}
+
+/**
+ * Registers a listener for saved account changes
+ *
+ * @returns Unsubscribe function
+ */
+export function onSavedAccountsChange(listener: () => void) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * The saved account for a public key, if any
+ */
+export function findSavedAccount(publicKey: string): SavedAccount | undefined {
+  return getSavedAccounts().find((account) => account.publicKey === publicKey);
+}
+
+/**
+ * Saves an account the session just opened, or updates the saved one.
+ * Watching an account saved from a wallet keeps it a wallet account, so
+ * switching back to it can still sign.
+ */
+export function rememberAccount(publicKey: string, { watchOnly, signerId }: { watchOnly: boolean; signerId: string | null }) {
+  const existing = findSavedAccount(publicKey);
+
+  if (!existing) {
+    writeAccounts([
+      ...getSavedAccounts(),
+      { publicKey, nickname: "", watchOnly, signerId: watchOnly ? null : signerId, addedAt: new Date().toISOString() },
+    ]);
+    return;
+  }
+
+  if (watchOnly || (!existing.watchOnly && existing.signerId === signerId)) return;
+  writeAccounts(
+    getSavedAccounts().map((account) =>
+      account.publicKey === publicKey ? { ...account, watchOnly: false, signerId } : account
+    )
+  );
+}
+
+/**
+ * Sets an account's nickname; an empty one falls back to the address
+ *
+ * @throws {Error} - If the nickname is too long
+ */
+export function renameAccount(publicKey: string, nickname: string) {
+  const trimmed = nickname.trim();
+  if (trimmed.length > MAX_NICKNAME_LENGTH) {
+    throw new Error(`Nickname must be at most ${MAX_NICKNAME_LENGTH} characters`);
+  }
+  writeAccounts(
+    getSavedAccounts().map((account) => (account.publicKey === publicKey ? { ...account, nickname: trimmed } : account))
+  );
+}
+
+/**
+ * Removes an account from the saved list
+ */
+export function forgetAccount(publicKey: string) {
+  writeAccounts(getSavedAccounts().filter((account) => account.publicKey !== publicKey));
+}
@@ -0,0 +1,192 @@
+import { NETWORK_PROFILES, getNetworkProfile, setNetwork, isValidPublicKey } from "@/stellar/stellarClient";
+import { getSigner, setSigner, SIGNERS } from "@/stellar/signers";
+import { findSavedAccount, rememberAccount } from "@/lib/saved-accounts";
+
+/**
+ * The connected wallet session. The network and signer live in their own stores
+ * (stellarClient and signers); the session holds what only the wallet knows.
+ * Every account a session opens is added to the saved accounts for switching.
+ */
+export interface WalletSession {
+  publicKey: string | null;
+  // The wallet's own network, when it reports one, to detect a mismatch
+  walletNetworkPassphrase: string | null;
+  // Viewing an account without its wallet: nothing can be signed
+  watchOnly: boolean;
+}
+
+export type SessionStatus = "connected" | "disconnected" | "wrong-network" | "watch-only";
+
+/**
+ * What a wallet reports when its account or network changes
+ */
+export interface WalletChange {
+  publicKey: string | null;
+  networkPassphrase: string | null;
+}
+
+// localStorage key for the connected account, kept from before sessions existed
+const STORAGE_KEY = "stellar_public_key";
+
+// localStorage flag set while the stored account is only being watched
+const WATCH_ONLY_STORAGE_KEY = "stellar_watch_only";
+
+const listeners = new Set<() => void>();
+
+let session: WalletSession = {
+  publicKey: typeof localStorage !== "undefined" ? localStorage.getItem(STORAGE_KEY) : null,
+  walletNetworkPassphrase: null,
+  watchOnly: typeof localStorage !== "undefined" && localStorage.getItem(WATCH_ONLY_STORAGE_KEY) === "true",
+};
+
+function updateSession(next: Partial<WalletSession>) {
+  session = { ...session, ...next };
+
+  if (session.publicKey) {
+    localStorage.setItem(STORAGE_KEY, session.publicKey);
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  if (session.watchOnly) {
+    localStorage.setItem(WATCH_ONLY_STORAGE_KEY, "true");
+  } else {
+    localStorage.removeItem(WATCH_ONLY_STORAGE_KEY);
+  }
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * The current session; a new object after every change
+ */
+export function getSession(): WalletSession {
+  return session;
+}
+
+/**
+ * Registers a listener for session changes
+ *
+ * @returns A function that unsubscribes the listener
+ */
+export function onSessionChange(listener: () => void) {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Starts a session for an account the active signer just connected
+ */
+export function startSession(publicKey: string, walletNetworkPassphrase: string | null = null) {
+  updateSession({ publicKey, walletNetworkPassphrase, watchOnly: false });
+  rememberAccount(publicKey, { watchOnly: false, signerId: getSigner().id });
+}
+
+/**
+ * Starts a read-only session for any account, without a wallet
+ *
+ * @throws {Error} - If the address isn't a valid account (G...) address
+ */
+export function startWatchSession(publicKey: string) {
+  const address = publicKey.trim();
+  if (!isValidPublicKey(address)) {
+    throw new Error("Enter a valid Stellar account address (G...)");
+  }
+  updateSession({ publicKey: address, walletNetworkPassphrase: null, watchOnly: true });
+  rememberAccount(address, { watchOnly: true, signerId: null });
+}
+
+/**
+ * Switches the session to a saved account. A wallet account only signs if its
+ * wallet is currently on that account; otherwise, and for watched accounts,
+ * it opens read-only.
+ *
+ * @returns Whether the account can sign, and the wallet it was saved with
+ */
+export async function switchAccount(publicKey: string) {
+  const account = findSavedAccount(publicKey);
+  const signer =
+    account && !account.watchOnly ? SIGNERS.find((candidate) => candidate.id === account.signerId) || null : null;
+
+  if (signer) {
+    try {
+      if ((await signer.getPublicKey()) === publicKey) {
+        const walletNetwork = await signer.getNetwork();
+        setSigner(signer);
+        startSession(publicKey, walletNetwork?.networkPassphrase || null);
+        return { canSign: true, signer };
+      }
+    } catch (err) {
+      console.error("Error checking wallet account:", err);
+    }
+  }
+
+  startWatchSession(publicKey);
+  return { canSign: false, signer };
+}
+
+/**
+ * Ends the session, and the wallet's own session for wallets that keep one (WalletConnect)
+ */
+export async function endSession() {
+  const { watchOnly } = session;
+  updateSession({ publicKey: null, walletNetworkPassphrase: null, watchOnly: false });
+  if (watchOnly) return;
+
+  try {
+    await getSigner().disconnect?.();
+  } catch (err) {
+    console.error("Error ending wallet session:", err);
+  }
+}
+
+/**
+ * Whether the session can sign on the active network
+ */
+export function getSessionStatus(current: WalletSession, networkPassphrase: string): SessionStatus {
+  if (!current.publicKey) return "disconnected";
+  if (current.watchOnly) return "watch-only";
+  if (current.walletNetworkPassphrase && current.walletNetworkPassphrase !== networkPassphrase) {
+    return "wrong-network";
+  }
+  return "connected";
+}
+
+/**
+ * Follows an account or network switch made inside the wallet
+ * The session moves to the wallet's account, and the app to the wallet's network
+ * when it's one of NETWORK_PROFILES; an unknown network leaves the session on the wrong network.
+ *
+ * @returns What changed, for telling the user
+ */
+export function applyWalletChange(change: WalletChange) {
+  if (!session.publicKey || session.watchOnly) {
+    return { accountChanged: false, network: null };
+  }
+
+  // A locked wallet reports no account; keep the session until it's unlocked
+  const accountChanged = !!change.publicKey && change.publicKey !== session.publicKey;
+
+  let network = null;
+  if (change.networkPassphrase && change.networkPassphrase !== getNetworkProfile().networkPassphrase) {
+    const profile = Object.values(NETWORK_PROFILES).find(
+      (candidate: { networkPassphrase: string }) => candidate.networkPassphrase === change.networkPassphrase
+    ) as { id: string; name: string } | undefined;
+    if (profile) {
+      network = setNetwork(profile.id);
+    }
+  }
+
+  const walletNetworkPassphrase = change.networkPassphrase || session.walletNetworkPassphrase;
+  if (accountChanged || walletNetworkPassphrase !== session.walletNetworkPassphrase) {
+    updateSession({
+      publicKey: accountChanged ? change.publicKey : session.publicKey,
+      walletNetworkPassphrase,
+    });
+  }
+  if (accountChanged) {
+    rememberAccount(change.publicKey, { watchOnly: false, signerId: getSigner().id });
+  }
+
+  return { accountChanged, network };
+}
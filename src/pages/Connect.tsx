@@ -4,28 +4,52 @@
  * Dedicated page for wallet connection
  */
 
-import { useState, useCallback } from "react";
-import { useNavigate } from "react-router-dom";
+import { useState, useCallback, type FormEvent } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
 import WalletConnect from "@/components/WalletConnect";
+import NetworkSelector from "@/components/NetworkSelector";
+import { startSession, startWatchSession, endSession } from "@/lib/wallet-session";
+import { shortenAddress } from "@/stellar/stellarClient";
+import { useWalletSession } from "@/hooks/use-wallet-session";
 import { Button } from "@/components/ui/button";
-import { ArrowLeft, Sparkles } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { ArrowLeft, Sparkles, Eye } from "lucide-react";
+import { toast } from "sonner";
 
 const Connect = () => {
   const navigate = useNavigate();
-  const [publicKey, setPublicKey] = useState<string | null>(null);
+  const location = useLocation();
+  const { publicKey, watchOnly } = useWalletSession();
+  // A watched account has no wallet: show the wallet picker, and don't let a
+  // remembered wallet silently take over the session
+  const connectedKey = watchOnly ? null : publicKey;
+  // Where RequireSession sent us from, if anywhere
+  const returnTo = location.state?.from || "/dashboard";
 
-  const handleConnect = useCallback((pubKey: string) => {
-    setPublicKey(pubKey);
-    // Navigate to dashboard after successful connection
+  const handleConnect = useCallback((pubKey: string, walletNetworkPassphrase?: string) => {
+    startSession(pubKey, walletNetworkPassphrase);
+    // Navigate on after successful connection
     setTimeout(() => {
-      navigate("/dashboard", { state: { publicKey: pubKey } });
+      navigate(returnTo);
     }, 1000);
-  }, [navigate]);
+  }, [navigate, returnTo]);
 
   const handleDisconnect = useCallback(() => {
-    setPublicKey(null);
+    endSession();
   }, []);
 
+  const [watchAddress, setWatchAddress] = useState("");
+
+  const handleWatch = (e: FormEvent) => {
+    e.preventDefault();
+    try {
+      startWatchSession(watchAddress);
+      navigate("/dashboard");
+    } catch (err) {
+      toast.error((err as Error).message);
+    }
+  };
+
   return (
     <div className="min-h-screen flex flex-col bg-background">
       {/* Header */}
@@ -47,7 +71,7 @@ const Connect = () => {
             </h1>
           </div>
           
-          <div className="w-20" /> {/* Spacer for centering */}
+          <NetworkSelector disabled={!!connectedKey} />
         </div>
       </header>
 
@@ -60,27 +84,56 @@ const Connect = () => {
               Connect Your Wallet
             </h1>
             <p className="text-muted-foreground">
-              Connect your Freighter wallet to access your dashboard
+              Connect a Stellar wallet to access your dashboard
             </p>
           </div>
 
           {/* Wallet Connect Card */}
           <div className="animate-in fade-in slide-in-from-bottom duration-700 delay-200">
             <WalletConnect
-              publicKey={publicKey}
+              publicKey={connectedKey}
+              autoReconnect={!watchOnly}
               onConnect={handleConnect}
               onDisconnect={handleDisconnect}
             />
           </div>
 
+          {/* Watch-only */}
+          <form
+            onSubmit={handleWatch}
+            className="glass-card p-4 mt-6 animate-in fade-in slide-in-from-bottom duration-700 delay-200"
+          >
+            <h3 className="font-semibold text-foreground mb-2 text-sm flex items-center gap-2">
+              <Eye className="h-4 w-4 text-primary" />
+              Watch an account
+            </h3>
+            <p className="text-xs text-muted-foreground mb-3">
+              {watchOnly && publicKey
+                ? `Watching ${shortenAddress(publicKey)} read-only. Connect its wallet above to sign, or view another account.`
+                : "View any account's balances and history read-only, without a wallet."}
+            </p>
+            <div className="flex gap-2">
+              <Input
+                value={watchAddress}
+                onChange={(e) => setWatchAddress(e.target.value)}
+                placeholder="G..."
+                className="font-mono text-sm"
+                aria-label="Account address"
+              />
+              <Button type="submit" variant="outline" disabled={!watchAddress.trim()}>
+                View
+              </Button>
+            </div>
+          </form>
+
           {/* Info Cards */}
           <div className="mt-8 space-y-4 animate-in fade-in slide-in-from-bottom duration-700 delay-300">
             <div className="glass-card p-4">
               <h3 className="font-semibold text-foreground mb-2 text-sm">
-                Don't have Freighter?
+                Don't have a wallet?
               </h3>
               <p className="text-xs text-muted-foreground mb-3">
-                Freighter is a secure browser extension wallet for Stellar.
+                Freighter is a secure browser extension wallet for Stellar. Albedo works in any browser without installing anything.
               </p>
               <Button
                 variant="outline"
@@ -4,73 +4,48 @@
  * Main dashboard showing balance and send payment functionality
  */
 
-import { useState, useCallback, useEffect } from "react";
-import { useNavigate, useLocation } from "react-router-dom";
+import { useState, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
 import Balance from "@/components/Balance";
 import SendPayment from "@/components/SendPayment";
+import NetworkSelector from "@/components/NetworkSelector";
+import TrustlineManager from "@/components/TrustlineManager";
+import AddressBook from "@/components/AddressBook";
+import AccountDetails from "@/components/AccountDetails";
+import AccountSwitcher from "@/components/AccountSwitcher";
+import { getAccountExplorerUrl } from "@/stellar/stellarClient";
+import { endSession } from "@/lib/wallet-session";
+import { useWalletSession } from "@/hooks/use-wallet-session";
 import { Button } from "@/components/ui/button";
-import { Badge } from "@/components/ui/badge";
 import { 
   Sparkles, 
   LogOut, 
   History,
-  Wallet,
   Menu,
-  X
+  X,
+  QrCode,
+  AlertCircle
 } from "lucide-react";
 import { toast } from "sonner";
 
 const Dashboard = () => {
   const navigate = useNavigate();
-  const location = useLocation();
-  const [publicKey, setPublicKey] = useState<string | null>(null);
+  // RequireSession only renders this page with a connected session
+  const { publicKey, watchOnly, status, network, signer } = useWalletSession();
   const [refreshKey, setRefreshKey] = useState(0);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
-  useEffect(() => {
-    // Get public key from navigation state or localStorage
-    const stateKey = location.state?.publicKey;
-    const storedKey = localStorage.getItem("stellar_public_key");
-    
-    if (stateKey) {
-      setPublicKey(stateKey);
-      localStorage.setItem("stellar_public_key", stateKey);
-    } else if (storedKey) {
-      setPublicKey(storedKey);
-    } else {
-      // No wallet connected, redirect to connect page
-      toast.error("Please connect your wallet first");
-      navigate("/connect");
-    }
-  }, [location, navigate]);
-
   const handleTransactionComplete = useCallback(() => {
     setRefreshKey((prev) => prev + 1);
   }, []);
 
   const handleDisconnect = () => {
-    localStorage.removeItem("stellar_public_key");
-    setPublicKey(null);
-    toast.info("Wallet disconnected");
+    // Leave the guarded page first so RequireSession doesn't bounce to /connect
     navigate("/");
+    endSession();
+    toast.info(watchOnly ? "Stopped watching account" : "Wallet disconnected");
   };
 
-  const formatAddress = (address: string) => {
-    if (!address) return "";
-    return `${address.slice(0, 4)}...${address.slice(-4)}`;
-  };
-
-  if (!publicKey) {
-    return (
-      <div className="min-h-screen flex items-center justify-center">
-        <div className="text-center">
-          <div className="animate-spin h-8 w-8 border-4 border-primary border-t-transparent rounded-full mx-auto mb-4" />
-          <p className="text-muted-foreground">Loading...</p>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="min-h-screen flex flex-col">
       {/* Header */}
@@ -83,19 +58,15 @@ const Dashboard = () => {
               <h1 className="text-xl font-bold text-foreground">
                 Stellar<span className="text-primary">Pay</span>
               </h1>
-              <Badge variant="outline" className="ml-2 text-xs hidden sm:inline-flex">
-                TESTNET
-              </Badge>
+              <NetworkSelector
+                onChange={handleTransactionComplete}
+                className="ml-2 hidden sm:inline-flex"
+              />
             </div>
 
             {/* Desktop Navigation */}
             <nav className="hidden md:flex items-center gap-4">
-              <div className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-muted/50">
-                <Wallet className="h-4 w-4 text-primary" />
-                <span className="text-sm font-mono text-foreground">
-                  {formatAddress(publicKey)}
-                </span>
-              </div>
+              <AccountSwitcher />
               
               <Button
                 variant="outline"
@@ -114,7 +85,7 @@ const Dashboard = () => {
                 className="gap-2 text-destructive hover:text-destructive hover:bg-destructive/10"
               >
                 <LogOut className="h-4 w-4" />
-                Disconnect
+                {watchOnly ? "Stop watching" : "Disconnect"}
               </Button>
             </nav>
 
@@ -132,12 +103,7 @@ const Dashboard = () => {
           {/* Mobile Navigation */}
           {mobileMenuOpen && (
             <div className="md:hidden mt-4 pt-4 border-t border-border/50 space-y-2 animate-in slide-in-from-top duration-200">
-              <div className="flex items-center gap-2 px-3 py-2 rounded-lg bg-muted/50">
-                <Wallet className="h-4 w-4 text-primary" />
-                <span className="text-sm font-mono text-foreground">
-                  {formatAddress(publicKey)}
-                </span>
-              </div>
+              <AccountSwitcher className="w-full justify-start" />
               
               <Button
                 variant="outline"
@@ -159,7 +125,7 @@ const Dashboard = () => {
                 className="w-full gap-2 justify-start text-destructive hover:text-destructive hover:bg-destructive/10"
               >
                 <LogOut className="h-4 w-4" />
-                Disconnect Wallet
+                {watchOnly ? "Stop Watching" : "Disconnect Wallet"}
               </Button>
             </div>
           )}
@@ -172,10 +138,22 @@ const Dashboard = () => {
         <div className="mb-8 animate-in fade-in slide-in-from-top duration-500">
           <h1 className="text-3xl font-bold text-foreground mb-2">Dashboard</h1>
           <p className="text-muted-foreground">
-            Manage your XLM balance and send payments
+            {watchOnly
+              ? "Viewing this account read-only. Connect its wallet to send payments or change trustlines."
+              : "Manage your XLM balance and send payments"}
           </p>
         </div>
 
+        {/* Wallet on another network */}
+        {status === "wrong-network" && (
+          <div className="max-w-4xl mx-auto mb-6 flex items-start gap-2 p-3 rounded-lg bg-destructive/10 border border-destructive/20 animate-in slide-in-from-top duration-300">
+            <AlertCircle className="h-4 w-4 text-destructive mt-0.5 flex-shrink-0" />
+            <p className="text-sm text-destructive">
+              {signer.name} is on a different network. Switch it to Stellar {network.name} before signing.
+            </p>
+          </div>
+        )}
+
         {/* Dashboard Grid */}
         <div className="max-w-4xl mx-auto grid md:grid-cols-2 gap-6">
           {/* Balance Card */}
@@ -188,10 +166,30 @@ const Dashboard = () => {
             <SendPayment
               publicKey={publicKey}
               onTransactionComplete={handleTransactionComplete}
+              refreshTrigger={refreshKey}
             />
           </div>
         </div>
 
+        {/* Trustline Manager */}
+        <div className="max-w-4xl mx-auto mt-6 animate-in fade-in slide-in-from-bottom duration-700">
+          <TrustlineManager
+            publicKey={publicKey}
+            onTrustlineChange={handleTransactionComplete}
+            refreshTrigger={refreshKey}
+          />
+        </div>
+
+        {/* Account Details */}
+        <div className="max-w-4xl mx-auto mt-6 animate-in fade-in slide-in-from-bottom duration-700">
+          <AccountDetails publicKey={publicKey} refreshTrigger={refreshKey} />
+        </div>
+
+        {/* Address Book */}
+        <div className="max-w-4xl mx-auto mt-6 animate-in fade-in slide-in-from-bottom duration-700">
+          <AddressBook publicKey={publicKey} refreshTrigger={refreshKey} />
+        </div>
+
         {/* Quick Actions */}
         <div className="max-w-4xl mx-auto mt-8 animate-in fade-in slide-in-from-bottom duration-700 delay-200">
           <div className="glass-card p-6">
@@ -205,10 +203,19 @@ const Dashboard = () => {
                 <History className="h-4 w-4" />
                 View Transaction History
               </Button>
+
+              <Button
+                variant="outline"
+                onClick={() => navigate("/request")}
+                className="gap-2 justify-start"
+              >
+                <QrCode className="h-4 w-4" />
+                Request Payment
+              </Button>
               
               <Button
                 variant="outline"
-                onClick={() => window.open(`https://stellar.expert/explorer/testnet/account/${publicKey}`, "_blank")}
+                onClick={() => window.open(getAccountExplorerUrl(publicKey), "_blank")}
                 className="gap-2 justify-start"
               >
                 <Sparkles className="h-4 w-4" />
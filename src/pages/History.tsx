@@ -4,59 +4,179 @@
  * Dedicated page for viewing transaction history with detailed information
  */
 
-import { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
-import { getTransactionHistory } from "@/stellar/stellarClient";
+import { useState, useEffect, useRef, useMemo } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import {
+  getTransactionHistoryPage,
+  getExplorerUrl,
+  getPendingTransactions,
+  removePendingTransaction,
+  stroopsToXlm,
+  shortenAddress,
+} from "@/stellar/stellarClient";
+import FeeBumpButton from "@/components/FeeBumpButton";
+import HistoryFilters from "@/components/HistoryFilters";
+import { getOperationDisplay, DIRECTION_STYLES } from "@/lib/operation-display";
+import ExportHistoryDialog from "@/components/ExportHistoryDialog";
+import {
+  filterHistory,
+  parseHistoryFilters,
+  parseFilterDate,
+  toSearchParams,
+  type HistoryFilters as Filters,
+} from "@/lib/history-filters";
+import { useNetwork } from "@/hooks/use-network";
+import { useWalletSession } from "@/hooks/use-wallet-session";
+import { useAccountStream, notifyIncomingPayment, type HistoryRecord } from "@/hooks/use-account-stream";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import {
   Sparkles,
   ArrowLeft,
-  ArrowUpRight,
-  ArrowDownLeft,
   ExternalLink,
   Copy,
   Check,
   Loader2,
   AlertCircle,
-  RefreshCw
+  RefreshCw,
+  Clock,
+  X,
 } from "lucide-react";
 import { toast } from "sonner";
 
+interface PendingTransaction {
+  hash: string;
+  xdr: string;
+  reason: string;
+  fee: string;
+  operationCount: number;
+  createdAt: string;
+  expired: boolean;
+}
+
+// Operations fetched per page
+const PAGE_SIZE = 50;
+
 const History = () => {
   const navigate = useNavigate();
-  const [publicKey, setPublicKey] = useState<string | null>(null);
+  // RequireSession only renders this page with a connected session
+  const { publicKey } = useWalletSession();
   const [transactions, setTransactions] = useState<any[]>([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [copiedHash, setCopiedHash] = useState<string | null>(null);
+  const [pending, setPending] = useState<PendingTransaction[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const loadMoreRef = useRef<HTMLDivElement>(null);
+  // Bumped on every reload, so responses for an account or network switched away from are dropped
+  const generationRef = useRef(0);
+  const network = useNetwork();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Filters live in the query string so a filtered view can be shared
+  const filters = useMemo(() => parseHistoryFilters(searchParams), [searchParams]);
+  const setFilters = (next: Filters) => setSearchParams(toSearchParams(next), { replace: true });
+  const visibleTransactions = useMemo(() => filterHistory(transactions, filters), [transactions, filters]);
 
+  // Once the oldest loaded record is before the date range, older pages can't match
+  const fromDate = parseFilterDate(filters.from);
+  const oldestLoaded = transactions[transactions.length - 1];
+  const canLoadMore =
+    hasMore && !(fromDate && oldestLoaded && new Date(oldestLoaded.timestamp) < fromDate);
+
+  const typeOptions = useMemo(() => {
+    const types = new Set(transactions.map((tx) => tx.type));
+    if (filters.type) types.add(filters.type);
+    return Array.from(types, (type) => ({ value: type, label: getOperationDisplay(type, "none").label }));
+  }, [transactions, filters.type]);
+
+  const assetOptions = useMemo(() => {
+    const assets = new Set(transactions.map((tx) => tx.asset).filter(Boolean));
+    if (filters.asset) assets.add(filters.asset);
+    return Array.from(assets, (asset: string) => {
+      const [code, issuer] = asset.split(":");
+      return { value: asset, label: issuer ? `${code} (${issuer.slice(0, 4)}...${issuer.slice(-4)})` : code };
+    });
+  }, [transactions, filters.asset]);
+
+  // Reload when the wallet switches account or the network changes
   useEffect(() => {
-    const storedKey = localStorage.getItem("stellar_public_key");
-    if (storedKey) {
-      setPublicKey(storedKey);
-      fetchHistory(storedKey);
-    } else {
-      toast.error("Please connect your wallet first");
-      navigate("/connect");
+    generationRef.current += 1;
+    setTransactions([]);
+    setNextCursor(null);
+    setHasMore(false);
+    setIsLoadingMore(false);
+    if (publicKey) {
+      fetchHistory(publicKey);
     }
-  }, [navigate]);
+  }, [publicKey, network]);
 
   const fetchHistory = async (pubKey: string) => {
+    const generation = generationRef.current;
     setIsLoading(true);
     setError(null);
+    setPending(getPendingTransactions(pubKey));
     
     try {
-      const history = await getTransactionHistory(pubKey, 50);
-      setTransactions(history);
+      const page = await getTransactionHistoryPage(pubKey, { limit: PAGE_SIZE });
+      if (generationRef.current !== generation) return;
+      setTransactions(page.records);
+      setNextCursor(page.nextCursor);
+      setHasMore(page.hasMore);
     } catch (err: any) {
+      if (generationRef.current !== generation) return;
       console.error("Error fetching history:", err);
       setError(err.message || "Failed to load transaction history");
     } finally {
-      setIsLoading(false);
+      if (generationRef.current === generation) setIsLoading(false);
     }
   };
 
+  const loadMore = async () => {
+    if (!publicKey || !canLoadMore || isLoadingMore) return;
+    const generation = generationRef.current;
+    setIsLoadingMore(true);
+
+    try {
+      const page = await getTransactionHistoryPage(publicKey, { limit: PAGE_SIZE, cursor: nextCursor });
+      if (generationRef.current !== generation) return;
+      setTransactions((prev) => [...prev, ...page.records]);
+      setNextCursor(page.nextCursor);
+      setHasMore(page.hasMore);
+    } catch (err) {
+      if (generationRef.current !== generation) return;
+      console.error("Error loading more history:", err);
+      toast.error("Failed to load older transactions", { description: (err as Error).message });
+    } finally {
+      if (generationRef.current === generation) setIsLoadingMore(false);
+    }
+  };
+
+  // Load the next page when the end of the list scrolls into view.
+  // Re-subscribes after every render so the observer sees the latest cursor.
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !canLoadMore || typeof IntersectionObserver === "undefined") return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    }, { rootMargin: "200px" });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  });
+
+  // New operations stream in at the top of the list
+  useAccountStream(publicKey, {
+    onOperation: (record: HistoryRecord) => {
+      setTransactions((prev) => (prev.some((tx) => tx.id === record.id) ? prev : [record, ...prev]));
+    },
+    onPayment: notifyIncomingPayment,
+  });
+
   const copyToClipboard = async (text: string, type: string) => {
     try {
       await navigator.clipboard.writeText(text);
@@ -73,10 +193,7 @@ const History = () => {
     return date.toLocaleString();
   };
 
-  const formatAddress = (address: string) => {
-    if (!address) return "";
-    return `${address.slice(0, 8)}...${address.slice(-8)}`;
-  };
+  const formatAddress = (address: string) => shortenAddress(address, 8);
 
   const formatHash = (hash: string) => {
     if (!hash) return "";
@@ -105,16 +222,22 @@ const History = () => {
               </h1>
             </div>
 
-            <Button
-              variant="ghost"
-              size="sm"
-              onClick={() => publicKey && fetchHistory(publicKey)}
-              disabled={isLoading}
-              className="gap-2"
-            >
-              <RefreshCw className={`h-4 w-4 ${isLoading ? "animate-spin" : ""}`} />
-              <span className="hidden sm:inline">Refresh</span>
-            </Button>
+            <div className="flex items-center gap-1">
+              <ExportHistoryDialog
+                publicKey={publicKey}
+                defaultRange={fromDate ? { from: fromDate, to: parseFilterDate(filters.to) } : undefined}
+              />
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => publicKey && fetchHistory(publicKey)}
+                disabled={isLoading}
+                className="gap-2"
+              >
+                <RefreshCw className={`h-4 w-4 ${isLoading ? "animate-spin" : ""}`} />
+                <span className="hidden sm:inline">Refresh</span>
+              </Button>
+            </div>
           </div>
         </div>
       </header>
@@ -127,10 +250,63 @@ const History = () => {
             Transaction History
           </h1>
           <p className="text-muted-foreground">
-            View all your XLM transactions on Stellar Testnet
+            Every operation on your account on Stellar {network.name}
           </p>
         </div>
 
+        {/* Stuck transactions that can be fee-bumped */}
+        {pending.length > 0 && (
+          <div className="max-w-4xl mx-auto mb-8 space-y-3 animate-in fade-in slide-in-from-top duration-500">
+            <h2 className="text-sm font-semibold text-muted-foreground uppercase tracking-wide">
+              Stuck Transactions
+            </h2>
+            {pending.map((tx) => (
+              <div key={tx.hash} className="glass-card p-4 border-2 border-warning/20">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="flex items-start gap-3 min-w-0">
+                    <div className="p-2 rounded-lg bg-warning/10">
+                      <Clock className="h-4 w-4 text-warning" />
+                    </div>
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-foreground">
+                        {tx.reason === "timeout" ? "Timed out" : "Fee too low"}
+                        {tx.expired && (
+                          <Badge variant="outline" className="ml-2 text-xs">Expired</Badge>
+                        )}
+                      </p>
+                      <p className="text-xs text-muted-foreground font-mono truncate">
+                        {formatHash(tx.hash)} · {tx.operationCount} op · fee {parseFloat(stroopsToXlm(tx.fee))} XLM
+                      </p>
+                      <p className="text-xs text-muted-foreground">{formatDate(tx.createdAt)}</p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    {!tx.expired && publicKey && (
+                      <FeeBumpButton
+                        publicKey={publicKey}
+                        signedXDR={tx.xdr}
+                        onComplete={() => fetchHistory(publicKey)}
+                      />
+                    )}
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="h-8 w-8 p-0"
+                      title="Dismiss"
+                      onClick={() => {
+                        removePendingTransaction(tx.hash);
+                        setPending((prev) => prev.filter((p) => p.hash !== tx.hash));
+                      }}
+                    >
+                      <X className="h-4 w-4" />
+                    </Button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Loading State */}
         {isLoading && (
           <div className="flex flex-col items-center justify-center py-16 animate-in fade-in duration-300">
@@ -186,127 +362,171 @@ const History = () => {
         {/* Transactions List */}
         {!isLoading && !error && transactions.length > 0 && (
           <div className="max-w-4xl mx-auto space-y-4">
-            {transactions.map((tx, index) => (
-              <div
-                key={tx.id}
-                className="glass-card p-6 animate-in fade-in slide-in-from-bottom duration-500"
-                style={{ animationDelay: `${index * 50}ms` }}
-              >
-                <div className="flex items-start justify-between mb-4">
-                  {/* Transaction Type */}
-                  <div className="flex items-center gap-3">
-                    <div className={`p-3 rounded-xl ${
-                      tx.direction === "sent"
-                        ? "bg-destructive/10"
-                        : "bg-success/10"
-                    }`}>
-                      {tx.direction === "sent" ? (
-                        <ArrowUpRight className={`h-5 w-5 ${
-                          tx.direction === "sent" ? "text-destructive" : "text-success"
-                        }`} />
-                      ) : (
-                        <ArrowDownLeft className="h-5 w-5 text-success" />
-                      )}
-                    </div>
-                    <div>
-                      <div className="flex items-center gap-2">
-                        <h3 className="font-semibold text-foreground capitalize">
-                          {tx.direction === "sent" ? "Sent" : "Received"}
-                        </h3>
-                        <Badge variant={tx.successful ? "default" : "destructive"} className="text-xs">
-                          {tx.successful ? "Success" : "Failed"}
-                        </Badge>
+            <HistoryFilters
+              filters={filters}
+              onChange={setFilters}
+              typeOptions={typeOptions}
+              assetOptions={assetOptions}
+            />
+
+            {visibleTransactions.length === 0 && (
+              <div className="glass-card p-8 text-center">
+                <p className="text-muted-foreground">
+                  No loaded transactions match these filters
+                  {canLoadMore ? " yet — older ones are loading as you scroll" : ""}
+                </p>
+              </div>
+            )}
+
+            {visibleTransactions.map((tx, index) => {
+              const { label, icon: Icon } = getOperationDisplay(tx.type, tx.direction);
+              const style = DIRECTION_STYLES[tx.direction] || DIRECTION_STYLES.none;
+
+              return (
+                <div
+                  key={tx.id}
+                  className="glass-card p-6 animate-in fade-in slide-in-from-bottom duration-500"
+                  style={{ animationDelay: `${index * 50}ms` }}
+                >
+                  <div className="flex items-start justify-between gap-4 mb-4">
+                    {/* Operation Type */}
+                    <div className="flex items-center gap-3 min-w-0">
+                      <div className={`p-3 rounded-xl flex-shrink-0 ${style.background}`}>
+                        <Icon className={`h-5 w-5 ${style.text}`} />
+                      </div>
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2">
+                          <h3 className="font-semibold text-foreground">{label}</h3>
+                          <Badge variant={tx.successful ? "default" : "destructive"} className="text-xs">
+                            {tx.successful ? "Success" : "Failed"}
+                          </Badge>
+                        </div>
+                        <p className="text-sm text-muted-foreground mt-1 break-words">{tx.summary}</p>
+                        <p className="text-xs text-muted-foreground mt-1">
+                          {formatDate(tx.timestamp)}
+                        </p>
                       </div>
-                      <p className="text-xs text-muted-foreground mt-1">
-                        {formatDate(tx.timestamp)}
-                      </p>
                     </div>
-                  </div>
 
-                  {/* Amount */}
-                  <div className="text-right">
-                    <div className={`text-xl font-bold ${
-                      tx.direction === "sent" ? "text-destructive" : "text-success"
-                    }`}>
-                      {tx.direction === "sent" ? "-" : "+"}{tx.amount} XLM
-                    </div>
-                    <Badge variant="outline" className="text-xs mt-1">
-                      {tx.type}
-                    </Badge>
+                    {/* Amount */}
+                    {tx.amount && (
+                      <div className={`text-xl font-bold text-right flex-shrink-0 ${style.text}`}>
+                        {tx.direction === "sent" ? "-" : tx.direction === "received" ? "+" : ""}
+                        {parseFloat(tx.amount)} {tx.asset?.split(":")[0]}
+                      </div>
+                    )}
                   </div>
-                </div>
 
-                {/* Transaction Details */}
-                <div className="space-y-3 pt-4 border-t border-border/50">
-                  {/* Other Party */}
-                  <div className="flex items-center justify-between">
-                    <span className="text-sm text-muted-foreground">
-                      {tx.direction === "sent" ? "To" : "From"}
-                    </span>
-                    <div className="flex items-center gap-2">
-                      <span className="text-sm font-mono text-foreground">
-                        {formatAddress(tx.otherParty)}
-                      </span>
-                      <Button
-                        variant="ghost"
-                        size="sm"
-                        className="h-6 w-6 p-0"
-                        onClick={() => copyToClipboard(tx.otherParty, "Address")}
-                      >
-                        {copiedHash === tx.otherParty ? (
-                          <Check className="h-3 w-3 text-success" />
-                        ) : (
-                          <Copy className="h-3 w-3" />
-                        )}
-                      </Button>
-                    </div>
-                  </div>
+                  {/* Transaction Details */}
+                  <div className="space-y-3 pt-4 border-t border-border/50">
+                    {/* Other Party */}
+                    {tx.otherParty && (
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm text-muted-foreground">
+                          {tx.direction === "sent" ? "To" : tx.direction === "received" ? "From" : "Account"}
+                        </span>
+                        <div className="flex items-center gap-2">
+                          <span className="text-sm font-mono text-foreground">
+                            {formatAddress(tx.otherPartyMuxed || tx.otherParty)}
+                          </span>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="h-6 w-6 p-0"
+                            onClick={() => copyToClipboard(tx.otherPartyMuxed || tx.otherParty, "Address")}
+                          >
+                            {copiedHash === (tx.otherPartyMuxed || tx.otherParty) ? (
+                              <Check className="h-3 w-3 text-success" />
+                            ) : (
+                              <Copy className="h-3 w-3" />
+                            )}
+                          </Button>
+                        </div>
+                      </div>
+                    )}
 
-                  {/* Transaction Hash */}
-                  {tx.hash && (
-                    <div className="flex items-center justify-between">
-                      <span className="text-sm text-muted-foreground">Hash</span>
-                      <div className="flex items-center gap-2">
-                        <span className="text-sm font-mono text-foreground">
-                          {formatHash(tx.hash)}
+                    {/* Muxed ID this account was paid or paid from, e.g. a custodial customer */}
+                    {tx.accountMuxedId && (
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm text-muted-foreground">
+                          {tx.direction === "sent" ? "From muxed ID" : "To muxed ID"}
                         </span>
-                        <Button
-                          variant="ghost"
-                          size="sm"
-                          className="h-6 w-6 p-0"
-                          onClick={() => copyToClipboard(tx.hash, "Hash")}
-                        >
-                          {copiedHash === tx.hash ? (
-                            <Check className="h-3 w-3 text-success" />
-                          ) : (
-                            <Copy className="h-3 w-3" />
-                          )}
-                        </Button>
-                        <Button
-                          variant="ghost"
-                          size="sm"
-                          className="h-6 w-6 p-0"
-                          onClick={() => window.open(
-                            `https://stellar.expert/explorer/testnet/tx/${tx.hash}`,
-                            "_blank"
-                          )}
-                        >
-                          <ExternalLink className="h-3 w-3" />
-                        </Button>
+                        <span className="text-sm font-mono text-foreground">{tx.accountMuxedId}</span>
                       </div>
-                    </div>
-                  )}
+                    )}
 
-                  {/* Memo */}
-                  {tx.memo && (
-                    <div className="flex items-center justify-between">
-                      <span className="text-sm text-muted-foreground">Memo</span>
-                      <span className="text-sm text-foreground">{tx.memo}</span>
-                    </div>
-                  )}
+                    {/* Transaction Hash */}
+                    {tx.hash && (
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm text-muted-foreground">Hash</span>
+                        <div className="flex items-center gap-2">
+                          <Link
+                            to={`/tx/${tx.hash}`}
+                            className="text-sm font-mono text-primary hover:text-primary/80 transition-colors"
+                            title="View transaction details"
+                          >
+                            {formatHash(tx.hash)}
+                          </Link>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="h-6 w-6 p-0"
+                            onClick={() => copyToClipboard(tx.hash, "Hash")}
+                          >
+                            {copiedHash === tx.hash ? (
+                              <Check className="h-3 w-3 text-success" />
+                            ) : (
+                              <Copy className="h-3 w-3" />
+                            )}
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            className="h-6 w-6 p-0"
+                            onClick={() => window.open(getExplorerUrl(tx.hash), "_blank")}
+                          >
+                            <ExternalLink className="h-3 w-3" />
+                          </Button>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Memo */}
+                    {tx.memo && (
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm text-muted-foreground">
+                          Memo{tx.memoType && tx.memoType !== "text" ? ` (${tx.memoType})` : ""}
+                        </span>
+                        <span className="text-sm text-foreground font-mono break-all text-right ml-4">{tx.memo}</span>
+                      </div>
+                    )}
+
+                    {/* Transaction details couldn't be loaded; refresh to retry */}
+                    {tx.detailsUnavailable && (
+                      <p className="text-xs text-muted-foreground">
+                        Memo and transaction details are unavailable right now
+                      </p>
+                    )}
+                  </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
+
+            {/* Infinite scroll sentinel, with a button where IntersectionObserver is unavailable */}
+            <div ref={loadMoreRef} className="flex justify-center py-4">
+              {canLoadMore ? (
+                <Button variant="outline" onClick={loadMore} disabled={isLoadingMore} className="gap-2">
+                  {isLoadingMore && <Loader2 className="h-4 w-4 animate-spin" />}
+                  {isLoadingMore ? "Loading..." : "Load older transactions"}
+                </Button>
+              ) : (
+                <p className="text-sm text-muted-foreground">
+                  {hasMore
+                    ? "Everything in the selected date range is loaded"
+                    : "You've reached the first operation on this account"}
+                </p>
+              )}
+            </div>
           </div>
         )}
       </main>
@@ -0,0 +1,162 @@
+/**
+ * Pay Page
+ *
+ * Opens a SEP-0007 payment request from /pay?uri=web+stellar:pay?... : the URI is
+ * parsed and verified (network, and signature when present), then SendPayment
+ * opens with every field prefilled for the user to review and send
+ */
+
+import { useState, useEffect } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { getBalances, getAssetId } from "@/stellar/stellarClient";
+import { verifyPaymentRequest, type PaymentRequest } from "@/lib/payment-request";
+import { useNetwork } from "@/hooks/use-network";
+import { useWalletSession } from "@/hooks/use-wallet-session";
+import SendPayment from "@/components/SendPayment";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Sparkles, ArrowLeft, Loader2, AlertCircle, ShieldCheck, ShieldAlert, Wallet } from "lucide-react";
+
+const Pay = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const uri = searchParams.get("uri") || "";
+  const { publicKey, watchOnly } = useWalletSession();
+  const [request, setRequest] = useState<PaymentRequest | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isVerifying, setIsVerifying] = useState(true);
+  const [missingAsset, setMissingAsset] = useState(false);
+  const network = useNetwork();
+
+  // Re-verify after a network switch, since requests are tied to one network
+  useEffect(() => {
+    let cancelled = false;
+    setIsVerifying(true);
+    setError(null);
+    setRequest(null);
+
+    verifyPaymentRequest(uri)
+      .then((verified) => !cancelled && setRequest(verified))
+      .catch((err) => !cancelled && setError((err as Error).message))
+      .finally(() => !cancelled && setIsVerifying(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [uri, network.id]);
+
+  // SendPayment can only send assets this account holds
+  useEffect(() => {
+    setMissingAsset(false);
+    if (!publicKey || !request || request.asset === "native") return;
+
+    getBalances(publicKey)
+      .then((balances: { assetType: string }[]) =>
+        setMissingAsset(!balances.some((balance) => getAssetId(balance) === request.asset))
+      )
+      .catch((err) => console.error("Error fetching assets:", err));
+  }, [publicKey, request]);
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      {/* Header */}
+      <header className="border-b border-border/50 bg-card/30 backdrop-blur-sm sticky top-0 z-10">
+        <div className="container mx-auto px-4 py-4">
+          <div className="flex items-center justify-between">
+            <Button variant="ghost" onClick={() => navigate("/dashboard")} className="gap-2">
+              <ArrowLeft className="h-4 w-4" />
+              Back to Dashboard
+            </Button>
+
+            <div className="flex items-center gap-2">
+              <Sparkles className="h-6 w-6 text-primary" />
+              <h1 className="text-xl font-bold text-foreground">
+                Stellar<span className="text-primary">Pay</span>
+              </h1>
+            </div>
+
+            <div className="w-[140px]" />
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="flex-1 container mx-auto px-4 py-8">
+        <div className="max-w-xl mx-auto space-y-6">
+          {/* Page Title */}
+          <div className="animate-in fade-in slide-in-from-top duration-500">
+            <h1 className="text-3xl font-bold text-foreground mb-2">Payment Request</h1>
+            <p className="text-muted-foreground">Check the details below before you send</p>
+          </div>
+
+          {/* Verifying */}
+          {isVerifying && (
+            <div className="flex flex-col items-center justify-center py-16 animate-in fade-in duration-300">
+              <Loader2 className="h-12 w-12 text-primary animate-spin mb-4" />
+              <p className="text-muted-foreground">Verifying payment request...</p>
+            </div>
+          )}
+
+          {/* Invalid request */}
+          {error && !isVerifying && (
+            <div className="glass-card p-8 text-center animate-in fade-in slide-in-from-top duration-300">
+              <AlertCircle className="h-12 w-12 text-destructive mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-foreground mb-2">Invalid Payment Request</h3>
+              <p className="text-muted-foreground break-words">{error}</p>
+            </div>
+          )}
+
+          {request && !isVerifying && (
+            <>
+              {/* Who is asking */}
+              <div className="glass-card p-6 space-y-3 animate-in fade-in slide-in-from-bottom duration-500">
+                {request.originDomain ? (
+                  <div className="flex items-center gap-2">
+                    <ShieldCheck className="h-5 w-5 text-success" />
+                    <span className="text-sm text-foreground">Signed by</span>
+                    <Badge variant="outline" className="font-mono">
+                      {request.originDomain}
+                    </Badge>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <ShieldAlert className="h-5 w-5 text-warning" />
+                    <span className="text-sm text-muted-foreground">
+                      Unsigned request. Make sure you trust whoever sent it.
+                    </span>
+                  </div>
+                )}
+                {request.message && (
+                  <p className="text-sm text-foreground p-3 rounded-lg bg-muted/30 border border-border/50 break-words">
+                    {request.message}
+                  </p>
+                )}
+                {missingAsset && (
+                  <p className="text-sm text-destructive">
+                    This request asks for {request.asset.split(":")[0]}, which your account doesn't hold. Add a
+                    trustline and fund it before paying.
+                  </p>
+                )}
+              </div>
+
+              {/* The request can only be paid once the account holds its asset */}
+              {publicKey && !watchOnly ? (
+                !missingAsset && <SendPayment publicKey={publicKey} prefilledPayment={request} />
+              ) : (
+                <div className="glass-card p-8 text-center">
+                  <Wallet className="h-12 w-12 text-primary mx-auto mb-4" />
+                  <p className="text-muted-foreground mb-6">Connect your wallet to pay this request</p>
+                  <Button onClick={() => navigate("/connect", { state: { from: `/pay?${searchParams}` } })}>
+                    Connect Wallet
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default Pay;
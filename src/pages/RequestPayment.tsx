@@ -0,0 +1,269 @@
+/**
+ * Request Payment Page
+ *
+ * Builds a SEP-0007 web+stellar:pay URI for the connected account and shows it as a QR code,
+ * along with a link into this app's /pay route for people without a SEP-0007 wallet
+ */
+
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { QRCodeSVG } from "qrcode.react";
+import { getBalances, getAssetId, MEMO_TYPES } from "@/stellar/stellarClient";
+import {
+  buildPaymentRequestUri,
+  getPaymentRequestLink,
+  MAX_MESSAGE_LENGTH,
+  type PaymentRequestInput,
+} from "@/lib/payment-request";
+import { useNetwork } from "@/hooks/use-network";
+import { useWalletSession } from "@/hooks/use-wallet-session";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Sparkles, ArrowLeft, Copy, Check, Link as LinkIcon, AlertCircle } from "lucide-react";
+import { toast } from "sonner";
+
+interface Balance {
+  assetType: string;
+  assetCode: string;
+  assetIssuer: string | null;
+  isAuthorized: boolean;
+}
+
+/**
+ * Builds the URI and /pay link, or the reason the input can't make a request
+ */
+const buildRequest = (input: PaymentRequestInput) => {
+  try {
+    const uri = buildPaymentRequestUri(input);
+    return { uri, link: getPaymentRequestLink(uri), error: null };
+  } catch (err) {
+    return { uri: null, link: null, error: (err as Error).message };
+  }
+};
+
+const RequestPayment = () => {
+  const navigate = useNavigate();
+  const { publicKey } = useWalletSession();
+  const [assets, setAssets] = useState<Balance[]>([]);
+  const [amount, setAmount] = useState("");
+  const [asset, setAsset] = useState("native");
+  const [memoType, setMemoType] = useState("none");
+  const [memoValue, setMemoValue] = useState("");
+  const [message, setMessage] = useState("");
+  const [copied, setCopied] = useState<string | null>(null);
+  const network = useNetwork();
+
+  // Only assets this account can receive are offered
+  useEffect(() => {
+    if (!publicKey) return;
+    getBalances(publicKey)
+      .then((balances: Balance[]) =>
+        setAssets(balances.filter((b) => b.assetType !== "liquidity_pool_shares" && b.isAuthorized))
+      )
+      .catch((err) => {
+        console.error("Error fetching assets:", err);
+        setAssets([]);
+      });
+  }, [publicKey, network.id]);
+
+  // Rebuilt on every render, so it follows network switches too
+  const request = publicKey
+    ? buildRequest({ destination: publicKey, amount, asset, memoType, memoValue, message })
+    : null;
+
+  const copyToClipboard = async (text: string, type: string) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(text);
+      toast.success(`${type} copied to clipboard`);
+      setTimeout(() => setCopied(null), 2000);
+    } catch (err) {
+      toast.error("Failed to copy");
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      {/* Header */}
+      <header className="border-b border-border/50 bg-card/30 backdrop-blur-sm sticky top-0 z-10">
+        <div className="container mx-auto px-4 py-4">
+          <div className="flex items-center justify-between">
+            <Button variant="ghost" onClick={() => navigate("/dashboard")} className="gap-2">
+              <ArrowLeft className="h-4 w-4" />
+              Back to Dashboard
+            </Button>
+
+            <div className="flex items-center gap-2">
+              <Sparkles className="h-6 w-6 text-primary" />
+              <h1 className="text-xl font-bold text-foreground">
+                Stellar<span className="text-primary">Pay</span>
+              </h1>
+            </div>
+
+            <div className="w-[140px]" />
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="flex-1 container mx-auto px-4 py-8">
+        <div className="max-w-4xl mx-auto space-y-6">
+          {/* Page Title */}
+          <div className="animate-in fade-in slide-in-from-top duration-500">
+            <h1 className="text-3xl font-bold text-foreground mb-2">Request Payment</h1>
+            <p className="text-muted-foreground">
+              Share a QR code or link that opens a prefilled payment to your account on {network.name}
+            </p>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-6">
+            {/* Request details */}
+            <div className="glass-card p-6 space-y-4 animate-in fade-in slide-in-from-left duration-500">
+              <div className="space-y-2">
+                <Label htmlFor="request-amount">Amount (optional)</Label>
+                <Input
+                  id="request-amount"
+                  type="number"
+                  step="0.0000001"
+                  min="0.0000001"
+                  placeholder="Payer chooses"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  className="bg-muted/30 border-border/50"
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="request-asset">Asset</Label>
+                <Select value={asset} onValueChange={setAsset}>
+                  <SelectTrigger id="request-asset" className="bg-muted/30 border-border/50">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {assets.length === 0 && <SelectItem value="native">XLM</SelectItem>}
+                    {assets.map((balance) => (
+                      <SelectItem key={getAssetId(balance)} value={getAssetId(balance)}>
+                        <span className="font-medium">{balance.assetCode}</span>
+                        {balance.assetIssuer && (
+                          <span className="ml-2 text-xs text-muted-foreground">
+                            {balance.assetIssuer.slice(0, 4)}...{balance.assetIssuer.slice(-4)}
+                          </span>
+                        )}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="request-memo">Memo</Label>
+                <div className="flex gap-2">
+                  <Select
+                    value={memoType}
+                    onValueChange={(type) => {
+                      setMemoType(type);
+                      setMemoValue("");
+                    }}
+                  >
+                    <SelectTrigger className="w-28 flex-shrink-0 bg-muted/30 border-border/50">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {MEMO_TYPES.map((type: string) => (
+                        <SelectItem key={type} value={type} className="capitalize">
+                          {type}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  {memoType !== "none" && (
+                    <Input
+                      id="request-memo"
+                      placeholder="Memo value"
+                      value={memoValue}
+                      onChange={(e) => setMemoValue(e.target.value)}
+                      className="font-mono text-sm bg-muted/30 border-border/50"
+                    />
+                  )}
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="request-message">Message (optional)</Label>
+                <Textarea
+                  id="request-message"
+                  placeholder="What the payment is for"
+                  value={message}
+                  maxLength={MAX_MESSAGE_LENGTH}
+                  onChange={(e) => setMessage(e.target.value)}
+                  className="bg-muted/30 border-border/50"
+                />
+                <p className="text-xs text-muted-foreground text-right">
+                  {message.length}/{MAX_MESSAGE_LENGTH}
+                </p>
+              </div>
+            </div>
+
+            {/* QR code and links */}
+            <div className="glass-card p-6 space-y-4 animate-in fade-in slide-in-from-right duration-500">
+              {request?.error && (
+                <div className="flex items-start gap-2 p-3 rounded-lg bg-destructive/10 border border-destructive/20">
+                  <AlertCircle className="h-4 w-4 text-destructive flex-shrink-0 mt-0.5" />
+                  <p className="text-sm text-destructive">{request.error}</p>
+                </div>
+              )}
+
+              {request?.uri && (
+                <>
+                  <div className="flex justify-center">
+                    <div className="p-4 rounded-lg bg-white">
+                      <QRCodeSVG value={request.uri} size={208} level="M" />
+                    </div>
+                  </div>
+
+                  <div className="space-y-1">
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm text-muted-foreground">SEP-0007 URI</span>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-6 w-6 p-0"
+                        onClick={() => copyToClipboard(request.uri, "Payment URI")}
+                        title="Copy payment URI"
+                      >
+                        {copied === request.uri ? <Check className="h-3 w-3 text-success" /> : <Copy className="h-3 w-3" />}
+                      </Button>
+                    </div>
+                    <pre className="text-xs font-mono text-foreground bg-muted/30 border border-border/50 rounded-lg p-3 whitespace-pre-wrap break-all">
+                      {request.uri}
+                    </pre>
+                  </div>
+
+                  <Button
+                    variant="outline"
+                    className="w-full gap-2"
+                    onClick={() => copyToClipboard(request.link, "Payment link")}
+                  >
+                    {copied === request.link ? <Check className="h-4 w-4 text-success" /> : <LinkIcon className="h-4 w-4" />}
+                    Copy payment link
+                  </Button>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default RequestPayment;
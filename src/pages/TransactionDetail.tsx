@@ -0,0 +1,374 @@
+/**
+ * Transaction Detail Page
+ *
+ * Everything Horizon knows about one transaction: the decoded envelope (source, sequence,
+ * fee, memo, time bounds and operations with their result codes), ledger, fee charged,
+ * effects, signatures, and the raw envelope and result XDR
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { getTransactionDetails, getExplorerUrl, stroopsToXlm, shortenAddress } from "@/stellar/stellarClient";
+import { getOperationDisplay, DIRECTION_STYLES } from "@/lib/operation-display";
+import { useNetwork } from "@/hooks/use-network";
+import type { HistoryRecord } from "@/hooks/use-account-stream";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import {
+  Sparkles,
+  ArrowLeft,
+  ExternalLink,
+  Copy,
+  Check,
+  Loader2,
+  AlertCircle,
+  RefreshCw,
+} from "lucide-react";
+import { toast } from "sonner";
+
+/**
+ * The signed envelope as decodeTransaction returns it
+ */
+interface DecodedEnvelope {
+  source: string;
+  fee: string;
+  feeSource: string | null;
+  sequence: string;
+  memo: { type: string; value: string | null };
+  minTime: number;
+  maxTime: number;
+  operations: { type: string; source: string; destination: string | null; amount: string | null; asset: string | null }[];
+  isFeeBump: boolean;
+}
+
+interface TransactionDetails {
+  hash: string;
+  ledger: number;
+  createdAt: string;
+  successful: boolean;
+  sourceAccount: string;
+  feeAccount: string;
+  feeCharged: string;
+  maxFee: string;
+  sequence: string;
+  memo: string | null;
+  memoType: string;
+  signatures: string[];
+  envelopeXdr: string;
+  resultXdr: string;
+  envelope: DecodedEnvelope;
+  result: { code: string; innerCode: string | null; operationCodes: string[] };
+  operations: (HistoryRecord & { resultCode: string | null })[];
+  effects: { id: string; type: string; account: string; summary: string }[];
+}
+
+/**
+ * A labelled row in a details card
+ */
+const DetailRow = ({ label, children }: { label: string; children: React.ReactNode }) => (
+  <div className="flex items-start justify-between gap-4 py-2 border-b border-border/50 last:border-0">
+    <span className="text-sm text-muted-foreground flex-shrink-0">{label}</span>
+    <div className="text-sm text-foreground text-right break-all">{children}</div>
+  </div>
+);
+
+interface CopyButtonProps {
+  value: string;
+  type: string;
+  copied: string | null;
+  onCopy: (value: string, type: string) => void;
+}
+
+/**
+ * Copies a value, showing a check while it's the last thing copied
+ */
+const CopyButton = ({ value, type, copied, onCopy }: CopyButtonProps) => (
+  <Button
+    variant="ghost"
+    size="sm"
+    className="h-6 w-6 p-0 flex-shrink-0"
+    onClick={() => onCopy(value, type)}
+    title={`Copy ${type.toLowerCase()}`}
+  >
+    {copied === value ? <Check className="h-3 w-3 text-success" /> : <Copy className="h-3 w-3" />}
+  </Button>
+);
+
+const TransactionDetail = () => {
+  const navigate = useNavigate();
+  const { hash = "" } = useParams();
+  const [details, setDetails] = useState<TransactionDetails | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [copied, setCopied] = useState<string | null>(null);
+  const network = useNetwork();
+
+  const fetchDetails = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      setDetails(await getTransactionDetails(hash));
+    } catch (err) {
+      console.error("Error fetching transaction:", err);
+      setError((err as Error).message || "Failed to load transaction");
+      setDetails(null);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [hash]);
+
+  // Reload after a network switch, since the hash may exist on only one network
+  useEffect(() => {
+    fetchDetails();
+  }, [fetchDetails, network.id]);
+
+  const copyToClipboard = async (text: string, type: string) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(text);
+      toast.success(`${type} copied to clipboard`);
+      setTimeout(() => setCopied(null), 2000);
+    } catch (err) {
+      toast.error("Failed to copy");
+    }
+  };
+
+  const formatAddress = (address: string) => shortenAddress(address, 8);
+
+  // Time bounds are Unix seconds; 0 means unbounded
+  const formatTimeBound = (seconds: number, unbounded: string) =>
+    seconds ? new Date(seconds * 1000).toLocaleString() : <span className="text-muted-foreground">{unbounded}</span>;
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      {/* Header */}
+      <header className="border-b border-border/50 bg-card/30 backdrop-blur-sm sticky top-0 z-10">
+        <div className="container mx-auto px-4 py-4">
+          <div className="flex items-center justify-between">
+            <Button variant="ghost" onClick={() => navigate("/history")} className="gap-2">
+              <ArrowLeft className="h-4 w-4" />
+              Back to History
+            </Button>
+
+            <div className="flex items-center gap-2">
+              <Sparkles className="h-6 w-6 text-primary" />
+              <h1 className="text-xl font-bold text-foreground">
+                Stellar<span className="text-primary">Pay</span>
+              </h1>
+            </div>
+
+            <Button variant="ghost" size="sm" onClick={fetchDetails} disabled={isLoading} className="gap-2">
+              <RefreshCw className={`h-4 w-4 ${isLoading ? "animate-spin" : ""}`} />
+              <span className="hidden sm:inline">Refresh</span>
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="flex-1 container mx-auto px-4 py-8">
+        <div className="max-w-4xl mx-auto space-y-6">
+          {/* Page Title */}
+          <div className="animate-in fade-in slide-in-from-top duration-500">
+            <div className="flex items-center gap-3 mb-2">
+              <h1 className="text-3xl font-bold text-foreground">Transaction</h1>
+              {details && (
+                <Badge variant={details.successful ? "default" : "destructive"}>
+                  {details.successful ? "Success" : "Failed"}
+                </Badge>
+              )}
+            </div>
+            <div className="flex items-center gap-2">
+              <p className="text-sm font-mono text-muted-foreground break-all">{hash}</p>
+              <CopyButton value={hash} type="Hash" copied={copied} onCopy={copyToClipboard} />
+            </div>
+          </div>
+
+          {/* Loading State */}
+          {isLoading && (
+            <div className="flex flex-col items-center justify-center py-16 animate-in fade-in duration-300">
+              <Loader2 className="h-12 w-12 text-primary animate-spin mb-4" />
+              <p className="text-muted-foreground">Loading transaction...</p>
+            </div>
+          )}
+
+          {/* Error State */}
+          {error && !isLoading && (
+            <div className="glass-card p-8 text-center animate-in fade-in slide-in-from-top duration-300">
+              <AlertCircle className="h-12 w-12 text-destructive mx-auto mb-4" />
+              <h3 className="text-lg font-semibold text-foreground mb-2">Failed to Load Transaction</h3>
+              <p className="text-muted-foreground mb-6">{error}</p>
+              <Button onClick={fetchDetails} className="gap-2">
+                <RefreshCw className="h-4 w-4" />
+                Try Again
+              </Button>
+            </div>
+          )}
+
+          {details && !isLoading && (
+            <>
+              {/* Overview */}
+              <div className="glass-card p-6 animate-in fade-in slide-in-from-bottom duration-500">
+                <h2 className="font-semibold text-foreground mb-2">Overview</h2>
+                <DetailRow label="Result">
+                  <span className="font-mono text-xs">
+                    {details.result.code}
+                    {details.result.innerCode && ` (inner: ${details.result.innerCode})`}
+                  </span>
+                </DetailRow>
+                <DetailRow label="Ledger">{details.ledger}</DetailRow>
+                <DetailRow label="Created">{new Date(details.createdAt).toLocaleString()}</DetailRow>
+                <DetailRow label="Fee charged">
+                  {parseFloat(stroopsToXlm(details.feeCharged))} XLM ({details.feeCharged} stroops)
+                </DetailRow>
+                {network.explorerUrl && (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    className="gap-2 mt-4"
+                    onClick={() => window.open(getExplorerUrl(details.hash), "_blank")}
+                  >
+                    <ExternalLink className="h-3 w-3" />
+                    View on Explorer
+                  </Button>
+                )}
+              </div>
+
+              {/* Decoded envelope: what was signed */}
+              <div className="glass-card p-6 animate-in fade-in slide-in-from-bottom duration-500">
+                <h2 className="font-semibold text-foreground mb-2">Envelope</h2>
+                <DetailRow label="Source">
+                  <span className="font-mono text-xs">{details.envelope.source}</span>
+                </DetailRow>
+                {details.envelope.feeSource && (
+                  <DetailRow label="Fee paid by">
+                    <span className="font-mono text-xs">{details.envelope.feeSource}</span>
+                  </DetailRow>
+                )}
+                <DetailRow label={details.envelope.isFeeBump ? "Max fee (fee bump)" : "Max fee"}>
+                  {parseFloat(stroopsToXlm(details.envelope.fee))} XLM ({details.envelope.fee} stroops)
+                </DetailRow>
+                <DetailRow label="Sequence">
+                  <span className="font-mono text-xs">{details.envelope.sequence}</span>
+                </DetailRow>
+                <DetailRow label="Memo">
+                  {details.envelope.memo.value !== null ? (
+                    <span className="font-mono text-xs">
+                      {details.envelope.memo.value}{" "}
+                      <span className="text-muted-foreground">({details.envelope.memo.type})</span>
+                    </span>
+                  ) : (
+                    <span className="text-muted-foreground">None</span>
+                  )}
+                </DetailRow>
+                <DetailRow label="Valid from">{formatTimeBound(details.envelope.minTime, "Any time")}</DetailRow>
+                <DetailRow label="Valid until">{formatTimeBound(details.envelope.maxTime, "No expiry")}</DetailRow>
+              </div>
+
+              {/* Operations, decoded from the envelope, with Horizon's summary where it has one */}
+              <div className="glass-card p-6 animate-in fade-in slide-in-from-bottom duration-500">
+                <h2 className="font-semibold text-foreground mb-4">
+                  Operations ({details.envelope.operations.length})
+                </h2>
+                <div className="space-y-3">
+                  {details.envelope.operations.map((op, index) => {
+                    const record = details.operations[index];
+                    const resultCode = details.result.operationCodes[index];
+                    const { label, icon: Icon } = getOperationDisplay(record?.type || op.type, record?.direction || "none");
+                    const style = DIRECTION_STYLES[record?.direction] || DIRECTION_STYLES.none;
+
+                    return (
+                      <div key={index} className="flex items-start justify-between gap-4 p-3 rounded-lg bg-muted/30 border border-border/50">
+                        <div className="flex items-start gap-3 min-w-0">
+                          <div className={`p-2 rounded-lg flex-shrink-0 ${style.background}`}>
+                            <Icon className={`h-4 w-4 ${style.text}`} />
+                          </div>
+                          <div className="min-w-0">
+                            <p className="text-sm font-medium text-foreground">
+                              {index + 1}. {label}
+                            </p>
+                            {op.amount && (
+                              <p className="text-xs text-foreground break-all">
+                                {parseFloat(op.amount)} {op.asset?.split(":")[0]}
+                              </p>
+                            )}
+                            {op.destination && (
+                              <p className="text-xs text-muted-foreground font-mono">To {formatAddress(op.destination)}</p>
+                            )}
+                            {op.source !== details.envelope.source && (
+                              <p className="text-xs text-muted-foreground font-mono">Source {formatAddress(op.source)}</p>
+                            )}
+                            {record && <p className="text-xs text-muted-foreground break-words">{record.summary}</p>}
+                          </div>
+                        </div>
+                        {resultCode && (
+                          <Badge
+                            variant={resultCode === "op_success" ? "outline" : "destructive"}
+                            className="font-mono text-xs flex-shrink-0"
+                          >
+                            {resultCode}
+                          </Badge>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {/* Effects */}
+              <div className="glass-card p-6 animate-in fade-in slide-in-from-bottom duration-500">
+                <h2 className="font-semibold text-foreground mb-2">Effects ({details.effects.length})</h2>
+                {details.effects.length === 0 ? (
+                  <p className="text-sm text-muted-foreground">
+                    {details.successful ? "No effects recorded" : "Failed transactions have no effects"}
+                  </p>
+                ) : (
+                  details.effects.map((effect) => (
+                    <DetailRow key={effect.id} label={effect.summary}>
+                      <span className="font-mono text-xs">{formatAddress(effect.account)}</span>
+                    </DetailRow>
+                  ))
+                )}
+              </div>
+
+              {/* Signatures */}
+              <div className="glass-card p-6 animate-in fade-in slide-in-from-bottom duration-500">
+                <h2 className="font-semibold text-foreground mb-2">
+                  Signatures ({details.signatures.length})
+                </h2>
+                {details.signatures.map((signature) => (
+                  <div key={signature} className="flex items-center justify-between gap-2 py-2 border-b border-border/50 last:border-0">
+                    <span className="text-xs font-mono text-foreground break-all">{signature}</span>
+                    <CopyButton value={signature} type="Signature" copied={copied} onCopy={copyToClipboard} />
+                  </div>
+                ))}
+              </div>
+
+              {/* Raw XDR */}
+              <div className="glass-card p-6 space-y-4 animate-in fade-in slide-in-from-bottom duration-500">
+                <h2 className="font-semibold text-foreground">XDR</h2>
+                {[
+                  { label: "Envelope", value: details.envelopeXdr },
+                  { label: "Result", value: details.resultXdr },
+                ].map(({ label, value }) => (
+                  <div key={label} className="space-y-1">
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm text-muted-foreground">{label}</span>
+                      <CopyButton value={value} type={`${label} XDR`} copied={copied} onCopy={copyToClipboard} />
+                    </div>
+                    <pre className="text-xs font-mono text-foreground bg-muted/30 border border-border/50 rounded-lg p-3 whitespace-pre-wrap break-all max-h-40 overflow-y-auto">
+                      {value}
+                    </pre>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default TransactionDetail;
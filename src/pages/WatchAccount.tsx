@@ -0,0 +1,80 @@
+/**
+ * Watch Account Page
+ *
+ * Opens any account read-only from /account/:publicKey: starts a watch-only
+ * session for it and moves on to the dashboard, no wallet needed.
+ * A connected wallet session is only replaced once the user confirms.
+ */
+
+import { useEffect } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { isValidPublicKey, shortenAddress } from "@/stellar/stellarClient";
+import { getSession, startWatchSession } from "@/lib/wallet-session";
+import { useWalletSession } from "@/hooks/use-wallet-session";
+import { Button } from "@/components/ui/button";
+import { AlertCircle, Eye, Loader2 } from "lucide-react";
+
+const WatchAccount = () => {
+  const navigate = useNavigate();
+  const { publicKey = "" } = useParams();
+  const isValid = isValidPublicKey(publicKey);
+  const session = useWalletSession();
+  // Watching would end a session that can sign for another account
+  const needsConfirmation = isValid && !!session.publicKey && !session.watchOnly && session.publicKey !== publicKey;
+
+  const watch = () => {
+    startWatchSession(publicKey);
+    navigate("/dashboard", { replace: true });
+  };
+
+  useEffect(() => {
+    if (!isValid || needsConfirmation) return;
+    // Already viewing (or connected to) this account
+    if (getSession().publicKey !== publicKey) {
+      startWatchSession(publicKey);
+    }
+    navigate("/dashboard", { replace: true });
+  }, [isValid, needsConfirmation, publicKey, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      {needsConfirmation ? (
+        <div className="glass-card p-8 text-center max-w-md w-full animate-in fade-in slide-in-from-top duration-300">
+          <Eye className="h-12 w-12 text-primary mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-foreground mb-2">Watch {shortenAddress(publicKey)}?</h3>
+          <p className="text-muted-foreground mb-6">
+            You're connected to {shortenAddress(session.publicKey)} with {session.signer.name}. Watching this
+            account read-only switches away from it; it stays in your saved accounts.
+          </p>
+          <div className="flex flex-col sm:flex-row gap-2 justify-center">
+            <Button variant="outline" onClick={() => navigate("/dashboard", { replace: true })}>
+              Stay connected
+            </Button>
+            <Button onClick={watch} className="gap-2">
+              <Eye className="h-4 w-4" />
+              Watch account
+            </Button>
+          </div>
+        </div>
+      ) : isValid ? (
+        <div className="flex items-center gap-2 text-muted-foreground">
+          <Loader2 className="h-5 w-5 animate-spin" />
+          Opening account...
+        </div>
+      ) : (
+        <div className="glass-card p-8 text-center max-w-md w-full animate-in fade-in slide-in-from-top duration-300">
+          <AlertCircle className="h-12 w-12 text-destructive mx-auto mb-4" />
+          <h3 className="text-lg font-semibold text-foreground mb-2">Invalid Account Address</h3>
+          <p className="text-muted-foreground break-all mb-6">
+            {publicKey} isn't a Stellar account address (G...)
+          </p>
+          <Button variant="outline" onClick={() => navigate("/connect")}>
+            Back to Connect
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WatchAccount;
@@ -0,0 +1,69 @@
+/**
+ * Albedo signer
+ *
+ * Albedo is a web wallet: every request opens a popup on albedo.link, so it works
+ * in any browser without an extension. The intent library is loaded on first use.
+ */
+
+import { Networks } from "@stellar/stellar-sdk";
+import { toSignerError } from "./errors";
+import { rememberPublicKey, getRememberedPublicKey } from "./storage";
+
+const NAME = "Albedo";
+
+async function loadAlbedo() {
+  const module = await import("@albedo-link/intent");
+  return module.default;
+}
+
+/**
+ * Albedo names the public networks; anything else is passed as its passphrase
+ */
+function toAlbedoNetwork(networkPassphrase) {
+  if (networkPassphrase === Networks.PUBLIC) return "public";
+  if (networkPassphrase === Networks.TESTNET) return "testnet";
+  return networkPassphrase;
+}
+
+/** @type {import("./index").Signer} */
+export const albedoSigner = {
+  id: "albedo",
+  name: NAME,
+
+  async isAvailable() {
+    return typeof window !== "undefined";
+  },
+
+  async connect() {
+    try {
+      const albedo = await loadAlbedo();
+      const { pubkey } = await albedo.publicKey({});
+      rememberPublicKey("albedo", pubkey);
+      return pubkey;
+    } catch (err) {
+      throw toSignerError(err, NAME);
+    }
+  },
+
+  async getPublicKey() {
+    return getRememberedPublicKey("albedo");
+  },
+
+  async getNetwork() {
+    return null;
+  },
+
+  async signTransaction(xdr, { networkPassphrase, address }) {
+    try {
+      const albedo = await loadAlbedo();
+      const result = await albedo.tx({ xdr, pubkey: address, network: toAlbedoNetwork(networkPassphrase) });
+      return result.signed_envelope_xdr;
+    } catch (err) {
+      throw toSignerError(err, NAME);
+    }
+  },
+
+  async disconnect() {
+    rememberPublicKey("albedo", null);
+  },
+};
@@ -0,0 +1,39 @@
+/**
+ * Errors shared by the signer adapters
+ *
+ * Each wallet reports a rejected prompt differently (Freighter error codes, Albedo's
+ * "User declined", plain rejected promises...), so adapters turn them into one
+ * error with `declined` set that components can check without knowing the wallet
+ */
+
+// Messages wallets use when the user closes or rejects a prompt
+const DECLINED_PATTERN = /declin|reject|denied|cancel/i;
+
+/**
+ * Creates the error thrown when the user rejects a request in their wallet
+ *
+ * @param {string} walletName - The wallet's display name
+ * @returns {Error} - An error with `declined` set to true
+ */
+export function createDeclinedError(walletName) {
+  const error = new Error(`Request was rejected in ${walletName}`);
+  error.declined = true;
+  return error;
+}
+
+/**
+ * Normalizes whatever a wallet threw or returned as an error
+ *
+ * @param {*} err - An Error, a wallet error object ({ code, message }) or a string
+ * @param {string} walletName - The wallet's display name
+ * @returns {Error} - A declined error when the user said no, otherwise an Error with the wallet's message
+ */
+export function toSignerError(err, walletName) {
+  const message = typeof err === "string" ? err : err?.message || `${walletName} request failed`;
+
+  // Freighter and Albedo both use -4 for a rejected prompt
+  if (err?.code === -4 || DECLINED_PATTERN.test(message)) {
+    return createDeclinedError(walletName);
+  }
+  return err instanceof Error ? err : new Error(message);
+}
@@ -0,0 +1,95 @@
+/**
+ * Freighter signer
+ *
+ * Freighter is a browser extension wallet for Stellar, similar to MetaMask for Ethereum.
+ * Its API returns { error } instead of throwing, so every call goes through unwrap().
+ */
+
+import {
+  isConnected,
+  isAllowed,
+  requestAccess,
+  getAddress,
+  getNetwork,
+  signTransaction,
+  WatchWalletChanges,
+} from "@stellar/freighter-api";
+import { toSignerError } from "./errors";
+
+const NAME = "Freighter";
+
+// How often Freighter is polled for account and network switches
+const WATCH_INTERVAL_MS = 3000;
+
+/**
+ * Throws the normalized error if a Freighter call returned one
+ */
+function unwrap(result) {
+  if (result?.error) {
+    throw toSignerError(result.error, NAME);
+  }
+  return result;
+}
+
+/** @type {import("./index").Signer} */
+export const freighterSigner = {
+  id: "freighter",
+  name: NAME,
+  installUrl: "https://www.freighter.app/",
+
+  async isAvailable() {
+    try {
+      const result = await isConnected();
+      return !!result.isConnected;
+    } catch {
+      return false;
+    }
+  },
+
+  async connect() {
+    try {
+      const { address } = unwrap(await requestAccess());
+      if (!address) {
+        throw new Error("Could not retrieve public key from Freighter");
+      }
+      return address;
+    } catch (err) {
+      throw toSignerError(err, NAME);
+    }
+  },
+
+  async getPublicKey() {
+    const allowed = await isAllowed();
+    if (!allowed.isAllowed) {
+      return null;
+    }
+    const { address } = unwrap(await getAddress());
+    return address || null;
+  },
+
+  async getNetwork() {
+    const { network, networkPassphrase } = unwrap(await getNetwork());
+    return { network, networkPassphrase };
+  },
+
+  async signTransaction(xdr, { networkPassphrase, address }) {
+    try {
+      const { signedTxXdr } = unwrap(await signTransaction(xdr, { networkPassphrase, address }));
+      if (!signedTxXdr) {
+        throw new Error("Transaction signing was cancelled");
+      }
+      return signedTxXdr;
+    } catch (err) {
+      throw toSignerError(err, NAME);
+    }
+  },
+
+  watch(callback) {
+    const watcher = new WatchWalletChanges(WATCH_INTERVAL_MS);
+    watcher.watch(({ address, networkPassphrase, error }) => {
+      if (error) return;
+      callback({ publicKey: address || null, networkPassphrase: networkPassphrase || null });
+    });
+    return () => watcher.stop();
+  },
+};
@@ -0,0 +1,87 @@
+/**
+ * Wallet signers
+ *
+ * Every wallet the app can sign with is an adapter implementing the Signer interface
+ * below, and components only ever talk to the active signer. Adding a wallet means
+ * adding an adapter to SIGNERS; nothing else needs to know about its API.
+ *
+ * @typedef {object} Signer
+ * @property {string} id - Stable id, persisted as the active wallet
+ * @property {string} name - Display name, e.g. in "Please approve the transaction in Freighter"
+ * @property {string} [installUrl] - Where to get the wallet when it isn't available
+ * @property {() => Promise<boolean>} isAvailable - Whether the wallet can be used in this browser
+ * @property {() => Promise<string>} connect - Asks the user for access and returns their public key
+ * @property {() => Promise<string|null>} getPublicKey - The already-authorized public key, without prompting
+ * @property {() => Promise<{network: string, networkPassphrase: string}|null>} getNetwork - The wallet's
+ *   own network, or null for wallets that sign for whichever passphrase they're given
+ * @property {(xdr: string, opts: {networkPassphrase: string, address: string}) => Promise<string>} signTransaction -
+ *   Signs a transaction and returns the signed XDR. Throws an error with `declined` set if the user rejects it.
+ * @property {() => Promise<void>} [disconnect] - Ends the wallet's session, for wallets that keep one
+ * @property {(callback: (change: {publicKey: string|null, networkPassphrase: string|null}) => void) => Function} [watch] -
+ *   Calls back when the user switches account or network inside the wallet; returns a function that stops watching
+ */
+
+import { freighterSigner } from "./freighter";
+import { xbullSigner } from "./xbull";
+import { albedoSigner } from "./albedo";
+import { walletConnectSigner } from "./walletconnect";
+
+export { createKeypairSigner } from "./keypair";
+export { createDeclinedError } from "./errors";
+
+/**
+ * Wallets offered when connecting, in display order
+ * @type {Signer[]}
+ */
+export const SIGNERS = [freighterSigner, xbullSigner, albedoSigner, walletConnectSigner];
+
+// localStorage key for the id of the last used wallet
+const SIGNER_STORAGE_KEY = "stellar_wallet";
+
+function getInitialSigner() {
+  const storedId = typeof localStorage !== "undefined" ? localStorage.getItem(SIGNER_STORAGE_KEY) : null;
+  return SIGNERS.find((signer) => signer.id === storedId) || freighterSigner;
+}
+
+let activeSigner = getInitialSigner();
+
+// Callbacks to notify when the active signer changes
+const signerListeners = new Set();
+
+/**
+ * Returns the signer transactions are currently signed with
+ *
+ * @returns {Signer}
+ */
+export function getSigner() {
+  return activeSigner;
+}
+
+/**
+ * Switches the active signer
+ * Wallets from SIGNERS are remembered across reloads; others (keypairs, test doubles) aren't
+ *
+ * @param {Signer} signer - The signer to use from now on
+ * @returns {Signer} - The newly active signer
+ */
+export function setSigner(signer) {
+  activeSigner = signer;
+
+  if (typeof localStorage !== "undefined" && SIGNERS.includes(signer)) {
+    localStorage.setItem(SIGNER_STORAGE_KEY, signer.id);
+  }
+
+  signerListeners.forEach((listener) => listener(signer));
+  return signer;
+}
+
+/**
+ * Registers a listener for signer switches
+ *
+ * @param {Function} listener - Called with the new signer after every switch
+ * @returns {Function} - Call to unsubscribe
+ */
+export function onSignerChange(listener) {
+  signerListeners.add(listener);
+  return () => signerListeners.delete(listener);
+}
@@ -0,0 +1,49 @@
+/**
+ * In-memory keypair signer
+ *
+ * Signs with a secret key held in memory, never persisted. Meant for tests and
+ * local development against a standalone network, not for real funds.
+ */
+
+import { Keypair, TransactionBuilder } from "@stellar/stellar-sdk";
+
+/**
+ * Creates a signer for one keypair
+ *
+ * @param {string|Keypair} secretOrKeypair - A secret seed (S...) or a Keypair with a secret
+ * @returns {import("./index").Signer}
+ */
+export function createKeypairSigner(secretOrKeypair) {
+  const keypair = typeof secretOrKeypair === "string" ? Keypair.fromSecret(secretOrKeypair) : secretOrKeypair;
+  const publicKey = keypair.publicKey();
+
+  return {
+    id: "keypair",
+    name: "Local keypair",
+
+    async isAvailable() {
+      return true;
+    },
+
+    async connect() {
+      return publicKey;
+    },
+
+    async getPublicKey() {
+      return publicKey;
+    },
+
+    async getNetwork() {
+      return null;
+    },
+
+    async signTransaction(xdr, { networkPassphrase, address }) {
+      if (address && address !== publicKey) {
+        throw new Error(`This keypair can't sign for ${address}`);
+      }
+      const transaction = TransactionBuilder.fromXDR(xdr, networkPassphrase);
+      transaction.sign(keypair);
+      return transaction.toXDR();
+    },
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * Public keys remembered per wallet
+ *
+ * xBull and Albedo can't report an already-authorized account without prompting,
+ * so the key from the last connect is kept to reconnect silently on reload
+ */
+
+const STORAGE_PREFIX = "stellar_wallet_key_";
+
+/**
+ * Stores (or with null, forgets) the public key a wallet last connected with
+ *
+ * @param {string} signerId - The signer's id
+ * @param {string|null} publicKey - The key to remember
+ */
+export function rememberPublicKey(signerId, publicKey) {
+  if (typeof localStorage === "undefined") return;
+  if (publicKey) {
+    localStorage.setItem(STORAGE_PREFIX + signerId, publicKey);
+  } else {
+    localStorage.removeItem(STORAGE_PREFIX + signerId);
+  }
+}
+
+/**
+ * The public key a wallet last connected with, if any
+ *
+ * @param {string} signerId - The signer's id
+ * @returns {string|null}
+ */
+export function getRememberedPublicKey(signerId) {
+  if (typeof localStorage === "undefined") return null;
+  return localStorage.getItem(STORAGE_PREFIX + signerId);
+}
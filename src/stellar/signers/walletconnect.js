@@ -0,0 +1,172 @@
+/**
+ * WalletConnect v2 signer
+ *
+ * Pairs with mobile wallets (LOBSTR, xBull mobile...) by QR code. Needs a project id
+ * from cloud.walletconnect.com in VITE_WALLETCONNECT_PROJECT_ID, and only covers
+ * Mainnet and Testnet, the networks Stellar wallets register with WalletConnect.
+ * The client and modal are loaded on first use since they're large.
+ */
+
+import { Networks } from "@stellar/stellar-sdk";
+import { NETWORK_PASSPHRASE } from "@/stellar/stellarClient";
+import { createDeclinedError, toSignerError } from "./errors";
+
+const NAME = "WalletConnect";
+
+const PROJECT_ID = import.meta.env.VITE_WALLETCONNECT_PROJECT_ID;
+
+// WalletConnect chain id for each supported network passphrase
+const CHAIN_IDS = {
+  [Networks.PUBLIC]: "stellar:pubnet",
+  [Networks.TESTNET]: "stellar:testnet",
+};
+
+const SIGN_METHOD = "stellar_signXDR";
+
+// WalletConnect's USER_DISCONNECTED reason
+const USER_DISCONNECTED = { code: 6000, message: "User disconnected" };
+
+let clientPromise = null;
+let modal = null;
+
+/**
+ * Loads and initializes the sign client and modal once
+ */
+function getClient() {
+  if (!PROJECT_ID) {
+    return Promise.reject(new Error("WalletConnect isn't configured. Set VITE_WALLETCONNECT_PROJECT_ID."));
+  }
+  if (!clientPromise) {
+    clientPromise = Promise.all([import("@walletconnect/sign-client"), import("@walletconnect/modal")])
+      .then(([{ SignClient }, { WalletConnectModal }]) => {
+        modal = new WalletConnectModal({ projectId: PROJECT_ID, chains: Object.values(CHAIN_IDS) });
+        return SignClient.init({
+          projectId: PROJECT_ID,
+          metadata: {
+            name: "StellarPay",
+            description: "Send and receive payments on Stellar",
+            url: window.location.origin,
+            icons: [],
+          },
+        });
+      })
+      .catch((err) => {
+        clientPromise = null;
+        throw err;
+      });
+  }
+  return clientPromise;
+}
+
+/**
+ * @throws {Error} - If the network isn't one WalletConnect wallets support
+ */
+function getChainId(networkPassphrase) {
+  const chainId = CHAIN_IDS[networkPassphrase];
+  if (!chainId) {
+    throw new Error("WalletConnect only supports Mainnet and Testnet");
+  }
+  return chainId;
+}
+
+/**
+ * The most recent paired session, if any
+ */
+function getSession(client) {
+  const sessions = client.session.getAll();
+  return sessions[sessions.length - 1] || null;
+}
+
+/**
+ * The session's account as { chainId, publicKey }, from "stellar:testnet:G..."
+ */
+function getSessionAccount(session) {
+  const account = session?.namespaces.stellar?.accounts[0];
+  if (!account) return null;
+  const [namespace, reference, publicKey] = account.split(":");
+  return { chainId: `${namespace}:${reference}`, publicKey };
+}
+
+/** @type {import("./index").Signer} */
+export const walletConnectSigner = {
+  id: "walletconnect",
+  name: NAME,
+
+  async isAvailable() {
+    return !!PROJECT_ID;
+  },
+
+  async connect() {
+    const chainId = getChainId(NETWORK_PASSPHRASE);
+    const client = await getClient();
+
+    const { uri, approval } = await client.connect({
+      requiredNamespaces: {
+        stellar: { chains: [chainId], methods: [SIGN_METHOD], events: [] },
+      },
+    });
+
+    let session;
+    try {
+      if (uri) {
+        await modal.openModal({ uri });
+      }
+      session = await approval();
+    } catch (err) {
+      throw toSignerError(err, NAME);
+    } finally {
+      modal.closeModal();
+    }
+
+    const account = getSessionAccount(session);
+    if (!account) {
+      throw new Error("The wallet didn't share a Stellar account");
+    }
+    return account.publicKey;
+  },
+
+  async getPublicKey() {
+    if (!PROJECT_ID) return null;
+    const client = await getClient();
+    return getSessionAccount(getSession(client))?.publicKey || null;
+  },
+
+  async getNetwork() {
+    const client = await getClient();
+    const account = getSessionAccount(getSession(client));
+    if (!account) return null;
+    const networkPassphrase = Object.keys(CHAIN_IDS).find((passphrase) => CHAIN_IDS[passphrase] === account.chainId);
+    return { network: account.chainId, networkPassphrase };
+  },
+
+  async signTransaction(xdr, { networkPassphrase }) {
+    const client = await getClient();
+    const session = getSession(client);
+    if (!session) {
+      throw new Error("WalletConnect session ended. Reconnect your wallet and try again.");
+    }
+
+    try {
+      const { signedXDR } = await client.request({
+        topic: session.topic,
+        chainId: getChainId(networkPassphrase),
+        request: { method: SIGN_METHOD, params: { xdr } },
+      });
+      if (!signedXDR) {
+        throw createDeclinedError(NAME);
+      }
+      return signedXDR;
+    } catch (err) {
+      throw toSignerError(err, NAME);
+    }
+  },
+
+  async disconnect() {
+    if (!PROJECT_ID) return;
+    const client = await getClient();
+    const session = getSession(client);
+    if (session) {
+      await client.disconnect({ topic: session.topic, reason: USER_DISCONNECTED });
+    }
+  },
+};
@@ -0,0 +1,67 @@
+/**
+ * xBull signer
+ *
+ * xBull's browser extension injects window.xBullSDK. It doesn't report its network:
+ * transactions are signed for whichever passphrase they're given.
+ */
+
+import { toSignerError } from "./errors";
+import { rememberPublicKey, getRememberedPublicKey } from "./storage";
+
+const NAME = "xBull";
+
+function getSdk() {
+  return typeof window !== "undefined" ? window.xBullSDK : undefined;
+}
+
+function requireSdk() {
+  const sdk = getSdk();
+  if (!sdk) {
+    throw new Error("xBull extension not found. Install it and reload the page.");
+  }
+  return sdk;
+}
+
+/** @type {import("./index").Signer} */
+export const xbullSigner = {
+  id: "xbull",
+  name: NAME,
+  installUrl: "https://xbull.app/",
+
+  async isAvailable() {
+    return !!getSdk();
+  },
+
+  async connect() {
+    const sdk = requireSdk();
+    try {
+      await sdk.connect({ canRequestPublicKey: true, canRequestSign: true });
+      const publicKey = await sdk.getPublicKey();
+      rememberPublicKey("xbull", publicKey);
+      return publicKey;
+    } catch (err) {
+      throw toSignerError(err, NAME);
+    }
+  },
+
+  async getPublicKey() {
+    return getSdk() ? getRememberedPublicKey("xbull") : null;
+  },
+
+  async getNetwork() {
+    return null;
+  },
+
+  async signTransaction(xdr, { networkPassphrase, address }) {
+    const sdk = requireSdk();
+    try {
+      return await sdk.signXDR(xdr, { network: networkPassphrase, publicKey: address });
+    } catch (err) {
+      throw toSignerError(err, NAME);
+    }
+  },
+
+  async disconnect() {
+    rememberPublicKey("xbull", null);
+  },
+};
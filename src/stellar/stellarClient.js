@@ -1,25 +1,217 @@
 /**
- * Stellar Client - Utilities for interacting with Stellar Testnet
+ * Stellar Client - Utilities for interacting with the Stellar network
  * 
  * This module provides functions to:
- * - Connect to Stellar Testnet via Horizon API
- * - Fetch account balances
- * - Build and submit payment transactions
+ * - Connect to a Stellar network (testnet by default) via Horizon API
+ * - Switch between network profiles at runtime
+ * - Fetch account balances (XLM and issued assets)
+ * - Build and submit payment transactions (XLM or issued assets, with memos)
+ * - Manage trustlines for issued assets
+ * - Fee-bump stuck or underpriced transactions
+ * - Resolve federation addresses (name*domain) to account IDs
+ * - Read stellar.toml values, e.g. for verifying signed payment requests
  * - Integrate with Freighter wallet for signing
  */
 
 import * as StellarSdk from "@stellar/stellar-sdk";
 
-// Stellar Testnet Horizon server URL
+/**
+ * Network profiles the app can talk to
+ * Each profile holds everything needed to reach a network:
+ * - horizonUrl: the Horizon API gateway
+ * - networkPassphrase: identifies the network so transactions can't be replayed elsewhere
+ * - friendbotUrl: faucet for funding accounts (null where there is none)
+ * - explorerUrl: stellar.expert base for links (null where there is none)
+ * - freighterNetwork: the network name Freighter reports for this profile
+ */
+export const NETWORK_PROFILES = {
+  testnet: {
+    id: "testnet",
+    name: "Testnet",
+    horizonUrl: "https://horizon-testnet.stellar.org",
+    networkPassphrase: StellarSdk.Networks.TESTNET,
+    friendbotUrl: "https://friendbot.stellar.org",
+    explorerUrl: "https://stellar.expert/explorer/testnet",
+    freighterNetwork: "TESTNET",
+  },
+  futurenet: {
+    id: "futurenet",
+    name: "Futurenet",
+    horizonUrl: "https://horizon-futurenet.stellar.org",
+    networkPassphrase: StellarSdk.Networks.FUTURENET,
+    friendbotUrl: "https://friendbot-futurenet.stellar.org",
+    explorerUrl: "https://stellar.expert/explorer/futurenet",
+    freighterNetwork: "FUTURENET",
+  },
+  mainnet: {
+    id: "mainnet",
+    name: "Mainnet",
+    horizonUrl: "https://horizon.stellar.org",
+    networkPassphrase: StellarSdk.Networks.PUBLIC,
+    friendbotUrl: null,
+    explorerUrl: "https://stellar.expert/explorer/public",
+    freighterNetwork: "PUBLIC",
+  },
+  // Local stellar/quickstart node started with --standalone
+  local: {
+    id: "local",
+    name: "Local Standalone",
+    horizonUrl: "http://localhost:8000",
+    networkPassphrase: StellarSdk.Networks.STANDALONE,
+    friendbotUrl: "http://localhost:8000/friendbot",
+    explorerUrl: null,
+    freighterNetwork: "STANDALONE",
+  },
+};
+
+// localStorage key used to remember the selected network between visits
+const NETWORK_STORAGE_KEY = "stellar_network";
+
+// Fallback when nothing is stored and no VITE_STELLAR_NETWORK is configured
+const DEFAULT_NETWORK = "testnet";
+
+/**
+ * Works out which profile to start with
+ * Order: previously selected network, then VITE_STELLAR_NETWORK, then testnet
+ */
+function getInitialNetworkId() {
+  const candidates = [
+    typeof localStorage !== "undefined" ? localStorage.getItem(NETWORK_STORAGE_KEY) : null,
+    import.meta.env?.VITE_STELLAR_NETWORK,
+  ];
+  return candidates.find((id) => id && NETWORK_PROFILES[id]) || DEFAULT_NETWORK;
+}
+
+/**
+ * Creates a Horizon server instance for a profile
+ * Local standalone nodes are served over plain HTTP
+ */
+function createServer(profile) {
+  return new StellarSdk.Horizon.Server(profile.horizonUrl, {
+    allowHttp: profile.horizonUrl.startsWith("http://"),
+  });
+}
+
+// The active profile and the values derived from it
+// These are exported as live bindings, so importers always see the current network
+let activeProfile = NETWORK_PROFILES[getInitialNetworkId()];
+
 // Horizon is the API gateway to the Stellar network
-const HORIZON_URL = "https://horizon-testnet.stellar.org";
+let HORIZON_URL = activeProfile.horizonUrl;
 
 // Network passphrase identifies which Stellar network we're using
 // This prevents transactions from being replayed on other networks
-const NETWORK_PASSPHRASE = StellarSdk.Networks.TESTNET;
+let NETWORK_PASSPHRASE = activeProfile.networkPassphrase;
+
+// Horizon server instance for making API calls
+let server = createServer(activeProfile);
+
+// Callbacks to notify when the active network changes
+const networkListeners = new Set();
+
+/**
+ * Returns the currently active network profile
+ * 
+ * @returns {object} - The active profile from NETWORK_PROFILES
+ */
+export function getNetworkProfile() {
+  return activeProfile;
+}
+
+/**
+ * Switches the active network profile
+ * Every export of this module uses the new profile from now on
+ * 
+ * @param {string} networkId - A key of NETWORK_PROFILES (e.g. "testnet", "local")
+ * @returns {object} - The newly active profile
+ * @throws {Error} - If the network id is unknown
+ */
+export function setNetwork(networkId) {
+  const profile = NETWORK_PROFILES[networkId];
+  if (!profile) {
+    throw new Error(`Unknown network: ${networkId}`);
+  }
+
+  activeProfile = profile;
+  HORIZON_URL = profile.horizonUrl;
+  NETWORK_PASSPHRASE = profile.networkPassphrase;
+  server = createServer(profile);
+
+  if (typeof localStorage !== "undefined") {
+    localStorage.setItem(NETWORK_STORAGE_KEY, networkId);
+  }
+
+  networkListeners.forEach((listener) => listener(profile));
+  return profile;
+}
+
+/**
+ * Subscribes to network changes
+ * 
+ * @param {Function} listener - Called with the new profile after every switch
+ * @returns {Function} - Call to unsubscribe
+ */
+export function onNetworkChange(listener) {
+  networkListeners.add(listener);
+  return () => networkListeners.delete(listener);
+}
+
+/**
+ * Checks whether a Freighter network matches the active profile
+ * Compares passphrases when Freighter reports one, since custom networks can have any name
+ * 
+ * @param {string} networkName - Network name from Freighter's getNetwork()
+ * @param {string} [networkPassphrase] - Passphrase from Freighter's getNetwork()
+ * @returns {boolean} - True if the wallet is on the active network
+ */
+export function isActiveNetwork(networkName, networkPassphrase) {
+  if (networkPassphrase) {
+    return networkPassphrase === activeProfile.networkPassphrase;
+  }
+  return networkName === activeProfile.freighterNetwork;
+}
+
+/**
+ * Funds an account using the active network's Friendbot
+ * 
+ * @param {string} publicKey - The account to fund
+ * @returns {Promise<object>} - The Friendbot response
+ * @throws {Error} - If the network has no Friendbot or funding fails
+ */
+export async function fundWithFriendbot(publicKey) {
+  if (!activeProfile.friendbotUrl) {
+    throw new Error(`Friendbot is not available on ${activeProfile.name}`);
+  }
+
+  const response = await fetch(
+    `${activeProfile.friendbotUrl}?addr=${encodeURIComponent(publicKey)}`
+  );
+  const result = await response.json();
 
-// Create a Horizon server instance for making API calls
-const server = new StellarSdk.Horizon.Server(HORIZON_URL);
+  if (!response.ok) {
+    throw new Error(result.detail || "Friendbot funding failed");
+  }
+  return result;
+}
+
+/**
+ * Loads an account from Horizon with a friendly error for unfunded accounts
+ * 
+ * @param {string} publicKey - The Stellar public key (starts with 'G')
+ * @returns {Promise<object>} - The Horizon account record
+ * @throws {Error} - If account not found or network error
+ */
+async function loadAccount(publicKey) {
+  try {
+    return await server.loadAccount(publicKey);
+  } catch (error) {
+    // Handle specific Stellar errors
+    if (error.response && error.response.status === 404) {
+      throw new Error(`Account not found. Make sure the account is funded on ${activeProfile.name}.`);
+    }
+    throw error;
+  }
+}
 
 /**
  * Fetches the XLM balance for a given Stellar account
@@ -29,41 +221,463 @@ const server = new StellarSdk.Horizon.Server(HORIZON_URL);
  * @throws {Error} - If account not found or network error
  */
 export async function getBalance(publicKey) {
-  try {
-    // Load the account from Horizon
-    // This returns account details including all asset balances
-    const account = await server.loadAccount(publicKey);
-    
-    // Find the native XLM balance
-    // Stellar accounts can hold multiple assets, but XLM is the native asset
-    const nativeBalance = account.balances.find(
-      (balance) => balance.asset_type === "native"
+  // Load the account from Horizon
+  // This returns account details including all asset balances
+  const account = await loadAccount(publicKey);
+  
+  // Find the native XLM balance
+  // Stellar accounts can hold multiple assets, but XLM is the native asset
+  const nativeBalance = account.balances.find(
+    (balance) => balance.asset_type === "native"
+  );
+  
+  // Return the balance, or "0" if somehow not found
+  return nativeBalance ? nativeBalance.balance : "0";
+}
+
+/**
+ * Normalizes a Horizon balance line into the shape the UI works with
+ * 
+ * @param {object} line - A balance entry from account.balances
+ * @returns {object} - Normalized balance record
+ */
+function normalizeBalanceLine(line) {
+  const isNative = line.asset_type === "native";
+  const isPoolShare = line.asset_type === "liquidity_pool_shares";
+
+  return {
+    assetType: line.asset_type,
+    assetCode: isNative ? "XLM" : isPoolShare ? "LP" : line.asset_code,
+    assetIssuer: line.asset_issuer || null,
+    liquidityPoolId: line.liquidity_pool_id || null,
+    balance: line.balance,
+    // Native XLM has no trustline, so no limit
+    limit: line.limit || null,
+    buyingLiabilities: line.buying_liabilities || "0.0000000",
+    sellingLiabilities: line.selling_liabilities || "0.0000000",
+    // Authorization flags only exist on trustlines; native is always usable
+    isAuthorized: isNative ? true : line.is_authorized !== false,
+    isAuthorizedToMaintainLiabilities: isNative
+      ? true
+      : line.is_authorized_to_maintain_liabilities !== false,
+    isClawbackEnabled: Boolean(line.is_clawback_enabled),
+  };
+}
+
+/**
+ * Fetches every balance line (XLM and trustlines) for a Stellar account
+ * XLM is always first, followed by issued assets sorted by code
+ * 
+ * @param {string} publicKey - The Stellar public key (starts with 'G')
+ * @returns {Promise<Array>} - Array of normalized balance records
+ * @throws {Error} - If account not found or network error
+ */
+export async function getBalances(publicKey) {
+  const account = await loadAccount(publicKey);
+
+  return account.balances
+    .map(normalizeBalanceLine)
+    .sort((a, b) => {
+      if (a.assetType === "native") return -1;
+      if (b.assetType === "native") return 1;
+      return a.assetCode.localeCompare(b.assetCode);
+    });
+}
+
+/**
+ * Normalizes a Horizon account record into the details the UI shows
+ * 
+ * @param {object} account - Horizon account record
+ * @returns {object} - Sequence, home domain, thresholds, flags and signers
+ */
+export function normalizeAccountDetails(account) {
+  return {
+    accountId: account.account_id,
+    sequence: account.sequence,
+    subentryCount: Number(account.subentry_count || 0),
+    homeDomain: account.home_domain || null,
+    thresholds: {
+      low: account.thresholds?.low_threshold ?? 0,
+      medium: account.thresholds?.med_threshold ?? 0,
+      high: account.thresholds?.high_threshold ?? 0,
+    },
+    flags: {
+      authRequired: Boolean(account.flags?.auth_required),
+      authRevocable: Boolean(account.flags?.auth_revocable),
+      authImmutable: Boolean(account.flags?.auth_immutable),
+      authClawbackEnabled: Boolean(account.flags?.auth_clawback_enabled),
+    },
+    // Strongest signers first
+    signers: (account.signers || [])
+      .map((signer) => ({ key: signer.key, weight: signer.weight, type: signer.type }))
+      .sort((a, b) => b.weight - a.weight),
+    numSponsoring: Number(account.num_sponsoring || 0),
+    numSponsored: Number(account.num_sponsored || 0),
+    lastModifiedTime: account.last_modified_time || null,
+  };
+}
+
+/**
+ * Fetches an account's settings: thresholds, flags, signers and home domain
+ * 
+ * @param {string} publicKey - The Stellar public key (starts with 'G')
+ * @returns {Promise<object>} - See normalizeAccountDetails
+ * @throws {Error} - If account not found or network error
+ */
+export async function getAccountDetails(publicKey) {
+  return normalizeAccountDetails(await loadAccount(publicKey));
+}
+
+// 1 XLM = 10,000,000 stroops
+const STROOPS_PER_XLM = 10000000n;
+
+// Minimum fee per operation in stroops (100 stroops = 0.00001 XLM)
+export const BASE_FEE = StellarSdk.BASE_FEE;
+
+/**
+ * Converts a decimal amount string (up to 7 places) to stroops
+ * Uses BigInt so reserve math doesn't pick up floating point errors
+ */
+function toStroops(amount) {
+  const [whole, fraction = ""] = String(amount).split(".");
+  return BigInt(whole || "0") * STROOPS_PER_XLM + BigInt(fraction.padEnd(7, "0").slice(0, 7));
+}
+
+/**
+ * Converts stroops back to a 7 decimal amount string
+ */
+function fromStroops(stroops) {
+  const sign = stroops < 0n ? "-" : "";
+  const abs = stroops < 0n ? -stroops : stroops;
+  const fraction = (abs % STROOPS_PER_XLM).toString().padStart(7, "0");
+  return `${sign}${abs / STROOPS_PER_XLM}.${fraction}`;
+}
+
+// Fee presets offered to the user, plus a custom value in stroops
+export const FEE_STRATEGIES = ["low", "normal", "high", "custom"];
+
+/**
+ * Fetches fee presets from Horizon's /fee_stats endpoint
+ * Presets use the percentiles of fees actually charged in recent ledgers:
+ * low = p10, normal = p50, high = p90, never below the current base fee
+ * 
+ * @returns {Promise<object>} - { low, normal, high, baseFee, capacityUsage } with fees in stroops per operation
+ */
+export async function getFeeEstimates() {
+  const stats = await server.feeStats();
+  const baseFee = Number(stats.last_ledger_base_fee) || Number(StellarSdk.BASE_FEE);
+  const atLeastBase = (fee) => String(Math.max(Number(fee) || 0, baseFee));
+
+  return {
+    low: atLeastBase(stats.fee_charged.p10),
+    normal: atLeastBase(stats.fee_charged.p50),
+    high: atLeastBase(stats.fee_charged.p90),
+    baseFee: String(baseFee),
+    // Fraction of ledger capacity used; close to 1 means the network is congested
+    capacityUsage: Number(stats.ledger_capacity_usage),
+  };
+}
+
+/**
+ * Picks the per-operation fee for a strategy
+ * 
+ * @param {string} strategy - One of FEE_STRATEGIES
+ * @param {object} [estimates] - Result of getFeeEstimates (falls back to the base fee)
+ * @param {string|number} [customFee] - Fee in stroops when strategy is "custom"
+ * @returns {string} - Fee in stroops per operation
+ * @throws {Error} - If a custom fee is not a whole number of at least 100 stroops
+ */
+export function resolveFee(strategy, estimates, customFee) {
+  if (strategy === "custom") {
+    const fee = String(customFee ?? "").trim();
+    if (!/^\d+$/.test(fee) || Number(fee) < Number(StellarSdk.BASE_FEE)) {
+      throw new Error(`Custom fee must be a whole number of at least ${StellarSdk.BASE_FEE} stroops`);
+    }
+    return fee;
+  }
+  return (estimates && estimates[strategy]) || StellarSdk.BASE_FEE;
+}
+
+/**
+ * Converts a fee in stroops to an XLM amount string
+ * 
+ * @param {string|number} stroops - Fee in stroops
+ * @returns {string} - The fee in XLM with 7 decimals
+ */
+export function stroopsToXlm(stroops) {
+  return fromStroops(BigInt(stroops));
+}
+
+/**
+ * Fetches the current base reserve from the latest ledger
+ * 
+ * @returns {Promise<number>} - Base reserve in stroops (5,000,000 = 0.5 XLM on public networks)
+ */
+export async function getBaseReserve() {
+  const ledgers = await server.ledgers().order("desc").limit(1).call();
+  return Number(ledgers.records[0].base_reserve_in_stroops);
+}
+
+/**
+ * Calculates the minimum balance and spendable XLM for an account
+ * 
+ * Minimum balance = (2 + subentries + sponsoring - sponsored) × base reserve
+ * Spendable = balance - minimum balance - XLM selling liabilities - fee
+ * 
+ * @param {object} account - Horizon account record
+ * @param {number} baseReserve - Base reserve in stroops
+ * @param {number|string} [fee] - Fee to set aside, in stroops (default: 0)
+ * @returns {object} - Reserve breakdown with amounts as 7 decimal strings
+ */
+export function calculateReserve(account, baseReserve, fee = 0) {
+  const subentryCount = Number(account.subentry_count || 0);
+  const numSponsoring = Number(account.num_sponsoring || 0);
+  const numSponsored = Number(account.num_sponsored || 0);
+
+  const native = account.balances.find((line) => line.asset_type === "native");
+  const balance = toStroops(native ? native.balance : "0");
+  const sellingLiabilities = toStroops(native?.selling_liabilities || "0");
+
+  const reserveEntries = 2 + subentryCount + numSponsoring - numSponsored;
+  const minimumBalance = BigInt(reserveEntries) * BigInt(baseReserve);
+  const spendable = balance - minimumBalance - sellingLiabilities - BigInt(fee);
+
+  return {
+    balance: fromStroops(balance),
+    minimumBalance: fromStroops(minimumBalance),
+    sellingLiabilities: fromStroops(sellingLiabilities),
+    spendable: fromStroops(spendable > 0n ? spendable : 0n),
+    baseReserve: fromStroops(BigInt(baseReserve)),
+    subentryCount,
+    numSponsoring,
+    numSponsored,
+  };
+}
+
+/**
+ * Fetches how much XLM an account can actually send
+ * Takes the live base reserve, subentries, sponsorships and open offers into account
+ * 
+ * @param {string} publicKey - The Stellar public key (starts with 'G')
+ * @param {number|string} [fee] - Fee to set aside, in stroops (default: 0)
+ * @returns {Promise<object>} - Reserve breakdown (see calculateReserve)
+ */
+export async function getSpendableBalance(publicKey, fee = 0) {
+  const [account, baseReserve] = await Promise.all([loadAccount(publicKey), getBaseReserve()]);
+  return calculateReserve(account, baseReserve, fee);
+}
+
+/**
+ * Parses an asset identifier into a stellar-sdk Asset
+ * 
+ * @param {string} [assetId] - "native"/"XLM" for lumens, or "CODE:ISSUER" for issued assets
+ * @returns {StellarSdk.Asset} - The parsed asset
+ * @throws {Error} - If the identifier is malformed
+ */
+export function parseAsset(assetId) {
+  if (!assetId || assetId === "native" || assetId === "XLM") {
+    return StellarSdk.Asset.native();
+  }
+
+  const [code, issuer, ...rest] = assetId.split(":");
+  if (!code || !issuer || rest.length > 0) {
+    throw new Error("Asset must be in CODE:ISSUER format");
+  }
+  if (!/^[a-zA-Z0-9]{1,12}$/.test(code)) {
+    throw new Error("Asset code must be 1-12 letters or digits");
+  }
+  if (!StellarSdk.StrKey.isValidEd25519PublicKey(issuer)) {
+    throw new Error("Invalid asset issuer address");
+  }
+  return new StellarSdk.Asset(code, issuer);
+}
+
+/**
+ * Builds the asset identifier used by parseAsset from a balance record
+ * 
+ * @param {object} balance - A record returned by getBalances
+ * @returns {string} - "native" or "CODE:ISSUER"
+ */
+export function getAssetId(balance) {
+  if (balance.assetType === "native") return "native";
+  return `${balance.assetCode}:${balance.assetIssuer}`;
+}
+
+// Memo types supported on outgoing payments
+export const MEMO_TYPES = ["none", "text", "id", "hash", "return"];
+
+// Largest value a memo id can hold (uint64)
+const MAX_MEMO_ID = 18446744073709551615n;
+
+/**
+ * Builds a stellar-sdk Memo, validating the value for its type
+ * - text: up to 28 bytes of UTF-8
+ * - id: unsigned 64-bit integer
+ * - hash / return: 32 bytes as 64 hex characters
+ * 
+ * @param {string} [type] - One of MEMO_TYPES (default: "none")
+ * @param {string} [value] - The memo value
+ * @returns {StellarSdk.Memo} - The memo to attach to a transaction
+ * @throws {Error} - If the type is unknown or the value is invalid
+ */
+export function createMemo(type = "none", value = "") {
+  const trimmed = String(value ?? "").trim();
+
+  switch (type) {
+    case "none":
+      return StellarSdk.Memo.none();
+    case "text": {
+      if (!trimmed) throw new Error("Memo text is required");
+      const bytes = new TextEncoder().encode(trimmed).length;
+      if (bytes > 28) {
+        throw new Error(`Memo text is ${bytes} bytes; the limit is 28 bytes`);
+      }
+      return StellarSdk.Memo.text(trimmed);
+    }
+    case "id": {
+      if (!/^\d+$/.test(trimmed)) {
+        throw new Error("Memo ID must be a whole number");
+      }
+      if (BigInt(trimmed) > MAX_MEMO_ID) {
+        throw new Error("Memo ID must be between 0 and 18446744073709551615");
+      }
+      return StellarSdk.Memo.id(trimmed);
+    }
+    case "hash":
+    case "return": {
+      if (!/^[0-9a-fA-F]{64}$/.test(trimmed)) {
+        throw new Error(`Memo ${type} must be 32 bytes (64 hex characters)`);
+      }
+      return type === "hash" ? StellarSdk.Memo.hash(trimmed) : StellarSdk.Memo.return(trimmed);
+    }
+    default:
+      throw new Error(`Unknown memo type: ${type}`);
+  }
+}
+
+/**
+ * Formats a memo from Horizon for display
+ * Horizon returns hash and return memos base64 encoded; we show them as hex
+ * 
+ * @param {string} memo - The memo value from Horizon
+ * @param {string} memoType - Horizon memo_type ("text", "id", "hash", "return")
+ * @returns {string|null} - Display value
+ */
+function formatHorizonMemo(memo, memoType) {
+  if (memo === undefined || memo === null || memoType === "none") return null;
+  if (memoType === "hash" || memoType === "return") {
+    return Array.from(atob(memo), (char) => char.charCodeAt(0).toString(16).padStart(2, "0")).join("");
+  }
+  return memo;
+}
+
+/**
+ * Checks that an existing account can receive an issued asset
+ * The issuer itself never needs a trustline for its own asset
+ * 
+ * @param {object} account - Horizon account record of the destination
+ * @param {StellarSdk.Asset} asset - The issued asset being sent
+ * @throws {Error} - If the account has no trustline or is not authorized
+ */
+function assertCanReceiveAsset(account, asset) {
+  if (account.account_id === asset.getIssuer()) return;
+
+  const trustline = account.balances.find(
+    (line) => line.asset_code === asset.getCode() && line.asset_issuer === asset.getIssuer()
+  );
+
+  if (!trustline) {
+    throw new Error(
+      `Destination account does not trust ${asset.getCode()}. The recipient must add a trustline for this asset first.`
     );
-    
-    // Return the balance, or "0" if somehow not found
-    return nativeBalance ? nativeBalance.balance : "0";
+  }
+  if (trustline.is_authorized === false) {
+    throw new Error(`Destination account is not authorized by the issuer to hold ${asset.getCode()}`);
+  }
+}
+
+/**
+ * Loads a destination account, or null if it doesn't exist yet
+ * 
+ * @param {string} publicKey - The destination public key
+ * @returns {Promise<object|null>} - Horizon account record, or null when unfunded
+ */
+async function loadDestinationAccount(publicKey) {
+  try {
+    return await server.loadAccount(getBaseAddress(publicKey));
   } catch (error) {
-    // Handle specific Stellar errors
     if (error.response && error.response.status === 404) {
-      throw new Error("Account not found. Make sure the account is funded on testnet.");
+      return null;
     }
     throw error;
   }
 }
 
 /**
- * Builds a payment transaction for sending XLM
+ * Creates the operation that moves funds to one destination
+ * payment for existing accounts, createAccount for new ones (XLM only)
+ * 
+ * @param {string} destinationPublicKey - Recipient's public key or muxed address
+ * @param {object|null} destinationAccount - Result of loadDestinationAccount
+ * @param {string} amount - Amount to send
+ * @param {StellarSdk.Asset} asset - Asset to send
+ * @returns {xdr.Operation} - The operation to add to a transaction
+ * @throws {Error} - If the destination can't receive the payment
+ */
+function createPaymentOperation(destinationPublicKey, destinationAccount, amount, asset) {
+  // Issued assets can only go to existing accounts that trust them
+  // Checking here gives a clear error instead of op_no_trust after signing
+  if (!asset.isNative()) {
+    if (!destinationAccount) {
+      throw new Error(
+        `Destination account does not exist. It must be created with XLM before it can receive ${asset.getCode()}.`
+      );
+    }
+    assertCanReceiveAsset(destinationAccount, asset);
+  }
+
+  if (destinationAccount) {
+    // Standard payment operation for existing accounts
+    return StellarSdk.Operation.payment({
+      destination: destinationPublicKey,
+      // Asset.native() represents XLM, anything else is CODE:ISSUER
+      asset: asset,
+      amount: amount,
+    });
+  }
+
+  // For new accounts, we need to use createAccount operation
+  // createAccount only takes a G-address, so a muxed account's base must exist already
+  if (parseMuxedAddress(destinationPublicKey)) {
+    throw new Error("Muxed account's base account does not exist. It must be created before it can receive payments.");
+  }
+  // This requires a minimum of 1 XLM to create the account
+  if (parseFloat(amount) < 1) {
+    throw new Error("Minimum 1 XLM required to create a new account");
+  }
+  return StellarSdk.Operation.createAccount({
+    destination: destinationPublicKey,
+    startingBalance: amount,
+  });
+}
+
+/**
+ * Builds a payment transaction for sending XLM or an issued asset
  * 
  * @param {string} sourcePublicKey - Sender's public key
- * @param {string} destinationPublicKey - Recipient's public key
- * @param {string} amount - Amount of XLM to send
+ * @param {string} destinationPublicKey - Recipient's public key, or a muxed (M) address
+ * @param {string} amount - Amount of the asset to send
+ * @param {object} [options] - Optional settings
+ * @param {string} [options.asset] - Asset to send: "native" (default) or "CODE:ISSUER"
+ * @param {object} [options.memo] - Memo to attach: { type, value } (see createMemo)
+ * @param {string} [options.fee] - Fee per operation in stroops (default: BASE_FEE, see resolveFee)
  * @returns {Promise<string>} - The transaction XDR (base64 encoded transaction)
  */
-export async function buildPaymentTransaction(sourcePublicKey, destinationPublicKey, amount) {
+export async function buildPaymentTransaction(sourcePublicKey, destinationPublicKey, amount, options = {}) {
   try {
     // Validate destination address format
-    // Stellar public keys are 56 characters starting with 'G'
-    if (!StellarSdk.StrKey.isValidEd25519PublicKey(destinationPublicKey)) {
+    // Stellar public keys are 56 characters starting with 'G'; muxed addresses are 69 starting with 'M'
+    if (!isValidDestination(destinationPublicKey)) {
       throw new Error("Invalid destination address format");
     }
     
@@ -72,58 +686,31 @@ export async function buildPaymentTransaction(sourcePublicKey, destinationPublic
     if (isNaN(numAmount) || numAmount <= 0) {
       throw new Error("Amount must be a positive number");
     }
+
+    const asset = parseAsset(options.asset);
+    const memo = createMemo(options.memo?.type, options.memo?.value);
     
     // Load the source account to get the current sequence number
     // Sequence numbers prevent transaction replay attacks
     const sourceAccount = await server.loadAccount(sourcePublicKey);
     
     // Check if destination account exists
-    let destinationExists = true;
-    try {
-      await server.loadAccount(destinationPublicKey);
-    } catch (error) {
-      if (error.response && error.response.status === 404) {
-        destinationExists = false;
-      } else {
-        throw error;
-      }
-    }
+    const destinationAccount = await loadDestinationAccount(destinationPublicKey);
     
     // Build the transaction
-    const transactionBuilder = new StellarSdk.TransactionBuilder(sourceAccount, {
+    const transaction = new StellarSdk.TransactionBuilder(sourceAccount, {
       // Fee is in stroops (1 XLM = 10,000,000 stroops)
-      // Base fee is typically 100 stroops
-      fee: StellarSdk.BASE_FEE,
+      // Base fee is typically 100 stroops; raise it when the network is congested
+      fee: options.fee || StellarSdk.BASE_FEE,
       networkPassphrase: NETWORK_PASSPHRASE,
-    });
-    
-    if (destinationExists) {
-      // Standard payment operation for existing accounts
-      transactionBuilder.addOperation(
-        StellarSdk.Operation.payment({
-          destination: destinationPublicKey,
-          // Asset.native() represents XLM
-          asset: StellarSdk.Asset.native(),
-          amount: amount,
-        })
-      );
-    } else {
-      // For new accounts, we need to use createAccount operation
-      // This requires a minimum of 1 XLM to create the account
-      if (numAmount < 1) {
-        throw new Error("Minimum 1 XLM required to create a new account");
-      }
-      transactionBuilder.addOperation(
-        StellarSdk.Operation.createAccount({
-          destination: destinationPublicKey,
-          startingBalance: amount,
-        })
-      );
-    }
-    
-    // Set a timeout for the transaction (300 seconds = 5 minutes)
-    // After this time, the transaction will be invalid
-    const transaction = transactionBuilder.setTimeout(300).build();
+      // Exchanges and custodial recipients use the memo to credit the right user
+      memo: memo,
+    })
+      .addOperation(createPaymentOperation(destinationPublicKey, destinationAccount, amount, asset))
+      // Set a timeout for the transaction (300 seconds = 5 minutes)
+      // After this time, the transaction will be invalid
+      .setTimeout(300)
+      .build();
     
     // Return the transaction as XDR (External Data Representation)
     // This is the format Freighter uses for signing
@@ -133,6 +720,488 @@ export async function buildPaymentTransaction(sourcePublicKey, destinationPublic
   }
 }
 
+// Protocol limit on operations in a single transaction
+export const MAX_OPERATIONS_PER_TRANSACTION = 100;
+
+/**
+ * Parses pasted CSV into batch payment rows
+ * Accepts "address,amount" per line (comma, semicolon or tab separated);
+ * a header row and blank lines are skipped
+ * 
+ * @param {string} text - The pasted CSV
+ * @returns {Array} - Rows of { destination, amount }
+ * @throws {Error} - If a line doesn't have both columns
+ */
+export function parseBatchCsv(text) {
+  const rows = [];
+  let firstLine = true;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    // trim() also drops the byte order mark some spreadsheet exports start with
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    const [destination = "", amount = ""] = trimmed.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"|"$/g, ""));
+
+    // Skip a header row such as "address,amount" on the first line with content
+    const isHeader = firstLine && isNaN(parseFloat(amount));
+    firstLine = false;
+    if (isHeader) return;
+
+    if (!destination || !amount) {
+      throw new Error(`Line ${index + 1}: expected "address,amount"`);
+    }
+    rows.push({ destination, amount });
+  });
+
+  return rows;
+}
+
+/**
+ * Builds one or more transactions paying many recipients
+ * Payments are packed up to MAX_OPERATIONS_PER_TRANSACTION per transaction;
+ * each transaction uses the next sequence number, so they must be submitted in order
+ * 
+ * @param {string} sourcePublicKey - Sender's public key
+ * @param {Array} payments - Rows of { destination, amount }
+ * @param {object} [options] - Same as buildPaymentTransaction (asset, memo, fee)
+ * @returns {Promise<Array<string>>} - Transaction XDRs in submission order
+ * @throws {Error} - If any row is invalid or the total exceeds the spendable balance
+ */
+export async function buildBatchPaymentTransactions(sourcePublicKey, payments, options = {}) {
+  if (!payments || payments.length === 0) {
+    throw new Error("Add at least one recipient");
+  }
+
+  const asset = parseAsset(options.asset);
+  const memo = createMemo(options.memo?.type, options.memo?.value);
+  const fee = options.fee || StellarSdk.BASE_FEE;
+
+  // Validate every row up front so nothing is signed for a partly broken list
+  let total = 0n;
+  payments.forEach((payment, index) => {
+    const row = `Row ${index + 1}`;
+    if (!isValidDestination(payment.destination)) {
+      throw new Error(`${row}: invalid destination address`);
+    }
+    if (getBaseAddress(payment.destination) === sourcePublicKey) {
+      throw new Error(`${row}: cannot send to your own address`);
+    }
+    if (!/^\d*\.?\d{0,7}$/.test(payment.amount) || !(parseFloat(payment.amount) > 0)) {
+      throw new Error(`${row}: amount must be a positive number with at most 7 decimals`);
+    }
+    total += toStroops(payment.amount);
+  });
+
+  const transactionCount = Math.ceil(payments.length / MAX_OPERATIONS_PER_TRANSACTION);
+  const totalFees = BigInt(fee) * BigInt(payments.length);
+
+  // Check the whole batch against what the account can actually spend
+  const [sourceAccount, baseReserve] = await Promise.all([
+    server.loadAccount(sourcePublicKey),
+    getBaseReserve(),
+  ]);
+  if (asset.isNative()) {
+    const { spendable, minimumBalance } = calculateReserve(sourceAccount, baseReserve, totalFees);
+    if (total > toStroops(spendable)) {
+      throw new Error(
+        `Batch total of ${fromStroops(total)} XLM plus fees exceeds your available balance of ${spendable} XLM ` +
+          `(${minimumBalance} XLM must stay as the minimum reserve)`
+      );
+    }
+  } else {
+    const { spendable, minimumBalance } = calculateReserve(sourceAccount, baseReserve);
+    if (toStroops(spendable) < totalFees) {
+      throw new Error(
+        `Not enough XLM for the ${fromStroops(totalFees)} XLM in fees: ${spendable} XLM is spendable ` +
+          `above the ${minimumBalance} XLM minimum reserve`
+      );
+    }
+    const line = sourceAccount.balances.find(
+      (b) => b.asset_code === asset.getCode() && b.asset_issuer === asset.getIssuer()
+    );
+    const available = line ? toStroops(line.balance) - toStroops(line.selling_liabilities || "0") : 0n;
+    if (total > available) {
+      throw new Error(
+        `Batch total of ${fromStroops(total)} ${asset.getCode()} exceeds your available balance of ${fromStroops(available > 0n ? available : 0n)}`
+      );
+    }
+  }
+
+  // Look up each distinct destination once
+  const destinations = [...new Set(payments.map((p) => p.destination))];
+  const accounts = new Map(
+    await Promise.all(destinations.map(async (d) => [d, await loadDestinationAccount(d)]))
+  );
+
+  // A new account is created by its first row; later rows to it are plain payments
+  const created = new Set();
+  const operations = payments.map((payment, index) => {
+    const baseAddress = getBaseAddress(payment.destination);
+    const account = accounts.get(payment.destination) || (created.has(baseAddress) ? { account_id: baseAddress } : null);
+    try {
+      const operation = createPaymentOperation(payment.destination, account, payment.amount, asset);
+      if (!account) created.add(baseAddress);
+      return operation;
+    } catch (error) {
+      throw new Error(`Row ${index + 1}: ${error.message}`);
+    }
+  });
+
+  // The builder bumps sourceAccount's sequence on every build, so chunks chain in order
+  const transactions = [];
+  for (let i = 0; i < transactionCount; i++) {
+    const builder = new StellarSdk.TransactionBuilder(sourceAccount, {
+      fee,
+      networkPassphrase: NETWORK_PASSPHRASE,
+      memo,
+    });
+    operations
+      .slice(i * MAX_OPERATIONS_PER_TRANSACTION, (i + 1) * MAX_OPERATIONS_PER_TRANSACTION)
+      .forEach((operation) => builder.addOperation(operation));
+    transactions.push(builder.setTimeout(300).build().toXDR());
+  }
+
+  return transactions;
+}
+
+/**
+ * Searches the active network for issued assets with a given code
+ * 
+ * @param {string} code - Asset code to look up (e.g. "USDC")
+ * @param {number} limit - Maximum number of results (default: 10)
+ * @returns {Promise<Array>} - Matching assets, most widely held first
+ */
+export async function searchAssets(code, limit = 10) {
+  const response = await server.assets().forCode(code.trim()).limit(limit).call();
+
+  return response.records
+    .map((record) => ({
+      assetCode: record.asset_code,
+      assetIssuer: record.asset_issuer,
+      accounts: record.accounts ? record.accounts.authorized : record.num_accounts || 0,
+      amount: record.balances ? record.balances.authorized : record.amount || "0",
+      tomlUrl: record._links?.toml?.href || null,
+    }))
+    .sort((a, b) => b.accounts - a.accounts);
+}
+
+/**
+ * Builds a changeTrust transaction to add, update or remove a trustline
+ * A limit of "0" removes the trustline, which requires a zero balance
+ * 
+ * @param {string} sourcePublicKey - Account that holds (or will hold) the trustline
+ * @param {string} assetId - The asset as "CODE:ISSUER"
+ * @param {string} [limit] - Maximum amount to trust; omit for the maximum allowed
+ * @returns {Promise<string>} - The transaction XDR (base64 encoded transaction)
+ */
+export async function buildChangeTrustTransaction(sourcePublicKey, assetId, limit) {
+  const asset = parseAsset(assetId);
+  if (asset.isNative()) {
+    throw new Error("XLM does not need a trustline");
+  }
+  if (asset.getIssuer() === sourcePublicKey) {
+    throw new Error("An issuer cannot hold a trustline to its own asset");
+  }
+
+  if (limit !== undefined && limit !== null && limit !== "") {
+    const numLimit = parseFloat(limit);
+    if (isNaN(numLimit) || numLimit < 0) {
+      throw new Error("Limit must be zero or a positive number");
+    }
+  } else {
+    limit = undefined;
+  }
+
+  const sourceAccount = await loadAccount(sourcePublicKey);
+  const trustline = sourceAccount.balances.find(
+    (line) => line.asset_code === asset.getCode() && line.asset_issuer === asset.getIssuer()
+  );
+
+  // Removing a trustline only works once nothing is held or owed in that asset
+  if (limit !== undefined && parseFloat(limit) === 0) {
+    if (!trustline) {
+      throw new Error(`No trustline for ${asset.getCode()} to remove`);
+    }
+    if (parseFloat(trustline.balance) > 0) {
+      throw new Error(`Send or sell your ${asset.getCode()} balance before removing the trustline`);
+    }
+    if (parseFloat(trustline.buying_liabilities) > 0 || parseFloat(trustline.selling_liabilities) > 0) {
+      throw new Error(`Cancel open ${asset.getCode()} offers before removing the trustline`);
+    }
+  } else if (trustline && limit !== undefined) {
+    // A new limit must still cover what the account holds and has on order
+    const minimum = parseFloat(trustline.balance) + parseFloat(trustline.buying_liabilities);
+    if (parseFloat(limit) < minimum) {
+      throw new Error(`Limit cannot be below your current ${asset.getCode()} balance and open offers (${minimum})`);
+    }
+  }
+
+  const transaction = new StellarSdk.TransactionBuilder(sourceAccount, {
+    fee: StellarSdk.BASE_FEE,
+    networkPassphrase: NETWORK_PASSPHRASE,
+  })
+    .addOperation(StellarSdk.Operation.changeTrust({ asset, limit }))
+    .setTimeout(300)
+    .build();
+
+  return transaction.toXDR();
+}
+
+/**
+ * Formats a stellar-sdk Asset as a display code
+ */
+function formatAsset(asset) {
+  if (!asset) return null;
+  if (typeof asset.isNative !== "function") return "Liquidity pool shares";
+  if (asset.isNative()) return "XLM";
+  return `${asset.getCode()}:${asset.getIssuer()}`;
+}
+
+/**
+ * Decodes a transaction XDR into the details a user should review before signing
+ * 
+ * @param {string} transactionXDR - The transaction XDR (signed or unsigned)
+ * @returns {object} - { source, fee, feeSource, sequence, memo, minTime, maxTime, operations, isFeeBump }
+ *   where operations are { type, destination, amount, asset } and memo is { type, value }.
+ *   feeSource is the account paying a fee bump, and null otherwise.
+ */
+export function decodeTransaction(transactionXDR) {
+  let transaction = StellarSdk.TransactionBuilder.fromXDR(transactionXDR, NETWORK_PASSPHRASE);
+  const isFeeBump = transaction instanceof StellarSdk.FeeBumpTransaction;
+  const fee = transaction.fee;
+  const feeSource = isFeeBump ? transaction.feeSource : null;
+  if (isFeeBump) {
+    transaction = transaction.innerTransaction;
+  }
+
+  const memo = transaction.memo;
+  let memoValue = null;
+  if (memo.type === "hash" || memo.type === "return") {
+    memoValue = memo.value.toString("hex");
+  } else if (memo.value !== null && memo.value !== undefined) {
+    memoValue = memo.value.toString();
+  }
+
+  return {
+    source: transaction.source,
+    fee,
+    feeSource,
+    sequence: transaction.sequence,
+    memo: { type: memo.type, value: memoValue },
+    // Unix times between which the transaction is valid (0 = no bound)
+    minTime: transaction.timeBounds ? Number(transaction.timeBounds.minTime) : 0,
+    maxTime: transaction.timeBounds ? Number(transaction.timeBounds.maxTime) : 0,
+    operations: transaction.operations.map((op) => ({
+      type: op.type,
+      source: op.source || transaction.source,
+      destination: op.destination || null,
+      amount: op.type === "createAccount" ? op.startingBalance : op.amount || null,
+      asset: op.type === "createAccount" ? "XLM" : formatAsset(op.asset || op.line),
+      ...(op.type === "changeTrust" && { limit: op.limit }),
+    })),
+    isFeeBump,
+  };
+}
+
+/**
+ * Converts an XDR enum name to Horizon's result code style, e.g. "txBadSeq" -> "tx_bad_seq"
+ */
+function toResultCode(name) {
+  return name.replace(/[A-Z]/g, (char) => `_${char.toLowerCase()}`);
+}
+
+/**
+ * Horizon-style result code of one operation, e.g. "op_success" or "op_underfunded"
+ * 
+ * @param {StellarSdk.xdr.OperationResult} opResult
+ * @returns {string}
+ */
+function getOperationResultCode(opResult) {
+  if (opResult.switch().name !== "opInner") {
+    return toResultCode(opResult.switch().name);
+  }
+
+  const type = opResult.tr().switch().name;
+  const result = opResult.tr().value();
+  // A few operations (e.g. inflation before protocol 12) return no code at all
+  const code = typeof result.switch === "function" ? result.switch().name : `${type}Success`;
+  // "paymentUnderfunded" -> "op_underfunded"; codes shared between operations keep their prefix
+  const shortCode = code.startsWith(type) ? code.slice(type.length) : code.charAt(0).toUpperCase() + code.slice(1);
+  return `op${toResultCode(shortCode)}`;
+}
+
+/**
+ * Decodes a transaction result XDR into Horizon-style result codes
+ * 
+ * @param {string} resultXDR - Base64 TransactionResult, as in Horizon's result_xdr
+ * @returns {object} - { feeCharged, code, innerCode, operationCodes }; innerCode is
+ *   only set for fee-bump transactions
+ */
+export function decodeTransactionResult(resultXDR) {
+  const txResult = StellarSdk.xdr.TransactionResult.fromXDR(resultXDR, "base64");
+  let result = txResult.result();
+  const code = toResultCode(result.switch().name);
+  let innerCode = null;
+
+  if (code === "tx_fee_bump_inner_success" || code === "tx_fee_bump_inner_failed") {
+    result = result.innerResultPair().result().result();
+    innerCode = toResultCode(result.switch().name);
+  }
+
+  // Only applied or failed transactions report per-operation results
+  const resultCode = innerCode || code;
+  const operationCodes =
+    resultCode === "tx_success" || resultCode === "tx_failed" ? result.results().map(getOperationResultCode) : [];
+
+  return {
+    feeCharged: txResult.feeCharged().toString(),
+    code,
+    innerCode,
+    operationCodes,
+  };
+}
+
+// localStorage key for signed transactions that timed out or were underpriced
+const PENDING_STORAGE_KEY = "stellar_pending_transactions";
+
+/**
+ * Gets the hash of the transaction that carries the operations
+ * For a fee bump this is the wrapped inner transaction
+ */
+function getInnerTransactionHash(transaction) {
+  const inner = transaction instanceof StellarSdk.FeeBumpTransaction
+    ? transaction.innerTransaction
+    : transaction;
+  return inner.hash().toString("hex");
+}
+
+/**
+ * Builds an error for a submission that can be retried with a fee bump
+ * The signed XDR is remembered so the History page can offer the bump later
+ */
+function createResubmittableError(message, code, signedXDR) {
+  savePendingTransaction(signedXDR, code);
+
+  const error = new Error(message);
+  error.code = code;
+  error.resubmittable = true;
+  error.signedXDR = signedXDR;
+  return error;
+}
+
+function readPendingTransactions() {
+  if (typeof localStorage === "undefined") return [];
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function writePendingTransactions(pending) {
+  if (typeof localStorage === "undefined") return;
+  localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(pending));
+}
+
+/**
+ * Remembers a signed transaction that failed with a resubmittable error
+ * 
+ * @param {string} signedXDR - The signed transaction XDR
+ * @param {string} reason - Why it didn't land ("tx_insufficient_fee" or "timeout")
+ */
+export function savePendingTransaction(signedXDR, reason) {
+  const transaction = StellarSdk.TransactionBuilder.fromXDR(signedXDR, NETWORK_PASSPHRASE);
+  // Only plain transactions are stored; a failed fee bump keeps its original inner entry
+  if (transaction instanceof StellarSdk.FeeBumpTransaction) return;
+
+  const hash = getInnerTransactionHash(transaction);
+  const pending = readPendingTransactions().filter((tx) => tx.hash !== hash);
+  pending.unshift({
+    hash,
+    xdr: signedXDR,
+    reason,
+    source: transaction.source,
+    fee: transaction.fee,
+    operationCount: transaction.operations.length,
+    maxTime: transaction.timeBounds ? Number(transaction.timeBounds.maxTime) : 0,
+    networkPassphrase: NETWORK_PASSPHRASE,
+    createdAt: new Date().toISOString(),
+  });
+  writePendingTransactions(pending);
+}
+
+/**
+ * Lists remembered stuck transactions for an account on the active network
+ * 
+ * @param {string} publicKey - The source account
+ * @returns {Array} - Pending records, each with an `expired` flag once past its time bounds
+ */
+export function getPendingTransactions(publicKey) {
+  const now = Math.floor(Date.now() / 1000);
+  return readPendingTransactions()
+    .filter((tx) => tx.source === publicKey && tx.networkPassphrase === NETWORK_PASSPHRASE)
+    .map((tx) => ({ ...tx, expired: tx.maxTime > 0 && tx.maxTime < now }));
+}
+
+/**
+ * Forgets a stuck transaction (after it lands or the user dismisses it)
+ * 
+ * @param {string} hash - Hash of the inner transaction
+ */
+export function removePendingTransaction(hash) {
+  writePendingTransactions(readPendingTransactions().filter((tx) => tx.hash !== hash));
+}
+
+/**
+ * Suggests a fee for bumping a stuck transaction
+ * At least double the original per-operation fee, and no less than the "high" preset
+ * 
+ * @param {string} signedXDR - The original signed transaction XDR
+ * @param {object} [estimates] - Result of getFeeEstimates
+ * @returns {string} - Fee per operation in stroops
+ */
+export function getBumpFee(signedXDR, estimates) {
+  const transaction = StellarSdk.TransactionBuilder.fromXDR(signedXDR, NETWORK_PASSPHRASE);
+  const innerFeePerOp = Math.ceil(Number(transaction.fee) / transaction.operations.length);
+  return String(Math.max(innerFeePerOp * 2, Number(estimates?.high || 0), Number(StellarSdk.BASE_FEE)));
+}
+
+/**
+ * Wraps a signed transaction in a fee-bump transaction with a higher fee
+ * The inner transaction keeps its signatures; the fee source signs the wrapper
+ * 
+ * @param {string} feeSourcePublicKey - Account paying the new fee
+ * @param {string} signedXDR - The original signed transaction XDR
+ * @param {string} feePerOperation - New fee per operation in stroops (see getBumpFee)
+ * @returns {string} - The unsigned fee-bump transaction XDR
+ * @throws {Error} - If the original has expired or the fee isn't higher
+ */
+export function buildFeeBumpTransaction(feeSourcePublicKey, signedXDR, feePerOperation) {
+  const inner = StellarSdk.TransactionBuilder.fromXDR(signedXDR, NETWORK_PASSPHRASE);
+  if (inner instanceof StellarSdk.FeeBumpTransaction) {
+    throw new Error("Transaction is already a fee bump");
+  }
+
+  const maxTime = inner.timeBounds ? Number(inner.timeBounds.maxTime) : 0;
+  if (maxTime > 0 && maxTime < Math.floor(Date.now() / 1000)) {
+    throw new Error("The original transaction has expired. Please send the payment again.");
+  }
+
+  const innerFeePerOp = Math.ceil(Number(inner.fee) / inner.operations.length);
+  if (Number(feePerOperation) <= innerFeePerOp) {
+    throw new Error(`Fee must be higher than the original ${innerFeePerOp} stroops per operation`);
+  }
+
+  const feeBump = StellarSdk.TransactionBuilder.buildFeeBumpTransaction(
+    feeSourcePublicKey,
+    String(feePerOperation),
+    inner,
+    NETWORK_PASSPHRASE
+  );
+  return feeBump.toXDR();
+}
+
 /**
  * Submits a signed transaction to the Stellar network
  * 
@@ -145,11 +1214,13 @@ export async function submitTransaction(signedXDR) {
     
     // Submit the signed XDR directly to Horizon
     // Horizon's submitTransaction can accept XDR string directly
-    const result = await server.submitTransaction(
-      StellarSdk.TransactionBuilder.fromXDR(signedXDR, NETWORK_PASSPHRASE)
-    );
+    const transaction = StellarSdk.TransactionBuilder.fromXDR(signedXDR, NETWORK_PASSPHRASE);
+    const result = await server.submitTransaction(transaction);
     
     console.log("Transaction submitted successfully:", result.hash); // Debug
+
+    // A stuck transaction that finally landed (directly or fee-bumped) is no longer pending
+    removePendingTransaction(getInnerTransactionHash(transaction));
     return result;
   } catch (error) {
     console.error("Submit transaction error:", error);
@@ -159,8 +1230,9 @@ export async function submitTransaction(signedXDR) {
       const extras = error.response.data.extras;
       const resultCodes = extras.result_codes;
       
-      if (resultCodes && resultCodes.operations) {
-        const opError = resultCodes.operations[0];
+      // In multi-operation transactions the failing operation isn't always the first
+      const opError = resultCodes?.operations?.find((code) => code !== "op_success");
+      if (opError) {
         switch (opError) {
           case "op_underfunded":
             throw new Error("Insufficient balance for this transaction");
@@ -168,15 +1240,44 @@ export async function submitTransaction(signedXDR) {
             throw new Error("Destination account does not exist");
           case "op_low_reserve":
             throw new Error("Transaction would leave account below minimum reserve");
+          case "op_no_trust":
+            throw new Error("Destination account does not trust this asset");
+          case "op_src_no_trust":
+            throw new Error("Your account does not hold a trustline for this asset");
+          case "op_not_authorized":
+          case "op_src_not_authorized":
+            throw new Error("The asset issuer has not authorized this payment");
+          case "op_line_full":
+            throw new Error("Payment would exceed the destination's trustline limit");
+          case "op_invalid_limit":
+            throw new Error("Trustline limit is below the current balance");
+          case "op_no_issuer":
+            throw new Error("The asset issuer account does not exist");
           default:
             throw new Error(`Transaction failed: ${opError}`);
         }
       }
       
       if (resultCodes && resultCodes.transaction) {
+        if (resultCodes.transaction === "tx_insufficient_fee") {
+          throw createResubmittableError(
+            "Transaction fee was too low for current network demand",
+            "tx_insufficient_fee",
+            signedXDR
+          );
+        }
         throw new Error(`Transaction failed: ${resultCodes.transaction}`);
       }
     }
+
+    // Horizon stops waiting after ~30 seconds, but the transaction may still be queued
+    if (error.response && error.response.status === 504) {
+      throw createResubmittableError(
+        "Transaction timed out waiting to be included in a ledger",
+        "timeout",
+        signedXDR
+      );
+    }
     
     throw error;
   }
@@ -192,98 +1293,942 @@ export function isValidPublicKey(publicKey) {
   return StellarSdk.StrKey.isValidEd25519PublicKey(publicKey);
 }
 
+/**
+ * Splits a muxed account address (SEP-0023, starts with 'M') into its base account and ID
+ * 
+ * @param {string} address - The address to parse
+ * @returns {{baseAddress: string, id: string}|null} - null if it isn't a valid M-address
+ */
+export function parseMuxedAddress(address) {
+  if (!StellarSdk.StrKey.isValidMed25519PublicKey(address || "")) return null;
+  const muxed = StellarSdk.MuxedAccount.fromAddress(address, "0");
+  return { baseAddress: muxed.baseAccount().accountId(), id: muxed.id() };
+}
+
+/**
+ * Validates an address that can receive a payment: a public key or a muxed account
+ * 
+ * @param {string} address - The address to validate
+ * @returns {boolean} - True for a valid G- or M-address
+ */
+export function isValidDestination(address) {
+  return isValidPublicKey(address) || parseMuxedAddress(address) !== null;
+}
+
+/**
+ * Gets the account behind an address; muxed addresses share their base account's balances
+ * 
+ * @param {string} address - A G- or M-address
+ * @returns {string} - The G-address that holds the funds
+ */
+export function getBaseAddress(address) {
+  return parseMuxedAddress(address)?.baseAddress || address;
+}
+
+/**
+ * Shortens an address for display
+ * Muxed addresses show their base account and ID, since the ID can't be read
+ * from the M-address itself
+ * 
+ * @param {string} address - A G- or M-address
+ * @param {number} [chars] - Characters kept at each end (default: 4)
+ * @returns {string} - e.g. "GABC...WXYZ" or "GABC...WXYZ #42"
+ */
+export function shortenAddress(address, chars = 4) {
+  if (!address) return "";
+  const muxed = parseMuxedAddress(address);
+  if (muxed) {
+    return `${shortenAddress(muxed.baseAddress, chars)} #${muxed.id}`;
+  }
+  return `${address.slice(0, chars)}...${address.slice(-chars)}`;
+}
+
+// Federation lookups already made this session, by address
+const federationCache = new Map();
+
+// Domains whose stellar.toml and federation server may be reached over plain http, for local stand-ins
+const LOCAL_DOMAIN_PATTERN = /^(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+/**
+ * Checks whether a value looks like a federation address (name*domain)
+ * 
+ * @param {string} value - The value to check
+ * @returns {boolean} - True if it has a name and a domain separated by a single '*'
+ */
+export function isFederationAddress(value) {
+  const [name, domain, ...rest] = String(value ?? "").trim().split("*");
+  return (
+    rest.length === 0 &&
+    !!name &&
+    !/\s/.test(name) &&
+    (/^([a-z0-9-]+\.)+[a-z]{2,}$/i.test(domain ?? "") || LOCAL_DOMAIN_PATTERN.test(domain ?? ""))
+  );
+}
+
+/**
+ * Reads a top-level string value from a domain's stellar.toml (SEP-0001)
+ * 
+ * @param {string} domain - The home domain (localhost may include a port)
+ * @param {string} key - The toml key, e.g. FEDERATION_SERVER or URI_REQUEST_SIGNING_KEY
+ * @returns {Promise<string|null>} - The value, or null if the toml doesn't set it
+ * @throws {Error} - If the toml can't be fetched
+ */
+export async function getStellarTomlValue(domain, key) {
+  const protocol = LOCAL_DOMAIN_PATTERN.test(domain) ? "http" : "https";
+
+  let response;
+  try {
+    response = await fetch(`${protocol}://${domain}/.well-known/stellar.toml`);
+  } catch {
+    throw new Error(`Could not reach ${domain} to look up its stellar.toml`);
+  }
+  if (!response.ok) {
+    throw new Error(`${domain} has no stellar.toml (HTTP ${response.status})`);
+  }
+
+  const match = (await response.text()).match(new RegExp(`^\\s*${key}\\s*=\\s*["']([^"']+)["']`, "m"));
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Reads FEDERATION_SERVER from a domain's stellar.toml
+ * 
+ * @param {string} domain - The home domain (localhost may include a port)
+ * @returns {Promise<string>} - The federation server URL
+ * @throws {Error} - If the toml can't be fetched or doesn't advertise a federation server
+ */
+async function getFederationServer(domain) {
+  const federationUrl = await getStellarTomlValue(domain, "FEDERATION_SERVER");
+  if (!federationUrl) {
+    throw new Error(`${domain} does not run a federation server`);
+  }
+
+  const allowHttp = LOCAL_DOMAIN_PATTERN.test(domain);
+  if (!federationUrl.startsWith("https://") && !(allowHttp && federationUrl.startsWith("http://"))) {
+    throw new Error(`${domain} advertises an insecure federation server`);
+  }
+  return federationUrl;
+}
+
+/**
+ * Resolves a federation address to an account ID and the memo the recipient requires (SEP-0002)
+ * Hash memos come back base64 encoded and are returned as hex, like createMemo expects
+ * 
+ * @param {string} address - The federation address (name*domain)
+ * @returns {Promise<{address: string, accountId: string, memoType: string, memo: string|null}>}
+ * @throws {Error} - If the address is malformed, unknown, or the server's answer is invalid
+ */
+export async function resolveFederationAddress(address) {
+  const trimmed = address.trim();
+  if (!isFederationAddress(trimmed)) {
+    throw new Error("Invalid federation address. Use the form name*domain.com");
+  }
+  if (federationCache.has(trimmed)) {
+    return federationCache.get(trimmed);
+  }
+
+  const domain = trimmed.split("*")[1].toLowerCase();
+  const federationUrl = await getFederationServer(domain);
+
+  const url = new URL(federationUrl);
+  url.searchParams.set("q", trimmed);
+  url.searchParams.set("type", "name");
+
+  let response;
+  try {
+    response = await fetch(url.toString());
+  } catch {
+    throw new Error(`Could not reach the federation server for ${domain}`);
+  }
+  if (response.status === 404) {
+    throw new Error(`${trimmed} was not found`);
+  }
+
+  let record;
+  try {
+    record = await response.json();
+  } catch {
+    throw new Error(`The federation server for ${domain} returned an invalid response`);
+  }
+  if (!response.ok) {
+    throw new Error(record.detail || `${trimmed} could not be resolved (HTTP ${response.status})`);
+  }
+  if (!isValidPublicKey(record.account_id)) {
+    throw new Error(`The federation server for ${domain} returned an invalid account ID`);
+  }
+
+  const memoType = record.memo_type || "none";
+  const memo = memoType === "none" ? null : formatHorizonMemo(String(record.memo ?? ""), memoType);
+  if (memoType !== "none") {
+    // Same checks as a memo typed into the form
+    createMemo(memoType, memo);
+  }
+
+  const result = { address: trimmed, accountId: record.account_id, memoType, memo };
+  federationCache.set(trimmed, result);
+  return result;
+}
+
 /**
  * Gets the Stellar Explorer URL for a transaction
+ * Falls back to the Horizon resource on networks without an explorer
  * 
  * @param {string} hash - The transaction hash
  * @returns {string} - The explorer URL
  */
 export function getExplorerUrl(hash) {
-  return `https://stellar.expert/explorer/testnet/tx/${hash}`;
+  if (!activeProfile.explorerUrl) {
+    return `${activeProfile.horizonUrl}/transactions/${hash}`;
+  }
+  return `${activeProfile.explorerUrl}/tx/${hash}`;
 }
 
 /**
  * Gets the Stellar Explorer URL for an account
+ * Falls back to the Horizon resource on networks without an explorer
  * 
  * @param {string} publicKey - The account public key
  * @returns {string} - The explorer URL
  */
 export function getAccountExplorerUrl(publicKey) {
-  return `https://stellar.expert/explorer/testnet/account/${publicKey}`;
+  if (!activeProfile.explorerUrl) {
+    return `${activeProfile.horizonUrl}/accounts/${publicKey}`;
+  }
+  return `${activeProfile.explorerUrl}/account/${publicKey}`;
+}
+
+/**
+ * Formats an asset from a Horizon operation record as an asset identifier
+ * Horizon spreads assets over asset_type/asset_code/asset_issuer fields,
+ * with a prefix such as "source_", "buying_" or "selling_" when an operation has several
+ * 
+ * @param {object} record - Horizon operation record
+ * @param {string} [prefix] - Field prefix
+ * @returns {string} - "XLM", "CODE:ISSUER", or "LP:POOL_ID" for liquidity pool shares
+ */
+function formatHorizonAsset(record, prefix = "") {
+  if (record[`${prefix}asset_type`] === "native") return "XLM";
+  if (record[`${prefix}asset_type`] === "liquidity_pool_shares") {
+    return `LP:${record[`${prefix}liquidity_pool_id`] || record.liquidity_pool_id}`;
+  }
+  return `${record[`${prefix}asset_code`]}:${record[`${prefix}asset_issuer`]}`;
+}
+
+/**
+ * Short display form of an amount and asset, e.g. "12.5 USDC"
+ */
+function formatAmount(amount, assetId) {
+  const code = assetId === "native" ? "XLM" : assetId.split(":")[0];
+  return `${parseFloat(amount)} ${code}`;
+}
+
+/**
+ * Shortens an account ID, balance ID or pool ID for summaries
+ */
+function shortId(id) {
+  return id ? `${id.slice(0, 4)}...${id.slice(-4)}` : "";
+}
+
+/**
+ * Describes the fields a set_options operation changed
+ */
+function describeSetOptions(op) {
+  const changes = [];
+  if (op.home_domain !== undefined) {
+    changes.push(op.home_domain ? `home domain ${op.home_domain}` : "home domain cleared");
+  }
+  if (op.signer_key) {
+    changes.push(op.signer_weight === 0 ? `removed signer ${shortId(op.signer_key)}` : `signer ${shortId(op.signer_key)} weight ${op.signer_weight}`);
+  }
+  if (op.master_key_weight !== undefined) changes.push(`master weight ${op.master_key_weight}`);
+  if (op.low_threshold !== undefined || op.med_threshold !== undefined || op.high_threshold !== undefined) {
+    changes.push("thresholds");
+  }
+  if (op.set_flags_s?.length) changes.push(`set ${op.set_flags_s.join(", ")}`);
+  if (op.clear_flags_s?.length) changes.push(`cleared ${op.clear_flags_s.join(", ")}`);
+  if (op.inflation_dest) changes.push(`inflation destination ${shortId(op.inflation_dest)}`);
+  return changes.length > 0 ? `Updated ${changes.join(", ")}` : "Updated account options";
+}
+
+/**
+ * Describes the assets moved in or out of a liquidity pool
+ */
+function describeReserves(reserves = []) {
+  return reserves.map((reserve) => formatAmount(reserve.amount, reserve.asset)).join(" + ");
+}
+
+/**
+ * Picks the muxed account fields Horizon adds when either side of a transfer used an M-address
+ * 
+ * @param {object} op - Horizon operation record
+ * @param {string} ownField - Field holding this account's side ("from", "to", "account", "into")
+ * @param {string} otherField - Field holding the other party's side
+ */
+function getMuxedParties(op, ownField, otherField) {
+  return {
+    otherPartyMuxed: op[`${otherField}_muxed`] || null,
+    otherPartyMuxedId: op[`${otherField}_muxed_id`] || null,
+    accountMuxedId: op[`${ownField}_muxed_id`] || null,
+  };
+}
+
+/**
+ * Normalizes a Horizon operation record into a history record
+ * Every operation type is kept; those that don't move funds between this account
+ * and another have direction "none" and no amount
+ * 
+ * @param {object} op - Horizon operation record
+ * @param {string} publicKey - The account the history belongs to
+ * @returns {object} - { id, type, direction, amount, asset, otherParty, otherPartyMuxed, otherPartyMuxedId,
+ *   accountMuxedId, summary, timestamp, successful } where direction is "sent", "received" or "none".
+ *   otherParty is always the G-address; otherPartyMuxed is the M-address the other party used, if any,
+ *   and accountMuxedId the muxed ID on this account's side (e.g. which customer a deposit was for).
+ */
+export function normalizeOperation(op, publicKey) {
+  let direction = "none";
+  let amount = null;
+  let asset = null;
+  let otherParty = null;
+  let muxed = { otherPartyMuxed: null, otherPartyMuxedId: null, accountMuxedId: null };
+  let summary;
+
+  switch (op.type) {
+    case "create_account": {
+      const isSent = op.funder === publicKey;
+      direction = isSent ? "sent" : "received";
+      amount = op.starting_balance;
+      asset = "XLM";
+      otherParty = isSent ? op.account : op.funder;
+      summary = isSent
+        ? `Created account with ${formatAmount(amount, asset)}`
+        : `Account created with ${formatAmount(amount, asset)}`;
+      break;
+    }
+
+    case "payment": {
+      const isSent = op.from === publicKey;
+      direction = isSent ? "sent" : "received";
+      amount = op.amount;
+      asset = formatHorizonAsset(op);
+      otherParty = isSent ? op.to : op.from;
+      muxed = isSent ? getMuxedParties(op, "from", "to") : getMuxedParties(op, "to", "from");
+      summary = `${isSent ? "Sent" : "Received"} ${formatAmount(amount, asset)}`;
+      break;
+    }
+
+    case "path_payment_strict_send":
+    case "path_payment_strict_receive": {
+      const sourceAsset = formatHorizonAsset(op, "source_");
+      asset = formatHorizonAsset(op);
+      if (op.from === publicKey && op.to === publicKey) {
+        // Paying yourself through a path is a swap between two of your own assets
+        amount = op.amount;
+        summary = `Swapped ${formatAmount(op.source_amount, sourceAsset)} for ${formatAmount(op.amount, asset)}`;
+      } else if (op.from === publicKey) {
+        direction = "sent";
+        amount = op.source_amount;
+        otherParty = op.to;
+        muxed = getMuxedParties(op, "from", "to");
+        summary = `Sent ${formatAmount(op.source_amount, sourceAsset)}, delivered as ${formatAmount(op.amount, asset)}`;
+        asset = sourceAsset;
+      } else {
+        direction = "received";
+        amount = op.amount;
+        otherParty = op.from;
+        muxed = getMuxedParties(op, "to", "from");
+        summary = `Received ${formatAmount(op.amount, asset)}, sent as ${formatAmount(op.source_amount, sourceAsset)}`;
+      }
+      break;
+    }
+
+    case "account_merge": {
+      const isSent = op.account === publicKey;
+      direction = isSent ? "sent" : "received";
+      otherParty = isSent ? op.into : op.account;
+      muxed = isSent ? getMuxedParties(op, "account", "into") : getMuxedParties(op, "into", "account");
+      summary = isSent ? `Merged this account into ${shortId(op.into)}` : `Account ${shortId(op.account)} merged into this one`;
+      break;
+    }
+
+    case "change_trust": {
+      const trustedAsset = op.asset_type === "liquidity_pool_shares" ? `pool ${shortId(op.liquidity_pool_id)}` : op.asset_code;
+      summary = parseFloat(op.limit) === 0
+        ? `Removed trustline for ${trustedAsset}`
+        : `Trustline for ${trustedAsset} (limit ${parseFloat(op.limit)})`;
+      break;
+    }
+
+    case "allow_trust":
+      otherParty = op.trustor;
+      summary = `${op.authorize ? "Authorized" : "Deauthorized"} ${op.asset_code} for ${shortId(op.trustor)}`;
+      break;
+
+    case "set_trust_line_flags":
+      otherParty = op.trustor;
+      summary = `Updated ${op.asset_code} trustline flags for ${shortId(op.trustor)}`;
+      break;
+
+    case "manage_sell_offer":
+    case "manage_buy_offer":
+    case "create_passive_sell_offer": {
+      const selling = formatHorizonAsset(op, "selling_");
+      const buying = formatHorizonAsset(op, "buying_");
+      const buyingCode = buying.split(":")[0];
+      const sellingCode = selling.split(":")[0];
+      if (parseFloat(op.amount) === 0) {
+        summary = `Cancelled offer #${op.offer_id}`;
+      } else if (op.type === "manage_buy_offer") {
+        summary = `Offer to buy ${formatAmount(op.amount, buying)} with ${sellingCode} at ${op.price}`;
+      } else {
+        summary = `${op.type === "create_passive_sell_offer" ? "Passive offer" : "Offer"} to sell ${formatAmount(op.amount, selling)} for ${buyingCode} at ${op.price}`;
+      }
+      break;
+    }
+
+    case "set_options":
+      summary = describeSetOptions(op);
+      break;
+
+    case "manage_data":
+      summary = op.value ? `Set data entry "${op.name}"` : `Removed data entry "${op.name}"`;
+      break;
+
+    case "bump_sequence":
+      summary = `Bumped sequence to ${op.bump_to}`;
+      break;
+
+    case "create_claimable_balance": {
+      amount = op.amount;
+      asset = op.asset === "native" ? "XLM" : op.asset;
+      if (op.source_account === publicKey) {
+        direction = "sent";
+        summary = `Created claimable balance of ${formatAmount(amount, asset)} for ${op.claimants.length} claimant${op.claimants.length === 1 ? "" : "s"}`;
+      } else {
+        // Nothing arrives until the balance is claimed
+        otherParty = op.source_account;
+        summary = op.claimants.some((claimant) => claimant.destination === publicKey)
+          ? `Can claim ${formatAmount(amount, asset)} from ${shortId(op.source_account)}`
+          : `Claimable balance of ${formatAmount(amount, asset)} created by ${shortId(op.source_account)}`;
+      }
+      break;
+    }
+
+    case "claim_claimable_balance":
+      // The operation record has no amount or asset; getTransactionHistoryPage fills them in from the effects
+      direction = "received";
+      summary = `Claimed balance ${shortId(op.balance_id)} (amount unknown)`;
+      break;
+
+    case "clawback_claimable_balance":
+      summary = `Clawed back claimable balance ${shortId(op.balance_id)}`;
+      break;
+
+    case "clawback": {
+      // The holder loses the funds; the issuer clawing back gets them
+      const isHolder = op.from === publicKey;
+      direction = isHolder ? "sent" : "received";
+      amount = op.amount;
+      asset = formatHorizonAsset(op);
+      otherParty = isHolder ? op.source_account : op.from;
+      summary = isHolder ? `${formatAmount(amount, asset)} clawed back by issuer` : `Clawed back ${formatAmount(amount, asset)}`;
+      break;
+    }
+
+    case "begin_sponsoring_future_reserves":
+      otherParty = op.sponsored_id === publicKey ? op.source_account : op.sponsored_id;
+      summary = op.sponsored_id === publicKey
+        ? `Reserves sponsored by ${shortId(op.source_account)}`
+        : `Began sponsoring reserves for ${shortId(op.sponsored_id)}`;
+      break;
+
+    case "end_sponsoring_future_reserves":
+      summary = "Ended reserve sponsorship";
+      break;
+
+    case "revoke_sponsorship":
+      summary = "Revoked sponsorship";
+      break;
+
+    case "liquidity_pool_deposit":
+      summary = `Deposited ${describeReserves(op.reserves_deposited)} into pool ${shortId(op.liquidity_pool_id)}`;
+      break;
+
+    case "liquidity_pool_withdraw":
+      summary = `Withdrew ${describeReserves(op.reserves_received)} from pool ${shortId(op.liquidity_pool_id)}`;
+      break;
+
+    case "invoke_host_function":
+      summary = "Invoked a smart contract";
+      break;
+
+    case "extend_footprint_ttl":
+      summary = "Extended contract storage lifetime";
+      break;
+
+    case "restore_footprint":
+      summary = "Restored archived contract storage";
+      break;
+
+    case "inflation":
+      summary = "Ran inflation";
+      break;
+
+    default:
+      // Operation types added to the protocol after this was written
+      summary = op.type.replace(/_/g, " ");
+  }
+
+  return {
+    id: op.id,
+    type: op.type,
+    direction,
+    amount,
+    asset,
+    otherParty,
+    ...muxed,
+    summary,
+    timestamp: op.created_at,
+    successful: op.transaction_successful,
+  };
+}
+
+// Horizon transaction records by hash; transactions never change once in a ledger
+const transactionCache = new Map();
+
+/**
+ * Collects the parent transaction of each operation, keyed by hash
+ * Uses the records embedded by join=transactions, then the cache, and only
+ * requests transactions that are still missing, once per hash. A failed request
+ * leaves that hash out instead of failing the whole page.
+ * 
+ * @param {Array} operations - Horizon operation records
+ * @returns {Promise<Map>} - Transaction records by hash
+ */
+async function getOperationTransactions(operations) {
+  const transactions = new Map();
+  const missing = new Set();
+
+  operations.forEach((op) => {
+    const hash = op.transaction_hash;
+    if (op.transaction_attr) {
+      transactionCache.set(hash, op.transaction_attr);
+    }
+    if (transactionCache.has(hash)) {
+      transactions.set(hash, transactionCache.get(hash));
+    } else {
+      missing.add(hash);
+    }
+  });
+
+  // Only needed when Horizon ignores join, e.g. an old standalone node
+  await Promise.all(
+    Array.from(missing, async (hash) => {
+      try {
+        const transaction = await server.transactions().transaction(hash).call();
+        transactionCache.set(hash, transaction);
+        transactions.set(hash, transaction);
+      } catch (e) {
+        console.error(`Error fetching transaction ${hash}:`, e);
+      }
+    })
+  );
+
+  return transactions;
+}
+
+// Largest page Horizon serves
+const MAX_PAGE_SIZE = 200;
+
+// Effects requests in flight at once while filling in claimed amounts
+const CLAIM_EFFECTS_CONCURRENCY = 4;
+
+/**
+ * Fills in the amount and asset of claim_claimable_balance records, which Horizon's
+ * operation records don't carry, from each claim's claimable_balance_claimed effect.
+ * Effects are requested once per transaction, a few at a time; a failed request
+ * leaves that transaction's claims with the amount unknown.
+ * 
+ * @param {Array} records - History records
+ * @returns {Promise<Array>} - The records, with claims completed where possible
+ */
+async function fillClaimedAmounts(records) {
+  const claims = records.filter((record) => record.type === "claim_claimable_balance" && record.successful);
+  const hashes = [...new Set(claims.map((record) => record.hash))];
+  // claimable_balance_claimed effects by operation id
+  const claimedEffects = new Map();
+
+  for (let i = 0; i < hashes.length; i += CLAIM_EFFECTS_CONCURRENCY) {
+    await Promise.all(
+      hashes.slice(i, i + CLAIM_EFFECTS_CONCURRENCY).map(async (hash) => {
+        try {
+          const effects = await server.effects().forTransaction(hash).limit(MAX_PAGE_SIZE).call();
+          effects.records
+            .filter((effect) => effect.type === "claimable_balance_claimed")
+            // An effect's paging token starts with its operation's id
+            .forEach((effect) => claimedEffects.set(effect.paging_token.split("-")[0], effect));
+        } catch (e) {
+          console.error(`Error fetching effects for transaction ${hash}:`, e);
+        }
+      })
+    );
+  }
+
+  return records.map((record) => {
+    const claimed = record.type === "claim_claimable_balance" && claimedEffects.get(record.id);
+    if (!claimed) return record;
+    const asset = claimed.asset === "native" ? "XLM" : claimed.asset;
+    return {
+      ...record,
+      amount: claimed.amount,
+      asset,
+      summary: `Claimed ${formatAmount(claimed.amount, asset)} from balance ${shortId(claimed.balance_id)}`,
+    };
+  });
+}
+
+/**
+ * Builds a history record from an operation and its parent transaction
+ * 
+ * @param {object} op - Horizon operation record
+ * @param {string} publicKey - The account the history belongs to
+ * @param {object} [txDetails] - Horizon transaction record, if it could be loaded
+ * @returns {object} - normalizeOperation's record plus pagingToken, hash, memo,
+ *   memoType, fee (stroops), feeAccount, ledger and detailsUnavailable
+ */
+function toHistoryRecord(op, publicKey, txDetails) {
+  return {
+    ...normalizeOperation(op, publicKey),
+    pagingToken: op.paging_token,
+    timestamp: txDetails?.created_at || op.created_at,
+    hash: op.transaction_hash,
+    memo: formatHorizonMemo(txDetails?.memo, txDetails?.memo_type),
+    memoType: txDetails?.memo_type || "none",
+    fee: txDetails?.fee_charged || null,
+    // Fee-bumped transactions are paid for by the fee account, not the source
+    feeAccount: txDetails ? txDetails.fee_account || txDetails.source_account : null,
+    ledger: txDetails?.ledger || null,
+    detailsUnavailable: !txDetails,
+  };
 }
 
 /**
- * Fetches transaction history for an account
- * Returns payment and create_account operations (XLM transfers)
+ * Fetches one page of transaction history for an account, newest first
+ * Returns every operation type, normalized with normalizeOperation.
+ * Parent transactions come embedded in the same response (join=transactions).
  * 
  * @param {string} publicKey - The account public key
- * @param {number} limit - Maximum number of transactions to fetch (default: 20)
- * @returns {Promise<Array>} - Array of transaction records
+ * @param {object} [options]
+ * @param {number} [options.limit] - Page size (default: 20, Horizon allows up to 200)
+ * @param {string} [options.cursor] - Paging token to continue after, from a previous page's nextCursor
+ * @returns {Promise<object>} - { records, nextCursor, hasMore }; hasMore is false once
+ *   the page reaches the account's first operation. Records whose transaction
+ *   couldn't be loaded have detailsUnavailable set and no memo.
  */
-export async function getTransactionHistory(publicKey, limit = 20) {
+export async function getTransactionHistoryPage(publicKey, options = {}) {
+  const limit = options.limit || 20;
+
   try {
-    // Fetch operations for the account
-    // We filter for payment and create_account operations
-    const operations = await server
+    // Fetch operations for the account, with their transactions
+    let query = server
       .operations()
       .forAccount(publicKey)
+      .join("transactions")
       .order("desc")
-      .limit(limit)
-      .call();
+      .limit(limit);
+    if (options.cursor) {
+      query = query.cursor(options.cursor);
+    }
+    const operations = await query.call();
+    const transactions = await getOperationTransactions(operations.records);
 
     // Process and format the operations
-    const transactions = await Promise.all(
-      operations.records
-        .filter((op) => {
-          // Only include payment and create_account operations
-          return op.type === "payment" || op.type === "create_account";
-        })
-        .map(async (op) => {
-          // Determine if this was a sent or received transaction
-          const isSent = op.source_account === publicKey;
-          
-          // Get the other party's address
-          let otherParty;
-          let amount;
-          
-          if (op.type === "payment") {
-            otherParty = isSent ? op.to : op.from;
-            amount = op.amount;
-          } else if (op.type === "create_account") {
-            otherParty = isSent ? op.account : op.source_account;
-            amount = op.starting_balance;
-          }
-
-          // Fetch transaction details for timestamp and hash
-          let txDetails = null;
-          try {
-            const response = await fetch(op._links.transaction.href);
-            txDetails = await response.json();
-          } catch (e) {
-            console.error("Error fetching tx details:", e);
-          }
-
-          return {
-            id: op.id,
-            type: op.type,
-            direction: isSent ? "sent" : "received",
-            amount: amount,
-            otherParty: otherParty,
-            timestamp: txDetails?.created_at || op.created_at,
-            hash: txDetails?.hash || null,
-            successful: op.transaction_successful,
-            memo: txDetails?.memo || null,
-          };
-        })
+    const records = await fillClaimedAmounts(
+      operations.records.map((op) => toHistoryRecord(op, publicKey, transactions.get(op.transaction_hash)))
     );
 
-    return transactions;
+    const last = operations.records[operations.records.length - 1];
+    return {
+      records,
+      nextCursor: last ? last.paging_token : options.cursor || null,
+      // A short page means Horizon has nothing older
+      hasMore: operations.records.length === limit,
+    };
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      // No transactions for this account
+      return { records: [], nextCursor: null, hasMore: false };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetches every history record in a date range, following cursors page by page
+ * Paging stops at the first record older than the range.
+ * 
+ * @param {string} publicKey - The account public key
+ * @param {object} [options]
+ * @param {Date} [options.from] - Earliest time to include (default: the account's first operation)
+ * @param {Date} [options.to] - Latest time to include (default: now)
+ * @param {Function} [options.onProgress] - Called with the number of records scanned so far
+ * @returns {Promise<Array>} - History records in the range, newest first
+ */
+export async function getTransactionHistoryRange(publicKey, options = {}) {
+  const { from, to, onProgress } = options;
+  const records = [];
+  let scanned = 0;
+  let cursor = null;
+
+  for (;;) {
+    const page = await getTransactionHistoryPage(publicKey, { limit: MAX_PAGE_SIZE, cursor });
+    scanned += page.records.length;
+    onProgress?.(scanned);
+
+    let reachedStart = false;
+    for (const record of page.records) {
+      const timestamp = new Date(record.timestamp);
+      if (from && timestamp < from) {
+        reachedStart = true;
+        break;
+      }
+      if (!to || timestamp <= to) {
+        records.push(record);
+      }
+    }
+
+    if (reachedStart || !page.hasMore) {
+      return records;
+    }
+    cursor = page.nextCursor;
+  }
+}
+
+/**
+ * Fetches the most recent transaction history for an account
+ * 
+ * @param {string} publicKey - The account public key
+ * @param {number} limit - Maximum number of transactions to fetch (default: 20)
+ * @returns {Promise<Array>} - Array of transaction records
+ */
+export async function getTransactionHistory(publicKey, limit = 20) {
+  const page = await getTransactionHistoryPage(publicKey, { limit });
+  return page.records;
+}
+
+/**
+ * Short description of a Horizon effect record, e.g. "Account debited 5 XLM"
+ */
+function describeEffect(effect) {
+  const label = effect.type.replace(/_/g, " ");
+  const description = label.charAt(0).toUpperCase() + label.slice(1);
+  if (effect.amount === undefined) return description;
+  const asset = effect.asset_type ? formatHorizonAsset(effect) : effect.asset || "XLM";
+  return `${description} ${formatAmount(effect.amount, asset)}`;
+}
+
+/**
+ * Loads everything about one transaction: the Horizon record, its operations
+ * and effects, the decoded envelope and the per-operation result codes
+ * 
+ * @param {string} hash - Transaction hash
+ * @returns {Promise<object>} - { hash, ledger, createdAt, successful, sourceAccount,
+ *   feeAccount, feeCharged, maxFee, sequence, memo, memoType, signatures, envelopeXdr,
+ *   resultXdr, envelope, result, operations, effects } where each operation is a
+ *   history record with its resultCode and each effect is { id, type, account, summary }
+ * @throws {Error} - If the hash is malformed or the transaction isn't on the active network
+ */
+export async function getTransactionDetails(hash) {
+  if (!/^[0-9a-f]{64}$/i.test(hash)) {
+    throw new Error("Invalid transaction hash. Hashes are 64 hexadecimal characters");
+  }
+
+  let transaction;
+  try {
+    transaction = await server.transactions().transaction(hash).call();
   } catch (error) {
     if (error.response && error.response.status === 404) {
-      return []; // No transactions for this account
+      throw new Error(`Transaction not found on ${activeProfile.name}`);
     }
     throw error;
   }
+  transactionCache.set(transaction.hash, transaction);
+
+  // Failed transactions have no effects, so an error here shouldn't hide the rest
+  const [operations, effects] = await Promise.all([
+    server.operations().forTransaction(hash).limit(MAX_PAGE_SIZE).call(),
+    server.effects().forTransaction(hash).limit(MAX_PAGE_SIZE).call().catch((e) => {
+      console.error("Error fetching effects:", e);
+      return { records: [] };
+    }),
+  ]);
+
+  const result = decodeTransactionResult(transaction.result_xdr);
+
+  return {
+    hash: transaction.hash,
+    ledger: transaction.ledger,
+    createdAt: transaction.created_at,
+    successful: transaction.successful,
+    sourceAccount: transaction.source_account,
+    feeAccount: transaction.fee_account || transaction.source_account,
+    feeCharged: transaction.fee_charged,
+    maxFee: transaction.max_fee,
+    sequence: transaction.source_account_sequence,
+    memo: formatHorizonMemo(transaction.memo, transaction.memo_type),
+    memoType: transaction.memo_type,
+    signatures: transaction.signatures,
+    envelopeXdr: transaction.envelope_xdr,
+    resultXdr: transaction.result_xdr,
+    envelope: decodeTransaction(transaction.envelope_xdr),
+    result,
+    operations: operations.records.map((op, index) => ({
+      ...toHistoryRecord(op, transaction.source_account, transaction),
+      resultCode: result.operationCodes[index] || null,
+    })),
+    effects: effects.records.map((effect) => ({
+      id: effect.id,
+      type: effect.type,
+      account: effect.account,
+      summary: describeEffect(effect),
+    })),
+  };
+}
+
+// Delays before each reconnect attempt; later attempts keep the last one
+const STREAM_BACKOFF_MS = [1000, 2000, 5000, 10000, 30000];
+
+// Open account subscriptions by "network:publicKey", shared by every subscriber
+const accountStreams = new Map();
+
+/**
+ * Opens a Horizon SSE stream that reconnects with backoff
+ * A reconnect resumes from the last record received, so nothing is missed or repeated.
+ * The stream counts as live once it opens without an error; the SDK doesn't pass on
+ * Horizon's "open" event, and a quiet account may never send a record.
+ * 
+ * @param {Function} createBuilder - Returns a fresh call builder for the stream
+ * @param {Function} onRecord - Called with each Horizon record
+ * @param {Function} onStatus - Called with "live" or "reconnecting"
+ * @returns {Function} - Closes the stream for good
+ */
+function openStream(createBuilder, onRecord, onStatus) {
+  let cursor = "now";
+  let close = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let stopped = false;
+
+  const connect = () => {
+    retryTimer = null;
+    close = createBuilder()
+      .cursor(cursor)
+      .stream({
+        onmessage: (record) => {
+          // Skip keep-alive messages
+          if (!record || !record.paging_token) return;
+          cursor = record.paging_token;
+          attempt = 0;
+          onRecord(record);
+        },
+        onerror: () => {
+          if (stopped || retryTimer) return;
+          close?.();
+          onStatus("reconnecting");
+          const delay = STREAM_BACKOFF_MS[Math.min(attempt, STREAM_BACKOFF_MS.length - 1)];
+          attempt += 1;
+          retryTimer = setTimeout(connect, delay);
+        },
+      });
+    // The SDK reports a stream that fails to open through onerror right away, before
+    // close exists; closing it here stops the SDK's own retry, since ours is scheduled
+    if (retryTimer) {
+      close();
+    } else {
+      onStatus("live");
+    }
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    close?.();
+  };
+}
+
+/**
+ * Subscribes to live activity on an account through Horizon's payments and
+ * operations streams. Subscribers to the same account share one pair of streams,
+ * which close when the last subscriber leaves. Subscriptions stay on the network
+ * that was active when they were made; resubscribe after switching networks.
+ * The status is "live" only once both streams are, and "reconnecting" while either is.
+ * 
+ * @param {string} publicKey - The account to watch
+ * @param {object} listener
+ * @param {Function} [listener.onOperation] - Called with a history record for every new operation
+ * @param {Function} [listener.onPayment] - Called with a history record for every new payment
+ *   (payment, path payment, create_account or account_merge), sent or received
+ * @param {Function} [listener.onStatusChange] - Called with "live" or "reconnecting":
+ *   once with the current status, then on every change
+ * @returns {Function} - Unsubscribes the listener
+ */
+export function subscribeToAccount(publicKey, listener) {
+  const key = `${activeProfile.id}:${publicKey}`;
+  let subscription = accountStreams.get(key);
+
+  if (!subscription) {
+    const streamServer = server;
+    const listeners = new Set();
+    // Each stream's own status; the subscription's combines them
+    const streamStatuses = ["connecting", "connecting"];
+    subscription = { listeners, status: "connecting", closers: [] };
+
+    const emit = (name, value) => listeners.forEach((l) => l[name]?.(value));
+    const setStreamStatus = (index, streamStatus) => {
+      streamStatuses[index] = streamStatus;
+      const status = streamStatuses.includes("reconnecting")
+        ? "reconnecting"
+        : streamStatuses.every((s) => s === "live")
+          ? "live"
+          : "connecting";
+      if (subscription.status === status) return;
+      subscription.status = status;
+      emit("onStatusChange", status);
+    };
+    const toRecord = (op) => {
+      if (op.transaction_attr) {
+        transactionCache.set(op.transaction_hash, op.transaction_attr);
+      }
+      return toHistoryRecord(op, publicKey, transactionCache.get(op.transaction_hash));
+    };
+
+    subscription.closers = [
+      openStream(
+        () => streamServer.operations().forAccount(publicKey).join("transactions"),
+        (op) => emit("onOperation", toRecord(op)),
+        (status) => setStreamStatus(0, status)
+      ),
+      openStream(
+        () => streamServer.payments().forAccount(publicKey).join("transactions"),
+        (op) => emit("onPayment", toRecord(op)),
+        (status) => setStreamStatus(1, status)
+      ),
+    ];
+    accountStreams.set(key, subscription);
+  }
+
+  const { listeners } = subscription;
+  listeners.add(listener);
+  listener.onStatusChange?.(subscription.status);
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && accountStreams.get(key) === subscription) {
+      subscription.closers.forEach((close) => close());
+      accountStreams.delete(key);
+    }
+  };
 }
 
 /**
@@ -298,7 +2243,8 @@ export function getUniqueAddresses(transactions, ownAddress) {
   const addressMap = new Map();
 
   transactions.forEach((tx) => {
-    if (tx.otherParty && tx.otherParty !== ownAddress) {
+    // Only count accounts funds actually moved to or from
+    if (tx.otherParty && tx.otherParty !== ownAddress && tx.direction !== "none") {
       const existing = addressMap.get(tx.otherParty);
       if (!existing || new Date(tx.timestamp) > new Date(existing.lastUsed)) {
         addressMap.set(tx.otherParty, {
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  getContacts,
+  saveContact,
+  removeContact,
+  findContact,
+  getSuggestedContacts,
+  exportAddressBook,
+  importAddressBook,
+} from "@/lib/address-book";
+
+const me = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+const other = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+describe("address book", () => {
+  beforeEach(() => {
+    getContacts().forEach((contact) => removeContact(contact.address));
+    localStorage.clear();
+  });
+
+  it("saves contacts sorted by label and persists them", () => {
+    saveContact({ address: other, label: "Zed" });
+    saveContact({ address: me, label: "Alice", memoType: "id", memoValue: "42" });
+
+    expect(getContacts().map((c) => c.label)).toEqual(["Alice", "Zed"]);
+    expect(findContact(me)?.defaultMemo).toEqual({ type: "id", value: "42" });
+    expect(JSON.parse(localStorage.getItem("stellar_address_book") || "[]")).toHaveLength(2);
+  });
+
+  it("updates the contact saved for the same address", () => {
+    const first = saveContact({ address: other, label: "Bob" });
+    saveContact({ address: other, label: "Robert" });
+
+    expect(getContacts()).toHaveLength(1);
+    expect(findContact(other)?.label).toBe("Robert");
+    expect(findContact(other)?.createdAt).toBe(first.createdAt);
+  });
+
+  it("rejects invalid addresses, labels and memos", () => {
+    expect(() => saveContact({ address: "GBAD", label: "Bad" })).toThrow("Invalid Stellar address");
+    expect(() => saveContact({ address: other, label: "  " })).toThrow("Label is required");
+    expect(() => saveContact({ address: other, label: "Bob", memoType: "id", memoValue: "abc" })).toThrow();
+    expect(getContacts()).toHaveLength(0);
+  });
+
+  it("suggests counterparties from history that aren't saved", () => {
+    const history = [
+      { direction: "sent", otherParty: other, timestamp: "2024-03-10T12:00:00Z" },
+      { direction: "none", otherParty: null, timestamp: "2024-03-09T12:00:00Z" },
+    ];
+
+    expect(getSuggestedContacts(history, me).map((s: { address: string }) => s.address)).toEqual([other]);
+
+    saveContact({ address: other, label: "Bob" });
+    expect(getSuggestedContacts(history, me)).toEqual([]);
+  });
+
+  it("round-trips through export and import, skipping invalid entries", () => {
+    saveContact({ address: other, label: "Bob", memoType: "text", memoValue: "rent" });
+    const exported = JSON.parse(exportAddressBook());
+    expect(exported.version).toBe(1);
+
+    removeContact(other);
+    saveContact({ address: me, label: "Me" });
+
+    const file = JSON.stringify({
+      ...exported,
+      contacts: [...exported.contacts, { address: me, label: "Me again" }, { address: "nope", label: "Bad" }],
+    });
+
+    expect(importAddressBook(file)).toEqual({ added: 1, updated: 1, skipped: 1 });
+    expect(findContact(other)?.defaultMemo).toEqual({ type: "text", value: "rent" });
+    expect(findContact(me)?.label).toBe("Me again");
+  });
+
+  it("rejects files that aren't an exported address book", () => {
+    expect(() => importAddressBook("not json")).toThrow("File is not valid JSON");
+    expect(() => importAddressBook("{}")).toThrow("File is not an exported address book");
+  });
+});
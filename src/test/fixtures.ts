@@ -0,0 +1,34 @@
+import { vi } from "vitest";
+import { Account } from "@stellar/stellar-sdk";
+import { server } from "@/stellar/stellarClient";
+
+/**
+ * Stands in for a wallet connected to publicKey: hands the transaction back as if it had signed it
+ */
+export const createMockSigner = (publicKey: string) => ({
+  id: "mock",
+  name: "Mock Wallet",
+  isAvailable: vi.fn(async () => true),
+  connect: vi.fn(async () => publicKey),
+  getPublicKey: vi.fn(async () => publicKey),
+  getNetwork: vi.fn(async () => null),
+  signTransaction: vi.fn<(xdr: string, options: object) => Promise<string>>(async (xdr) => xdr),
+});
+
+/**
+ * Makes server.loadAccount return an account with these balances for any ID
+ * The result also works as a transaction source, like Horizon's AccountResponse
+ */
+export const mockAccounts = (balances: object[], fields: object = {}) =>
+  vi.spyOn(server, "loadAccount").mockImplementation(
+    async (id: string) =>
+      Object.assign(new Account(id, "1"), { account_id: id, subentry_count: 0, balances, ...fields }) as never
+  );
+
+/**
+ * Makes server.ledgers() report the given base reserve (default 0.5 XLM)
+ */
+export const mockBaseReserve = (stroops = 5000000) =>
+  vi.spyOn(server, "ledgers").mockReturnValue({
+    order: () => ({ limit: () => ({ call: async () => ({ records: [{ base_reserve_in_stroops: stroops }] }) }) }),
+  } as never);
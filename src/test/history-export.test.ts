@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import { toExportRows, toCsv, toJson } from "@/lib/history-export";
+import type { HistoryRecord } from "@/hooks/use-account-stream";
+
+const me = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+const other = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+const record = (overrides: Partial<HistoryRecord>): HistoryRecord => ({
+  id: "1",
+  type: "payment",
+  direction: "sent",
+  amount: "10.0000000",
+  asset: "XLM",
+  otherParty: other,
+  otherPartyMuxed: null,
+  otherPartyMuxedId: null,
+  accountMuxedId: null,
+  summary: "Sent 10 XLM",
+  timestamp: "2024-03-10T12:00:00Z",
+  successful: true,
+  pagingToken: "1",
+  hash: "tx-1",
+  memo: null,
+  memoType: "none",
+  fee: "200",
+  feeAccount: me,
+  ledger: 42,
+  detailsUnavailable: false,
+  ...overrides,
+});
+
+describe("history export", () => {
+  it("charges each transaction's fee once, and only to the account that paid it", () => {
+    const rows = toExportRows(
+      [
+        record({ id: "1" }),
+        record({ id: "2", amount: "5.0000000" }),
+        record({ id: "3", hash: "tx-2", direction: "received", feeAccount: other }),
+      ],
+      me
+    );
+    expect(rows.map((row) => row.fee)).toEqual(["0.0000200", "", ""]);
+  });
+
+  it("writes every column and escapes awkward memos", () => {
+    const rows = toExportRows([record({ memo: 'Invoice "42", March' }), record({ memo: "=HYPERLINK()" })], me);
+    const lines = toCsv(rows).trim().split("\r\n");
+    expect(lines[0]).toBe("timestamp,type,direction,amount,asset,counterparty,memo,fee,hash,ledger");
+    expect(lines[1]).toBe(
+      `2024-03-10T12:00:00Z,payment,sent,10.0000000,XLM,${other},"Invoice ""42"", March",0.0000200,tx-1,42`
+    );
+    expect(lines[2]).toContain(",'=HYPERLINK(),");
+  });
+
+  it("keeps JSON values unescaped", () => {
+    const [row] = JSON.parse(toJson(toExportRows([record({ memo: "=HYPERLINK()" })], me)));
+    expect(row).toMatchObject({ memo: "=HYPERLINK()", counterparty: other, ledger: "42" });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from "vitest";
+import {
+  EMPTY_FILTERS,
+  filterHistory,
+  parseHistoryFilters,
+  toSearchParams,
+} from "@/lib/history-filters";
+import type { HistoryRecord } from "@/hooks/use-account-stream";
+
+const other = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+const record = (overrides: Partial<HistoryRecord>): HistoryRecord => ({
+  id: "1",
+  type: "payment",
+  direction: "sent",
+  amount: "10.0000000",
+  asset: "XLM",
+  otherParty: other,
+  otherPartyMuxed: null,
+  otherPartyMuxedId: null,
+  accountMuxedId: null,
+  summary: "Sent 10 XLM",
+  timestamp: "2024-03-10T12:00:00Z",
+  successful: true,
+  pagingToken: "1",
+  hash: "abc123",
+  memo: null,
+  memoType: "none",
+  fee: "100",
+  feeAccount: null,
+  ledger: 1,
+  detailsUnavailable: false,
+  ...overrides,
+});
+
+describe("history filters", () => {
+  const records = [
+    record({ id: "1" }),
+    record({ id: "2", direction: "received", amount: "250.0000000", memo: "Invoice 42", timestamp: "2024-03-12T12:00:00Z" }),
+    record({ id: "3", type: "change_trust", direction: "none", amount: null, asset: null, otherParty: null, successful: false }),
+  ];
+
+  const ids = (filters: Partial<typeof EMPTY_FILTERS>) =>
+    filterHistory(records, { ...EMPTY_FILTERS, ...filters }).map((r) => r.id);
+
+  it("round-trips through query params, leaving out unset filters", () => {
+    const filters = { ...EMPTY_FILTERS, direction: "sent", minAmount: "5", search: "invoice" };
+    const params = toSearchParams(filters);
+    expect(params.toString()).toBe("direction=sent&min=5&q=invoice");
+    expect(parseHistoryFilters(params)).toEqual(filters);
+  });
+
+  it("filters by direction, type and status", () => {
+    expect(ids({})).toEqual(["1", "2", "3"]);
+    expect(ids({ direction: "received" })).toEqual(["2"]);
+    expect(ids({ type: "change_trust" })).toEqual(["3"]);
+    expect(ids({ status: "failed" })).toEqual(["3"]);
+  });
+
+  it("only matches records with an amount inside the range", () => {
+    expect(ids({ minAmount: "100" })).toEqual(["2"]);
+    expect(ids({ maxAmount: "100" })).toEqual(["1"]);
+  });
+
+  it("includes whole days at both ends of the date range", () => {
+    expect(ids({ from: "2024-03-11" })).toEqual(["2"]);
+    expect(ids({ to: "2024-03-10" })).toEqual(["1", "3"]);
+  });
+
+  it("searches counterparty, memo and hash case-insensitively", () => {
+    expect(ids({ search: "invoice" })).toEqual(["2"]);
+    expect(ids({ search: other.slice(10, 20).toLowerCase() })).toEqual(["1", "2"]);
+    expect(ids({ search: "ABC1" })).toEqual(["1", "2", "3"]);
+  });
+
+  it("searches the counterparty's muxed address", () => {
+    const muxed = "MA7QYNF7SOWQ3GLR2BGMZEHXAVIRZA4KVWLTJJFC7MGXUA74P7UJUAAAAAAAAAAAACJUQ";
+    const matches = filterHistory([record({ otherPartyMuxed: muxed, otherPartyMuxedId: "1234" })], {
+      ...EMPTY_FILTERS,
+      search: muxed,
+    });
+    expect(matches).toHaveLength(1);
+  });
+});
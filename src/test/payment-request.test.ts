@@ -0,0 +1,123 @@
+// Node environment: ed25519 signature checks reject jsdom's Uint8Array
+// @vitest-environment node
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { Networks } from "@stellar/stellar-sdk";
+import {
+  buildPaymentRequestUri,
+  parsePaymentRequestUri,
+  verifyPaymentRequest,
+  getPaymentRequestLink,
+} from "@/lib/payment-request";
+import { setNetwork } from "@/stellar/stellarClient";
+
+const me = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+const other = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+// Signed with the key published below; the signature covers everything before &signature=
+const signingKey = "GDVEU3DD4KOFECV66VIHWEZOYX4ZKR3WV27L464SIIPOU2IUI3JCZA57";
+const unsignedUri =
+  `web+stellar:pay?destination=${other}&amount=120.5&memo=invoice-17&memo_type=MEMO_TEXT` +
+  "&msg=pay%20me%20with%20lumens&origin_domain=example.com";
+const signedUri =
+  `${unsignedUri}&signature=` +
+  "rAmWOXVuS%2FtTgmn3cyiS%2BYjg4KaHQ1%2FJg0eE9TbQpdHFpbUhMUMBxmfYnU3FUuEnr%2F2lUAroIU30l9GkGB15Dg%3D%3D";
+
+const publishSigningKey = (key: string) =>
+  vi.spyOn(globalThis, "fetch").mockImplementation(async () => new Response(`URI_REQUEST_SIGNING_KEY="${key}"\n`));
+
+describe("payment requests", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    setNetwork("testnet");
+  });
+
+  it("round-trips every field through a URI", () => {
+    const uri = buildPaymentRequestUri({
+      destination: other,
+      amount: "12.5",
+      asset: `USDC:${me}`,
+      memoType: "hash",
+      memoValue: "ab".repeat(32),
+      message: "Dinner & drinks",
+    });
+
+    expect(uri.startsWith(`web+stellar:pay?destination=${other}&amount=12.5&asset_code=USDC`)).toBe(true);
+    expect(uri).toContain("msg=Dinner%20%26%20drinks");
+    expect(uri).toContain(`network_passphrase=${encodeURIComponent(Networks.TESTNET)}`);
+    expect(parsePaymentRequestUri(uri)).toEqual({
+      destination: other,
+      amount: "12.5",
+      asset: `USDC:${me}`,
+      memoType: "hash",
+      memoValue: "ab".repeat(32),
+      message: "Dinner & drinks",
+      networkPassphrase: Networks.TESTNET,
+      originDomain: null,
+      signature: null,
+    });
+  });
+
+  it("leaves out the passphrase on Mainnet", () => {
+    setNetwork("mainnet");
+    expect(buildPaymentRequestUri({ destination: other })).toBe(`web+stellar:pay?destination=${other}`);
+  });
+
+  it("rejects malformed requests", () => {
+    expect(() => parsePaymentRequestUri(`web+stellar:tx?xdr=AAAA`)).toThrow("Not a payment request");
+    expect(() => parsePaymentRequestUri("web+stellar:pay?destination=GBAD")).toThrow("invalid destination");
+    expect(() => parsePaymentRequestUri(`web+stellar:pay?destination=${other}&amount=-1`)).toThrow("Amount");
+    expect(() => parsePaymentRequestUri(`web+stellar:pay?destination=${other}&asset_code=USDC`)).toThrow(
+      "no asset issuer"
+    );
+    expect(() => parsePaymentRequestUri(`web+stellar:pay?destination=${other}&memo=x&memo_type=MEMO_FOO`)).toThrow(
+      "unknown memo type"
+    );
+    expect(() => parsePaymentRequestUri(`web+stellar:pay?destination=${other}&callback=url%3Ahttps%3A%2F%2Fa.b`)).toThrow(
+      "callback"
+    );
+    expect(() => parsePaymentRequestUri(`web+stellar:pay?destination=${other}&origin_domain=example.com`)).toThrow(
+      "isn't signed"
+    );
+  });
+
+  it("refuses requests for another network", async () => {
+    await expect(verifyPaymentRequest(`web+stellar:pay?destination=${other}`)).rejects.toThrow(
+      "This request is for Mainnet, but you're on Testnet"
+    );
+  });
+
+  it("verifies signatures against the origin domain's stellar.toml", async () => {
+    setNetwork("mainnet");
+    const fetchSpy = publishSigningKey(signingKey);
+
+    const request = await verifyPaymentRequest(signedUri);
+
+    expect(String(fetchSpy.mock.calls[0][0])).toBe("https://example.com/.well-known/stellar.toml");
+    expect(request).toMatchObject({
+      destination: other,
+      amount: "120.5",
+      memoType: "text",
+      memoValue: "invoice-17",
+      message: "pay me with lumens",
+      originDomain: "example.com",
+    });
+  });
+
+  it("rejects signatures from another key or over a changed URI", async () => {
+    setNetwork("mainnet");
+    publishSigningKey(me);
+    await expect(verifyPaymentRequest(signedUri)).rejects.toThrow("signature doesn't match example.com");
+
+    vi.restoreAllMocks();
+    publishSigningKey(signingKey);
+    await expect(verifyPaymentRequest(signedUri.replace("amount=120.5", "amount=999"))).rejects.toThrow(
+      "signature doesn't match"
+    );
+  });
+
+  it("links into the /pay route", () => {
+    expect(getPaymentRequestLink("web+stellar:pay?destination=G", "https://app.test")).toBe(
+      "https://app.test/pay?uri=web%2Bstellar%3Apay%3Fdestination%3DG"
+    );
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { Networks } from "@stellar/stellar-sdk";
+import { setSigner, SIGNERS } from "@/stellar/signers";
+import {
+  getSavedAccounts,
+  findSavedAccount,
+  rememberAccount,
+  renameAccount,
+  forgetAccount,
+} from "@/lib/saved-accounts";
+import { getSession, startSession, startWatchSession, switchAccount, endSession } from "@/lib/wallet-session";
+
+const me = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+const other = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+describe("saved accounts", () => {
+  beforeEach(async () => {
+    await endSession();
+    getSavedAccounts().forEach((account) => forgetAccount(account.publicKey));
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    setSigner(SIGNERS[0]);
+  });
+
+  it("saves every account a session opens, once", () => {
+    startSession(me);
+    startWatchSession(other);
+    startSession(me);
+
+    expect(getSavedAccounts().map((account) => account.publicKey)).toEqual([me, other]);
+    expect(findSavedAccount(me)).toMatchObject({ watchOnly: false, signerId: SIGNERS[0].id });
+    expect(findSavedAccount(other)).toMatchObject({ watchOnly: true, signerId: null });
+    expect(JSON.parse(localStorage.getItem("stellar_saved_accounts") || "[]")).toHaveLength(2);
+  });
+
+  it("keeps a wallet account when it's later only watched", () => {
+    rememberAccount(me, { watchOnly: false, signerId: "albedo" });
+    rememberAccount(me, { watchOnly: true, signerId: null });
+    expect(findSavedAccount(me)).toMatchObject({ watchOnly: false, signerId: "albedo" });
+
+    // Connecting a watched account upgrades it
+    rememberAccount(other, { watchOnly: true, signerId: null });
+    rememberAccount(other, { watchOnly: false, signerId: "xbull" });
+    expect(findSavedAccount(other)).toMatchObject({ watchOnly: false, signerId: "xbull" });
+  });
+
+  it("renames and forgets accounts", () => {
+    rememberAccount(me, { watchOnly: true, signerId: null });
+
+    renameAccount(me, "  Savings  ");
+    expect(findSavedAccount(me)?.nickname).toBe("Savings");
+    expect(() => renameAccount(me, "x".repeat(33))).toThrow("at most 32 characters");
+
+    forgetAccount(me);
+    expect(findSavedAccount(me)).toBeUndefined();
+  });
+
+  it("switches to a wallet account the wallet is on", async () => {
+    const wallet = SIGNERS[1];
+    vi.spyOn(wallet, "getPublicKey").mockResolvedValue(other);
+    vi.spyOn(wallet, "getNetwork").mockResolvedValue({ network: "TESTNET", networkPassphrase: Networks.TESTNET });
+    rememberAccount(other, { watchOnly: false, signerId: wallet.id });
+    startSession(me);
+
+    expect(await switchAccount(other)).toEqual({ canSign: true, signer: wallet });
+    expect(getSession()).toMatchObject({ publicKey: other, watchOnly: false });
+  });
+
+  it("opens a wallet account read-only when the wallet is on another account", async () => {
+    const wallet = SIGNERS[1];
+    vi.spyOn(wallet, "getPublicKey").mockResolvedValue(me);
+    rememberAccount(other, { watchOnly: false, signerId: wallet.id });
+    startSession(me);
+
+    expect(await switchAccount(other)).toEqual({ canSign: false, signer: wallet });
+    expect(getSession()).toMatchObject({ publicKey: other, watchOnly: true });
+    expect(findSavedAccount(other)?.watchOnly).toBe(false);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { render, screen, fireEvent, waitFor, cleanup } from "@testing-library/react";
+import { Networks, Transaction, TransactionBuilder } from "@stellar/stellar-sdk";
+import { server } from "@/stellar/stellarClient";
+import { setSigner, createDeclinedError, SIGNERS } from "@/stellar/signers";
+import { startWatchSession, endSession } from "@/lib/wallet-session";
+import SendPayment from "@/components/SendPayment";
+import { createMockSigner, mockAccounts, mockBaseReserve } from "@/test/fixtures";
+
+const me = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+const other = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+const payment = {
+  destination: other,
+  amount: "5",
+  asset: "native",
+  memoType: "text",
+  memoValue: "invoice 7",
+};
+
+/**
+ * Fills the form from a payment request, sends it and confirms the review
+ */
+async function sendAndConfirm() {
+  render(<SendPayment publicKey={me} prefilledPayment={payment} />);
+
+  fireEvent.click(await screen.findByRole("button", { name: /send payment/i }));
+  fireEvent.click(await screen.findByRole("button", { name: "Confirm & Sign" }));
+}
+
+describe("send flow", () => {
+  let submit: ReturnType<typeof vi.spyOn>;
+
+  beforeEach(() => {
+    mockAccounts([{ asset_type: "native", balance: "100.0000000" }]);
+    mockBaseReserve();
+    vi.spyOn(server, "feeStats").mockRejectedValue(new Error("offline"));
+    submit = vi.spyOn(server, "submitTransaction").mockResolvedValue({ hash: "abc123" } as never);
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+    setSigner(SIGNERS[0]);
+    localStorage.clear();
+  });
+
+  it("signs the reviewed transaction with the active signer and submits the result", async () => {
+    const signer = createMockSigner(me);
+    setSigner(signer);
+
+    await sendAndConfirm();
+
+    await waitFor(() => expect(submit).toHaveBeenCalledTimes(1));
+    const [xdr, options] = signer.signTransaction.mock.calls[0];
+    expect(options).toEqual({ networkPassphrase: Networks.TESTNET, address: me });
+
+    const transaction = TransactionBuilder.fromXDR(xdr, Networks.TESTNET) as Transaction;
+    expect(transaction.operations[0]).toMatchObject({ type: "payment", destination: other, amount: "5.0000000" });
+    expect(transaction.memo.value?.toString()).toBe("invoice 7");
+    expect(await screen.findByText(/abc123/)).toBeInTheDocument();
+  });
+
+  it("asks the signer for access when the wallet has none", async () => {
+    const signer = createMockSigner(me);
+    signer.getPublicKey.mockResolvedValue(null);
+    setSigner(signer);
+
+    await sendAndConfirm();
+
+    await waitFor(() => expect(submit).toHaveBeenCalledTimes(1));
+    expect(signer.connect).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops without submitting when the signer declines", async () => {
+    const signer = createMockSigner(me);
+    signer.signTransaction.mockRejectedValue(createDeclinedError("Mock Wallet"));
+    setSigner(signer);
+
+    await sendAndConfirm();
+
+    expect(await screen.findByText("Transaction was rejected in Mock Wallet")).toBeInTheDocument();
+    expect(submit).not.toHaveBeenCalled();
+  });
+
+  it("sets the fee aside from the available balance once", async () => {
+    setSigner(createMockSigner(me));
+    render(<SendPayment publicKey={me} prefilledPayment={payment} />);
+
+    // 100 XLM - 1 XLM minimum reserve - 100 stroop fee
+    expect(await screen.findByText(/Available: 98\.99999 XLM/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: /send payment/i }));
+    await screen.findByRole("button", { name: "Confirm & Sign" });
+    expect(screen.getByText(/Available: 98\.99999 XLM/)).toBeInTheDocument();
+  });
+
+  it("stops an asset payment when the XLM fee isn't covered", async () => {
+    const issuer = other;
+    mockAccounts(
+      [
+        { asset_type: "native", balance: "1.5000050" },
+        { asset_type: "credit_alphanum4", asset_code: "USDC", asset_issuer: issuer, balance: "50.0000000" },
+      ],
+      { subentry_count: 1 }
+    );
+    setSigner(createMockSigner(me));
+    render(<SendPayment publicKey={me} prefilledPayment={{ ...payment, asset: `USDC:${issuer}` }} />);
+
+    await screen.findByText(/Available: 50 USDC/);
+    fireEvent.click(screen.getByRole("button", { name: /send payment/i }));
+
+    expect(await screen.findByText(/Not enough XLM for the 0\.00001 XLM fee/)).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Confirm & Sign" })).toBeNull();
+  });
+
+  it("won't pay a request for an unheld asset in XLM", async () => {
+    setSigner(createMockSigner(me));
+    render(<SendPayment publicKey={me} prefilledPayment={{ ...payment, asset: `USDC:${other}` }} />);
+
+    expect(await screen.findByText(/asks for USDC, which your account doesn't hold/)).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: /send payment/i })).toBeDisabled();
+    expect(screen.getByText(/Available: .* XLM/)).toBeInTheDocument();
+  });
+
+  it("drops a federation memo once the destination changes", async () => {
+    vi.spyOn(globalThis, "fetch").mockImplementation(async (input) => {
+      const url = new URL(String(input));
+      if (url.pathname === "/.well-known/stellar.toml") {
+        return new Response('FEDERATION_SERVER="http://localhost:8000/federation"\n');
+      }
+      return new Response(JSON.stringify({ account_id: other, memo_type: "text", memo: "from federation" }));
+    });
+    render(<SendPayment publicKey={me} />);
+    const destination = screen.getByLabelText(/destination/i);
+
+    fireEvent.change(destination, { target: { value: "bob*localhost:8000" } });
+    expect(await screen.findByDisplayValue("from federation", {}, { timeout: 2000 })).toBeInTheDocument();
+
+    fireEvent.change(destination, { target: { value: other } });
+    await waitFor(() => expect(screen.queryByDisplayValue("from federation")).toBeNull());
+  });
+
+  it("can't send from a watched account", async () => {
+    startWatchSession(me);
+    render(<SendPayment publicKey={me} prefilledPayment={payment} />);
+
+    expect(screen.getByText(/Watch-only/)).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: /send payment/i })).toBeNull();
+    await endSession();
+  });
+});
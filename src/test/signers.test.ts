@@ -0,0 +1,56 @@
+// @vitest-environment node
+// Signing needs node's Uint8Array; jsdom's fails ed25519's type checks
+import { describe, it, expect } from "vitest";
+import { Account, Keypair, Networks, Operation, Asset, TransactionBuilder } from "@stellar/stellar-sdk";
+import { createKeypairSigner, createDeclinedError } from "@/stellar/signers";
+import { toSignerError } from "@/stellar/signers/errors";
+
+const keypair = Keypair.fromRawEd25519Seed(Buffer.alloc(32, 7));
+const other = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+const buildXdr = () =>
+  new TransactionBuilder(new Account(keypair.publicKey(), "1"), { fee: "100", networkPassphrase: Networks.TESTNET })
+    .addOperation(Operation.payment({ destination: other, asset: Asset.native(), amount: "1" }))
+    .setTimeout(300)
+    .build()
+    .toXDR();
+
+describe("keypair signer", () => {
+  it("signs for its own account", async () => {
+    const signer = createKeypairSigner(keypair);
+    expect(await signer.connect()).toBe(keypair.publicKey());
+
+    const signed = await signer.signTransaction(buildXdr(), {
+      networkPassphrase: Networks.TESTNET,
+      address: keypair.publicKey(),
+    });
+    const transaction = TransactionBuilder.fromXDR(signed, Networks.TESTNET);
+
+    expect(transaction.signatures).toHaveLength(1);
+    expect(keypair.verify(transaction.hash(), transaction.signatures[0].signature())).toBe(true);
+  });
+
+  it("refuses to sign for another account", async () => {
+    const signer = createKeypairSigner(keypair.secret());
+    await expect(
+      signer.signTransaction(buildXdr(), { networkPassphrase: Networks.TESTNET, address: other })
+    ).rejects.toThrow(`can't sign for ${other}`);
+  });
+});
+
+describe("signer errors", () => {
+  it("marks rejected prompts as declined whatever the wallet reports", () => {
+    expect(toSignerError({ code: -4, message: "The user rejected this request." }, "Freighter")).toMatchObject({
+      declined: true,
+      message: "Request was rejected in Freighter",
+    });
+    expect(toSignerError("User declined access", "xBull").declined).toBe(true);
+    expect(createDeclinedError("Albedo").declined).toBe(true);
+  });
+
+  it("passes other errors through", () => {
+    const error = toSignerError({ code: -1, message: "Extension not responding" }, "Freighter");
+    expect(error.message).toBe("Extension not responding");
+    expect("declined" in error).toBe(false);
+  });
+});
@@ -0,0 +1,865 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import {
+  NETWORK_PROFILES,
+  getNetworkProfile,
+  setNetwork,
+  getExplorerUrl,
+  isActiveNetwork,
+  parseAsset,
+  calculateReserve,
+  normalizeAccountDetails,
+  createMemo,
+  resolveFee,
+  getBumpFee,
+  buildFeeBumpTransaction,
+  decodeTransaction,
+  decodeTransactionResult,
+  parseBatchCsv,
+  buildBatchPaymentTransactions,
+  normalizeOperation,
+  getTransactionHistoryPage,
+  getTransactionHistoryRange,
+  subscribeToAccount,
+  isFederationAddress,
+  resolveFederationAddress,
+  parseMuxedAddress,
+  isValidDestination,
+  shortenAddress,
+  buildPaymentTransaction,
+  server,
+} from "@/stellar/stellarClient";
+import {
+  Account,
+  Asset,
+  FeeBumpTransaction,
+  MuxedAccount,
+  Networks,
+  xdr,
+  Operation,
+  TransactionBuilder,
+} from "@stellar/stellar-sdk";
+import { mockBaseReserve } from "@/test/fixtures";
+
+describe("network profiles", () => {
+  afterEach(() => {
+    setNetwork("testnet");
+  });
+
+  it("defaults to testnet", () => {
+    expect(getNetworkProfile().id).toBe("testnet");
+    expect(getExplorerUrl("abc")).toBe("https://stellar.expert/explorer/testnet/tx/abc");
+  });
+
+  it("switches every derived value with the active profile", () => {
+    setNetwork("local");
+    expect(getNetworkProfile()).toBe(NETWORK_PROFILES.local);
+    expect(getExplorerUrl("abc")).toBe("http://localhost:8000/transactions/abc");
+    expect(isActiveNetwork("STANDALONE")).toBe(true);
+    expect(isActiveNetwork("TESTNET")).toBe(false);
+  });
+
+  it("rejects unknown networks", () => {
+    expect(() => setNetwork("devnet")).toThrow("Unknown network: devnet");
+  });
+});
+
+describe("parseAsset", () => {
+  const issuer = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+
+  it("treats empty, native and XLM as lumens", () => {
+    expect(parseAsset(undefined).isNative()).toBe(true);
+    expect(parseAsset("native").isNative()).toBe(true);
+    expect(parseAsset("XLM").isNative()).toBe(true);
+  });
+
+  it("parses CODE:ISSUER assets", () => {
+    const asset = parseAsset(`USDC:${issuer}`);
+    expect(asset.getCode()).toBe("USDC");
+    expect(asset.getIssuer()).toBe(issuer);
+  });
+
+  it("rejects malformed identifiers", () => {
+    expect(() => parseAsset("USDC")).toThrow("CODE:ISSUER");
+    expect(() => parseAsset("USDC:GBAD")).toThrow("Invalid asset issuer");
+    expect(() => parseAsset(`TOOLONGASSETCODE:${issuer}`)).toThrow("1-12");
+  });
+});
+
+describe("calculateReserve", () => {
+  const account = (overrides = {}) => ({
+    subentry_count: 0,
+    num_sponsoring: 0,
+    num_sponsored: 0,
+    balances: [{ asset_type: "native", balance: "10.0000000", selling_liabilities: "0.0000000" }],
+    ...overrides,
+  });
+
+  it("reserves two base entries for a plain account", () => {
+    const reserve = calculateReserve(account(), 5000000);
+    expect(reserve.minimumBalance).toBe("1.0000000");
+    expect(reserve.spendable).toBe("9.0000000");
+  });
+
+  it("accounts for subentries, sponsorships, liabilities and fee", () => {
+    const reserve = calculateReserve(
+      account({
+        subentry_count: 3,
+        num_sponsoring: 2,
+        num_sponsored: 1,
+        balances: [{ asset_type: "native", balance: "10.0000000", selling_liabilities: "1.5000000" }],
+      }),
+      5000000,
+      100
+    );
+    // (2 + 3 + 2 - 1) × 0.5 = 3 XLM
+    expect(reserve.minimumBalance).toBe("3.0000000");
+    expect(reserve.spendable).toBe("5.4999900");
+  });
+
+  it("never reports a negative spendable amount", () => {
+    const reserve = calculateReserve(
+      account({ balances: [{ asset_type: "native", balance: "0.5000000" }] }),
+      5000000
+    );
+    expect(reserve.spendable).toBe("0.0000000");
+  });
+});
+
+describe("normalizeAccountDetails", () => {
+  it("flattens thresholds and flags and sorts signers by weight", () => {
+    const details = normalizeAccountDetails({
+      account_id: "GME",
+      sequence: "123",
+      subentry_count: 2,
+      home_domain: "example.com",
+      thresholds: { low_threshold: 1, med_threshold: 2, high_threshold: 3 },
+      flags: { auth_required: true, auth_revocable: false, auth_immutable: false, auth_clawback_enabled: true },
+      signers: [
+        { key: "GME", weight: 1, type: "ed25519_public_key" },
+        { key: "GCOSIGNER", weight: 5, type: "ed25519_public_key" },
+      ],
+    });
+
+    expect(details).toMatchObject({
+      accountId: "GME",
+      sequence: "123",
+      subentryCount: 2,
+      homeDomain: "example.com",
+      thresholds: { low: 1, medium: 2, high: 3 },
+      flags: { authRequired: true, authRevocable: false, authImmutable: false, authClawbackEnabled: true },
+    });
+    expect(details.signers.map((signer) => signer.key)).toEqual(["GCOSIGNER", "GME"]);
+  });
+
+  it("defaults missing fields", () => {
+    const details = normalizeAccountDetails({ account_id: "GME", sequence: "1" });
+    expect(details.homeDomain).toBeNull();
+    expect(details.thresholds).toEqual({ low: 0, medium: 0, high: 0 });
+    expect(details.signers).toEqual([]);
+  });
+});
+
+describe("createMemo", () => {
+  it("returns an empty memo by default", () => {
+    expect(createMemo().type).toBe("none");
+  });
+
+  it("limits text memos to 28 bytes", () => {
+    expect(createMemo("text", "a".repeat(28)).value).toBe("a".repeat(28));
+    expect(() => createMemo("text", "a".repeat(29))).toThrow("28 bytes");
+    // Multi-byte characters count by their UTF-8 length
+    expect(() => createMemo("text", "€".repeat(10))).toThrow("30 bytes");
+  });
+
+  it("keeps id memos within uint64", () => {
+    expect(createMemo("id", "18446744073709551615").type).toBe("id");
+    expect(() => createMemo("id", "18446744073709551616")).toThrow("between 0 and");
+    expect(() => createMemo("id", "-1")).toThrow("whole number");
+  });
+
+  it("requires 32-byte hex for hash and return memos", () => {
+    expect(createMemo("hash", "ab".repeat(32)).type).toBe("hash");
+    expect(createMemo("return", "ab".repeat(32)).type).toBe("return");
+    expect(() => createMemo("hash", "abc")).toThrow("64 hex characters");
+  });
+});
+
+describe("resolveFee", () => {
+  const estimates = { low: "100", normal: "250", high: "1000", baseFee: "100", capacityUsage: 0.5 };
+
+  it("picks the preset for a strategy", () => {
+    expect(resolveFee("low", estimates)).toBe("100");
+    expect(resolveFee("high", estimates)).toBe("1000");
+  });
+
+  it("falls back to the base fee without estimates", () => {
+    expect(resolveFee("normal", null)).toBe("100");
+  });
+
+  it("validates custom fees", () => {
+    expect(resolveFee("custom", estimates, "5000")).toBe("5000");
+    expect(() => resolveFee("custom", estimates, "50")).toThrow("at least 100 stroops");
+    expect(() => resolveFee("custom", estimates, "1.5")).toThrow("whole number");
+  });
+});
+
+describe("fee bumps", () => {
+  const source = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+  const destination = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+  // Signatures don't affect the fee bump, so an unsigned inner transaction will do
+  const payment = (fee = "100") => {
+    const account = new Account(source, "1");
+    return new TransactionBuilder(account, { fee, networkPassphrase: Networks.TESTNET })
+      .addOperation(Operation.payment({ destination, asset: Asset.native(), amount: "1" }))
+      .setTimeout(300)
+      .build()
+      .toXDR();
+  };
+
+  it("suggests at least double the original fee", () => {
+    expect(getBumpFee(payment("150"), null)).toBe("300");
+    expect(getBumpFee(payment("150"), { high: "1000" })).toBe("1000");
+  });
+
+  it("wraps the original transaction in a fee bump", () => {
+    const xdr = buildFeeBumpTransaction(source, payment(), "400");
+    const feeBump = TransactionBuilder.fromXDR(xdr, Networks.TESTNET) as FeeBumpTransaction;
+    expect(feeBump).toBeInstanceOf(FeeBumpTransaction);
+    // One extra operation is charged for the fee bump itself
+    expect(feeBump.fee).toBe("800");
+    expect(feeBump.innerTransaction.fee).toBe("100");
+  });
+
+  it("decodes the inner transaction for review", () => {
+    const decoded = decodeTransaction(buildFeeBumpTransaction(source, payment(), "400"));
+    expect(decoded.isFeeBump).toBe(true);
+    expect(decoded.fee).toBe("800");
+    expect(decoded.feeSource).toBe(source);
+    expect(decoded.minTime).toBe(0);
+    expect(decoded.maxTime).toBeGreaterThan(0);
+    expect(decoded.sequence).toBe("2");
+    expect(decoded.memo).toEqual({ type: "none", value: null });
+    expect(decoded.operations).toEqual([
+      { type: "payment", source, destination, amount: "1.0000000", asset: "XLM" },
+    ]);
+  });
+
+  it("requires a higher fee than the original", () => {
+    expect(() => buildFeeBumpTransaction(source, payment("500"), "500")).toThrow(
+      "higher than the original"
+    );
+  });
+});
+
+describe("parseBatchCsv", () => {
+  const a = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+  const b = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+  it("skips the header row and blank lines", () => {
+    expect(parseBatchCsv(`address,amount\n${a},10\n\n${b};2.5\n`)).toEqual([
+      { destination: a, amount: "10" },
+      { destination: b, amount: "2.5" },
+    ]);
+  });
+
+  it("finds the header after blank lines and a byte order mark", () => {
+    expect(parseBatchCsv(`\uFEFF\n\ndestination,amount\n${a},10\n`)).toEqual([{ destination: a, amount: "10" }]);
+  });
+
+  it("reports lines missing a column", () => {
+    expect(() => parseBatchCsv(`${a},10\n${b}`)).toThrow("Line 2");
+  });
+});
+
+describe("buildBatchPaymentTransactions", () => {
+  const me = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+  const other = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("creates a new destination once and pays it on later rows", async () => {
+    vi.spyOn(server, "loadAccount").mockImplementation(async (id: string) => {
+      if (id !== me) throw Object.assign(new Error("Not Found"), { response: { status: 404 } });
+      return Object.assign(new Account(me, "1"), {
+        balances: [{ asset_type: "native", balance: "100.0000000" }],
+      }) as never;
+    });
+    mockBaseReserve();
+
+    const [xdrString] = await buildBatchPaymentTransactions(me, [
+      { destination: other, amount: "5" },
+      { destination: other, amount: "0.5" },
+    ]);
+    const transaction = TransactionBuilder.fromXDR(xdrString, Networks.TESTNET);
+
+    expect(transaction.operations).toMatchObject([
+      { type: "createAccount", destination: other, startingBalance: "5.0000000" },
+      { type: "payment", destination: other, amount: "0.5000000" },
+    ]);
+  });
+});
+
+describe("normalizeOperation", () => {
+  const me = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+  const other = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+  const base = { id: "1", created_at: "2024-01-01T00:00:00Z", transaction_successful: true, source_account: me };
+
+  it("uses the sending side of a path payment", () => {
+    const record = normalizeOperation(
+      {
+        ...base,
+        type: "path_payment_strict_send",
+        from: me,
+        to: other,
+        amount: "9.5000000",
+        asset_type: "credit_alphanum4",
+        asset_code: "USDC",
+        asset_issuer: other,
+        source_amount: "100.0000000",
+        source_asset_type: "native",
+      },
+      me
+    );
+    expect(record).toMatchObject({ direction: "sent", amount: "100.0000000", asset: "XLM", otherParty: other });
+    expect(record.summary).toBe("Sent 100 XLM, delivered as 9.5 USDC");
+  });
+
+  it("keeps operations that don't move funds", () => {
+    const record = normalizeOperation(
+      { ...base, type: "change_trust", asset_type: "credit_alphanum4", asset_code: "USDC", limit: "0.0000000" },
+      me
+    );
+    expect(record).toMatchObject({ type: "change_trust", direction: "none", amount: null, otherParty: null });
+    expect(record.summary).toBe("Removed trustline for USDC");
+  });
+
+  it("treats the merged-into account as the recipient", () => {
+    const record = normalizeOperation({ ...base, type: "account_merge", account: other, into: me }, me);
+    expect(record).toMatchObject({ direction: "received", otherParty: other });
+  });
+
+  it("falls back to the raw type for unknown operations", () => {
+    expect(normalizeOperation({ ...base, type: "future_op" }, me).summary).toBe("future op");
+  });
+
+  it("only counts a claimable balance as sent by its creator", () => {
+    const created = {
+      ...base,
+      type: "create_claimable_balance",
+      amount: "10.0000000",
+      asset: "native",
+      claimants: [{ destination: me }],
+    };
+    expect(normalizeOperation(created, me)).toMatchObject({ direction: "sent", amount: "10.0000000" });
+
+    const forMe = normalizeOperation({ ...created, source_account: other }, me);
+    expect(forMe).toMatchObject({ direction: "none", otherParty: other });
+    expect(forMe.summary).toBe("Can claim 10 XLM from GCEZ...74JZ");
+  });
+
+  it("marks a claim's amount as unknown", () => {
+    const record = normalizeOperation({ ...base, type: "claim_claimable_balance", balance_id: "00000000abcdef" }, me);
+    expect(record).toMatchObject({ direction: "received", amount: null });
+    expect(record.summary).toContain("amount unknown");
+  });
+
+  it("names liquidity pool shares", () => {
+    const record = normalizeOperation(
+      {
+        ...base,
+        type: "payment",
+        from: me,
+        to: other,
+        amount: "2.0000000",
+        asset_type: "liquidity_pool_shares",
+        liquidity_pool_id: "abcd1234",
+      },
+      me
+    );
+    expect(record).toMatchObject({ asset: "LP:abcd1234" });
+    expect(record.summary).toBe("Sent 2 LP");
+  });
+
+  it("surfaces muxed addresses on both sides of a payment", () => {
+    const record = normalizeOperation(
+      {
+        ...base,
+        type: "payment",
+        from: other,
+        from_muxed: "MOTHER",
+        from_muxed_id: "7",
+        to: me,
+        to_muxed: "MME",
+        to_muxed_id: "42",
+        amount: "5.0000000",
+        asset_type: "native",
+      },
+      me
+    );
+    expect(record).toMatchObject({
+      direction: "received",
+      otherParty: other,
+      otherPartyMuxed: "MOTHER",
+      otherPartyMuxedId: "7",
+      accountMuxedId: "42",
+    });
+  });
+});
+
+describe("getTransactionHistoryPage", () => {
+  const me = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  // Stands in for server.operations(); records the cursor and join it is asked for
+  const mockOperations = (records: object[]) => {
+    const query: { cursor?: string; join?: string } = {};
+    const builder = {
+      forAccount: () => builder,
+      order: () => builder,
+      limit: () => builder,
+      join: (join: string) => {
+        query.join = join;
+        return builder;
+      },
+      cursor: (cursor: string) => {
+        query.cursor = cursor;
+        return builder;
+      },
+      call: async () => ({ records }),
+    };
+    vi.spyOn(server, "operations").mockReturnValue(builder as never);
+    return query;
+  };
+
+  // Stands in for server.transactions().transaction(hash); fails for "bad" hashes
+  const mockTransactions = () => {
+    const requested: string[] = [];
+    vi.spyOn(server, "transactions").mockReturnValue({
+      transaction: (hash: string) => ({
+        call: async () => {
+          requested.push(hash);
+          if (hash.startsWith("bad")) throw new Error("Horizon unavailable");
+          return { hash, created_at: "2024-01-02T00:00:00Z", memo_type: "text", memo: "fetched" };
+        },
+      }),
+    } as never);
+    return requested;
+  };
+
+  const op = (id: string, hash: string, joined = true) => ({
+    id,
+    paging_token: `token-${id}`,
+    type: "bump_sequence",
+    bump_to: "5",
+    source_account: me,
+    created_at: "2024-01-01T00:00:00Z",
+    transaction_successful: true,
+    transaction_hash: hash,
+    transaction_attr: joined
+      ? { hash, created_at: "2024-01-01T00:00:00Z", memo_type: "text", memo: `memo ${id}`, ledger: 7 }
+      : undefined,
+  });
+
+  it("returns the last paging token as the next cursor", async () => {
+    const query = mockOperations([op("2", "tx-paging-2"), op("1", "tx-paging-1")]);
+    const requested = mockTransactions();
+    const page = await getTransactionHistoryPage(me, { limit: 2, cursor: "token-3" });
+    expect(query).toEqual({ cursor: "token-3", join: "transactions" });
+    expect(page.records.map((record) => record.pagingToken)).toEqual(["token-2", "token-1"]);
+    expect(page.records[0]).toMatchObject({ hash: "tx-paging-2", memo: "memo 2", ledger: 7 });
+    expect(page.nextCursor).toBe("token-1");
+    expect(page.hasMore).toBe(true);
+    expect(requested).toEqual([]);
+  });
+
+  it("stops at the account's first operation", async () => {
+    mockOperations([op("1", "tx-first")]);
+    const page = await getTransactionHistoryPage(me, { limit: 2 });
+    expect(page.hasMore).toBe(false);
+  });
+
+  it("fetches transactions Horizon didn't join once per hash, failing soft", async () => {
+    mockOperations([op("3", "tx-fallback", false), op("2", "tx-fallback", false), op("1", "bad-tx", false)]);
+    const requested = mockTransactions();
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const page = await getTransactionHistoryPage(me, { limit: 5 });
+    expect(requested.sort()).toEqual(["bad-tx", "tx-fallback"]);
+    expect(page.records[0]).toMatchObject({ memo: "fetched", detailsUnavailable: false });
+    expect(page.records[2]).toMatchObject({ hash: "bad-tx", memo: null, detailsUnavailable: true });
+  });
+
+  it("keeps only records inside the requested range", async () => {
+    const dated = (id: string, created_at: string) => ({
+      ...op(id, `tx-range-${id}`),
+      transaction_attr: { hash: `tx-range-${id}`, created_at },
+    });
+    mockOperations([
+      dated("3", "2024-03-12T00:00:00Z"),
+      dated("2", "2024-03-10T00:00:00Z"),
+      dated("1", "2024-03-01T00:00:00Z"),
+    ]);
+    const progress: number[] = [];
+    const records = await getTransactionHistoryRange(me, {
+      from: new Date("2024-03-05T00:00:00Z"),
+      to: new Date("2024-03-11T00:00:00Z"),
+      onProgress: (count) => progress.push(count),
+    });
+    expect(records.map((record) => record.id)).toEqual(["2"]);
+    expect(progress).toEqual([3]);
+  });
+
+  it("fills in claimed amounts with one effects request per transaction", async () => {
+    const claim = (id: string, balanceId: string) => ({
+      ...op(id, "tx-claim"),
+      type: "claim_claimable_balance",
+      balance_id: balanceId,
+    });
+    mockOperations([claim("5", "00000000fedcba"), claim("4", "00000000abcdef")]);
+    const forTransaction = vi.fn(() => ({
+      limit: () => ({
+        call: async () => ({
+          records: [
+            { type: "account_credited", paging_token: "4-1", amount: "3.0000000", asset_type: "native" },
+            {
+              type: "claimable_balance_claimed",
+              paging_token: "4-2",
+              amount: "3.0000000",
+              asset: "native",
+              balance_id: "00000000abcdef",
+            },
+            {
+              type: "claimable_balance_claimed",
+              paging_token: "5-2",
+              amount: "1.5000000",
+              asset: "native",
+              balance_id: "00000000fedcba",
+            },
+          ],
+        }),
+      }),
+    }));
+    vi.spyOn(server, "effects").mockReturnValue({ forTransaction } as never);
+
+    const page = await getTransactionHistoryPage(me);
+    expect(forTransaction).toHaveBeenCalledTimes(1);
+    expect(forTransaction).toHaveBeenCalledWith("tx-claim");
+    expect(page.records[0]).toMatchObject({ amount: "1.5000000", asset: "XLM" });
+    expect(page.records[1]).toMatchObject({ direction: "received", amount: "3.0000000", asset: "XLM" });
+    expect(page.records[1].summary).toBe("Claimed 3 XLM from balance 0000...cdef");
+  });
+
+  it("reuses cached transactions across pages", async () => {
+    mockOperations([op("1", "tx-cached")]);
+    await getTransactionHistoryPage(me);
+    mockOperations([op("1", "tx-cached", false)]);
+    const requested = mockTransactions();
+    const page = await getTransactionHistoryPage(me);
+    expect(requested).toEqual([]);
+    expect(page.records[0].memo).toBe("memo 1");
+  });
+});
+
+describe("subscribeToAccount", () => {
+  const me = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+  const other = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  type StreamOptions = { onmessage: (record: unknown) => void; onerror: (error: unknown) => void };
+
+  // Stands in for server.operations() and server.payments(); keeps every stream opened.
+  // Streams for endpoints in failToOpen report an error while opening, as the SDK does
+  const mockStreams = (failToOpen: string[] = []) => {
+    const streams: { endpoint: string; cursor: string; options: StreamOptions; closed: boolean }[] = [];
+    const builderFor = (endpoint: string) => () => {
+      let cursor = "";
+      const builder = {
+        forAccount: () => builder,
+        join: () => builder,
+        cursor: (value: string) => {
+          cursor = value;
+          return builder;
+        },
+        stream: (options: StreamOptions) => {
+          const stream = { endpoint, cursor, options, closed: false };
+          streams.push(stream);
+          if (failToOpen.includes(endpoint)) options.onerror(new Error("failed to open"));
+          return () => {
+            stream.closed = true;
+          };
+        },
+      };
+      return builder;
+    };
+    vi.spyOn(server, "operations").mockImplementation(builderFor("operations") as never);
+    vi.spyOn(server, "payments").mockImplementation(builderFor("payments") as never);
+    return streams;
+  };
+
+  const payment = {
+    id: "10",
+    paging_token: "token-10",
+    type: "payment",
+    from: other,
+    to: me,
+    amount: "5.0000000",
+    asset_type: "native",
+    created_at: "2024-01-01T00:00:00Z",
+    transaction_successful: true,
+    transaction_hash: "tx-stream",
+    transaction_attr: { hash: "tx-stream", memo_type: "text", memo: "rent" },
+  };
+
+  it("shares one pair of streams between subscribers", () => {
+    const streams = mockStreams();
+    const first = { onPayment: vi.fn() };
+    const second = { onPayment: vi.fn(), onOperation: vi.fn() };
+    const unsubscribeFirst = subscribeToAccount(me, first);
+    const unsubscribeSecond = subscribeToAccount(me, second);
+    expect(streams.map((stream) => [stream.endpoint, stream.cursor])).toEqual([
+      ["operations", "now"],
+      ["payments", "now"],
+    ]);
+
+    streams[1].options.onmessage(payment);
+    expect(first.onPayment).toHaveBeenCalledWith(
+      expect.objectContaining({ direction: "received", amount: "5.0000000", otherParty: other, memo: "rent" })
+    );
+    expect(second.onPayment).toHaveBeenCalledTimes(1);
+    expect(second.onOperation).not.toHaveBeenCalled();
+
+    unsubscribeFirst();
+    expect(streams.some((stream) => stream.closed)).toBe(false);
+    unsubscribeSecond();
+    expect(streams.every((stream) => stream.closed)).toBe(true);
+  });
+
+  it("reconnects with backoff from the last record received", () => {
+    vi.useFakeTimers();
+    const streams = mockStreams();
+    const onStatusChange = vi.fn();
+    const unsubscribe = subscribeToAccount(me, { onStatusChange });
+    // Live once both streams open, even before any record arrives
+    expect(onStatusChange).toHaveBeenLastCalledWith("live");
+    streams[1].options.onmessage(payment);
+
+    streams[1].options.onerror(new Error("connection lost"));
+    streams[1].options.onerror(new Error("connection lost"));
+    expect(onStatusChange).toHaveBeenLastCalledWith("reconnecting");
+    expect(streams[1].closed).toBe(true);
+
+    vi.advanceTimersByTime(999);
+    expect(streams).toHaveLength(2);
+    vi.advanceTimersByTime(1);
+    expect(streams).toHaveLength(3);
+    expect(streams[2]).toMatchObject({ endpoint: "payments", cursor: "token-10", closed: false });
+    expect(onStatusChange).toHaveBeenLastCalledWith("live");
+
+    // Failing again waits longer
+    streams[2].options.onerror(new Error("connection lost"));
+    vi.advanceTimersByTime(1000);
+    expect(streams).toHaveLength(3);
+    vi.advanceTimersByTime(1000);
+    expect(streams).toHaveLength(4);
+
+    unsubscribe();
+  });
+
+  it("isn't live while a stream fails to open", () => {
+    const streams = mockStreams(["payments"]);
+    const onStatusChange = vi.fn();
+    const unsubscribe = subscribeToAccount(me, { onStatusChange });
+
+    expect(onStatusChange.mock.calls.map(([status]) => status)).toEqual(["reconnecting"]);
+    expect(streams[1].closed).toBe(true);
+
+    unsubscribe();
+  });
+
+  it("stays reconnecting while either stream is down", () => {
+    const streams = mockStreams();
+    const onStatusChange = vi.fn();
+    const unsubscribe = subscribeToAccount(me, { onStatusChange });
+
+    streams[0].options.onerror(new Error("connection lost"));
+    streams[1].options.onmessage(payment);
+    expect(onStatusChange.mock.calls.map(([status]) => status)).toEqual(["live", "reconnecting"]);
+
+    // A later subscriber starts from the shared status
+    const late = vi.fn();
+    const unsubscribeLate = subscribeToAccount(me, { onStatusChange: late });
+    expect(late).toHaveBeenCalledWith("reconnecting");
+
+    unsubscribeLate();
+    unsubscribe();
+  });
+});
+
+describe("decodeTransactionResult", () => {
+  const result = (code: xdr.TransactionResultResult) =>
+    new xdr.TransactionResult({
+      feeCharged: xdr.Int64.fromString("200"),
+      result: code,
+      ext: xdr.TransactionResultExt.fromXDR("AAAAAA==", "base64"),
+    }).toXDR("base64");
+
+  it("reports Horizon-style codes for each operation", () => {
+    const decoded = decodeTransactionResult(
+      result(
+        xdr.TransactionResultResult.txFailed([
+          xdr.OperationResult.opInner(xdr.OperationResultTr.payment(xdr.PaymentResult.paymentSuccess())),
+          xdr.OperationResult.opInner(
+            xdr.OperationResultTr.createAccount(xdr.CreateAccountResult.createAccountLowReserve())
+          ),
+          xdr.OperationResult.opNoAccount(),
+        ])
+      )
+    );
+    expect(decoded).toEqual({
+      feeCharged: "200",
+      code: "tx_failed",
+      innerCode: null,
+      operationCodes: ["op_success", "op_low_reserve", "op_no_account"],
+    });
+  });
+
+  it("has no operation codes when the transaction was rejected outright", () => {
+    const decoded = decodeTransactionResult(result(xdr.TransactionResultResult.txBadSeq()));
+    expect(decoded.code).toBe("tx_bad_seq");
+    expect(decoded.operationCodes).toEqual([]);
+  });
+});
+
+describe("federation", () => {
+  const account = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+  const hashMemo = btoa(String.fromCharCode(...new Array(32).fill(0xab)));
+
+  // Local stand-in for a domain's stellar.toml and federation server
+  const users: Record<string, object> = {
+    "alice*localhost:8000": { account_id: account },
+    "bob*localhost:8000": { account_id: account, memo_type: "id", memo: 42 },
+    "carol*localhost:8000": { account_id: account, memo_type: "hash", memo: hashMemo },
+    "mallory*localhost:8000": { account_id: "GBAD" },
+  };
+
+  const standIn = () =>
+    vi.spyOn(globalThis, "fetch").mockImplementation(async (input) => {
+      const url = new URL(String(input));
+      if (url.pathname === "/.well-known/stellar.toml") {
+        return new Response('VERSION="2.0.0"\nFEDERATION_SERVER="http://localhost:8000/federation"\n');
+      }
+      const user = users[url.searchParams.get("q") ?? ""];
+      return user
+        ? new Response(JSON.stringify({ stellar_address: url.searchParams.get("q"), ...user }))
+        : new Response(JSON.stringify({ detail: "not found" }), { status: 404 });
+    });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("recognises name*domain addresses", () => {
+    expect(isFederationAddress("alice*example.com")).toBe(true);
+    expect(isFederationAddress("alice@mail.com*example.com")).toBe(true);
+    expect(isFederationAddress("alice*localhost:8000")).toBe(true);
+    expect(isFederationAddress(account)).toBe(false);
+    expect(isFederationAddress("alice*")).toBe(false);
+    expect(isFederationAddress("a*b*example.com")).toBe(false);
+  });
+
+  it("resolves through the server advertised in stellar.toml", async () => {
+    const fetchSpy = standIn();
+
+    expect(await resolveFederationAddress("alice*localhost:8000")).toEqual({
+      address: "alice*localhost:8000",
+      accountId: account,
+      memoType: "none",
+      memo: null,
+    });
+    expect(String(fetchSpy.mock.calls[0][0])).toBe("http://localhost:8000/.well-known/stellar.toml");
+    expect(String(fetchSpy.mock.calls[1][0])).toBe(
+      "http://localhost:8000/federation?q=alice*localhost%3A8000&type=name"
+    );
+
+    // Cached for the rest of the session
+    await resolveFederationAddress("alice*localhost:8000");
+    expect(fetchSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it("returns the memo the recipient requires, hash memos as hex", async () => {
+    standIn();
+
+    expect(await resolveFederationAddress("bob*localhost:8000")).toMatchObject({ memoType: "id", memo: "42" });
+    expect(await resolveFederationAddress("carol*localhost:8000")).toMatchObject({
+      memoType: "hash",
+      memo: "ab".repeat(32),
+    });
+  });
+
+  it("reports unknown names and invalid answers", async () => {
+    standIn();
+
+    await expect(resolveFederationAddress("nobody*localhost:8000")).rejects.toThrow("was not found");
+    await expect(resolveFederationAddress("mallory*localhost:8000")).rejects.toThrow("invalid account ID");
+  });
+
+  it("requires https for public domains", async () => {
+    vi.spyOn(globalThis, "fetch").mockImplementation(
+      async () => new Response('FEDERATION_SERVER="http://example.com/federation"')
+    );
+
+    await expect(resolveFederationAddress("alice*example.com")).rejects.toThrow("insecure federation server");
+  });
+});
+
+describe("muxed accounts", () => {
+  const me = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+  const other = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+  const muxed = new MuxedAccount(new Account(other, "1"), "42").accountId();
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("splits an M-address into its base account and ID", () => {
+    expect(parseMuxedAddress(muxed)).toEqual({ baseAddress: other, id: "42" });
+    expect(parseMuxedAddress(other)).toBeNull();
+    expect(isValidDestination(muxed)).toBe(true);
+    expect(isValidDestination("MABC")).toBe(false);
+  });
+
+  it("shows the base account and ID when shortening", () => {
+    expect(shortenAddress(other)).toBe("GCEZ...74JZ");
+    expect(shortenAddress(muxed)).toBe("GCEZ...74JZ #42");
+  });
+
+  it("pays a muxed destination through its base account", async () => {
+    const loadAccount = vi.spyOn(server, "loadAccount").mockImplementation(async (id: string) =>
+      id === me ? (new Account(me, "1") as never) : ({ account_id: other, balances: [] } as never)
+    );
+
+    const xdrString = await buildPaymentTransaction(me, muxed, "5");
+    const transaction = TransactionBuilder.fromXDR(xdrString, Networks.TESTNET);
+
+    expect(loadAccount).toHaveBeenCalledWith(other);
+    expect(transaction.operations[0]).toMatchObject({ type: "payment", destination: muxed });
+  });
+
+  it("can't create a muxed account's base account", async () => {
+    vi.spyOn(server, "loadAccount").mockImplementation(async (id: string) => {
+      if (id === me) return new Account(me, "1") as never;
+      throw Object.assign(new Error("Not Found"), { response: { status: 404 } });
+    });
+
+    await expect(buildPaymentTransaction(me, muxed, "5")).rejects.toThrow("base account does not exist");
+  });
+});
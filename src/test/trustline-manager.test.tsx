@@ -0,0 +1,61 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { render, screen, fireEvent, waitFor, cleanup } from "@testing-library/react";
+import { server } from "@/stellar/stellarClient";
+import { setSigner, SIGNERS } from "@/stellar/signers";
+import TrustlineManager from "@/components/TrustlineManager";
+import { createMockSigner, mockAccounts, mockBaseReserve } from "@/test/fixtures";
+
+const me = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+const issuer = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+/**
+ * Enters an asset as CODE:ISSUER and adds it
+ */
+async function addTrustline() {
+  render(<TrustlineManager publicKey={me} />);
+  fireEvent.change(screen.getByLabelText("Asset"), { target: { value: `USDC:${issuer}` } });
+  fireEvent.click(screen.getByRole("button", { name: /add/i }));
+}
+
+describe("trustlines", () => {
+  let submit: ReturnType<typeof vi.spyOn>;
+
+  beforeEach(() => {
+    mockBaseReserve();
+    submit = vi.spyOn(server, "submitTransaction").mockResolvedValue({ hash: "abc123" } as never);
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.restoreAllMocks();
+    setSigner(SIGNERS[0]);
+  });
+
+  it("reviews a new trustline before signing it", async () => {
+    mockAccounts([{ asset_type: "native", balance: "10.0000000" }]);
+    const signer = createMockSigner(me);
+    setSigner(signer);
+
+    await addTrustline();
+
+    expect(await screen.findByText("Change Trust")).toBeInTheDocument();
+    expect(screen.getByText("Maximum")).toBeInTheDocument();
+    expect(signer.signTransaction).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByRole("button", { name: "Confirm & Sign" }));
+    await waitFor(() => expect(submit).toHaveBeenCalledTimes(1));
+  });
+
+  it("stops when the account can't cover the extra reserve and fee", async () => {
+    // 1 XLM minimum balance + 0.5 XLM reserve, short by the fee
+    mockAccounts([{ asset_type: "native", balance: "1.5000000" }]);
+    const signer = createMockSigner(me);
+    setSigner(signer);
+
+    await addTrustline();
+
+    expect(await screen.findByText(/Not enough XLM to add a trustline/)).toBeInTheDocument();
+    expect(screen.queryByText("Change Trust")).toBeNull();
+    expect(submit).not.toHaveBeenCalled();
+  });
+});
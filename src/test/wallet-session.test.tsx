@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { render, screen, cleanup, fireEvent } from "@testing-library/react";
+import { MemoryRouter, Routes, Route } from "react-router-dom";
+import { Networks } from "@stellar/stellar-sdk";
+import { getNetworkProfile, setNetwork } from "@/stellar/stellarClient";
+import { setSigner, SIGNERS } from "@/stellar/signers";
+import {
+  getSession,
+  getSessionStatus,
+  startSession,
+  startWatchSession,
+  endSession,
+  applyWalletChange,
+} from "@/lib/wallet-session";
+import RequireSession from "@/components/RequireSession";
+import WatchAccount from "@/pages/WatchAccount";
+import Connect from "@/pages/Connect";
+
+const me = "GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5";
+const other = "GCEZWKCA5VLDNRLN3RPRJMRZOX3Z6G5CHCGSNFHEYVXM3XOJMDS674JZ";
+
+describe("wallet session", () => {
+  beforeEach(async () => {
+    await endSession();
+  });
+
+  afterEach(() => {
+    cleanup();
+    setNetwork("testnet");
+    setSigner(SIGNERS[0]);
+    localStorage.clear();
+  });
+
+  it("persists the connected account and forgets it on disconnect", async () => {
+    startSession(me);
+    expect(getSession().publicKey).toBe(me);
+    expect(localStorage.getItem("stellar_public_key")).toBe(me);
+
+    await endSession();
+    expect(getSession().publicKey).toBeNull();
+    expect(localStorage.getItem("stellar_public_key")).toBeNull();
+  });
+
+  it("ends the wallet's own session on disconnect", async () => {
+    const disconnect = vi.fn(async () => {});
+    setSigner({ ...SIGNERS[0], disconnect });
+    startSession(me);
+
+    await endSession();
+    expect(disconnect).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports a wallet on another network", () => {
+    const session = { publicKey: me, walletNetworkPassphrase: null, watchOnly: false };
+    expect(getSessionStatus({ ...session, publicKey: null }, Networks.TESTNET)).toBe("disconnected");
+    expect(getSessionStatus(session, Networks.TESTNET)).toBe("connected");
+    expect(getSessionStatus({ ...session, walletNetworkPassphrase: Networks.PUBLIC }, Networks.TESTNET)).toBe(
+      "wrong-network"
+    );
+  });
+
+  it("follows an account switch inside the wallet", () => {
+    startSession(me, Networks.TESTNET);
+
+    expect(applyWalletChange({ publicKey: other, networkPassphrase: Networks.TESTNET })).toEqual({
+      accountChanged: true,
+      network: null,
+    });
+    expect(getSession().publicKey).toBe(other);
+
+    // A locked wallet reports no account
+    expect(applyWalletChange({ publicKey: null, networkPassphrase: Networks.TESTNET }).accountChanged).toBe(false);
+    expect(getSession().publicKey).toBe(other);
+  });
+
+  it("follows a network switch inside the wallet", () => {
+    startSession(me, Networks.TESTNET);
+
+    const { network } = applyWalletChange({ publicKey: me, networkPassphrase: Networks.PUBLIC });
+    expect(network?.id).toBe("mainnet");
+    expect(getNetworkProfile().id).toBe("mainnet");
+    expect(getSessionStatus(getSession(), getNetworkProfile().networkPassphrase)).toBe("connected");
+
+    applyWalletChange({ publicKey: me, networkPassphrase: "Private Network ; 2024" });
+    expect(getNetworkProfile().id).toBe("mainnet");
+    expect(getSessionStatus(getSession(), getNetworkProfile().networkPassphrase)).toBe("wrong-network");
+  });
+
+  it("watches an account read-only without a wallet", async () => {
+    const disconnect = vi.fn(async () => {});
+    setSigner({ ...SIGNERS[0], disconnect });
+
+    expect(() => startWatchSession("GNOTANADDRESS")).toThrow("valid Stellar account address");
+    startWatchSession(` ${other} `);
+    expect(getSession()).toMatchObject({ publicKey: other, watchOnly: true });
+    expect(localStorage.getItem("stellar_watch_only")).toBe("true");
+    expect(getSessionStatus(getSession(), Networks.TESTNET)).toBe("watch-only");
+
+    // There's no wallet to follow or to disconnect
+    expect(applyWalletChange({ publicKey: me, networkPassphrase: Networks.PUBLIC }).accountChanged).toBe(false);
+    expect(getSession().publicKey).toBe(other);
+
+    await endSession();
+    expect(disconnect).not.toHaveBeenCalled();
+    expect(localStorage.getItem("stellar_watch_only")).toBeNull();
+  });
+
+  it("ignores wallet changes without a session", () => {
+    applyWalletChange({ publicKey: other, networkPassphrase: Networks.PUBLIC });
+    expect(getSession().publicKey).toBeNull();
+    expect(getNetworkProfile().id).toBe("testnet");
+  });
+});
+
+describe("RequireSession", () => {
+  const renderAt = (path: string) =>
+    render(
+      <MemoryRouter initialEntries={[path]}>
+        <Routes>
+          <Route path="/connect" element={<p>Connect page</p>} />
+          <Route
+            path="/dashboard"
+            element={
+              <RequireSession>
+                <p>Dashboard page</p>
+              </RequireSession>
+            }
+          />
+        </Routes>
+      </MemoryRouter>
+    );
+
+  afterEach(async () => {
+    cleanup();
+    await endSession();
+  });
+
+  it("redirects to /connect without a session", () => {
+    renderAt("/dashboard");
+    expect(screen.getByText("Connect page")).toBeInTheDocument();
+  });
+
+  it("renders the page with a session", () => {
+    startSession(me);
+    renderAt("/dashboard");
+    expect(screen.getByText("Dashboard page")).toBeInTheDocument();
+  });
+});
+
+describe("watching from a link", () => {
+  const renderAt = (path: string) =>
+    render(
+      <MemoryRouter initialEntries={[path]}>
+        <Routes>
+          <Route path="/account/:publicKey" element={<WatchAccount />} />
+          <Route path="/connect" element={<Connect />} />
+          <Route path="/dashboard" element={<p>Dashboard page</p>} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+  afterEach(async () => {
+    cleanup();
+    vi.restoreAllMocks();
+    await endSession();
+    localStorage.clear();
+  });
+
+  it("watches the account without a session", async () => {
+    renderAt(`/account/${other}`);
+    expect(await screen.findByText("Dashboard page")).toBeInTheDocument();
+    expect(getSession()).toMatchObject({ publicKey: other, watchOnly: true });
+  });
+
+  it("asks before replacing a wallet session", async () => {
+    startSession(me);
+    renderAt(`/account/${other}`);
+
+    expect(screen.getByRole("button", { name: "Stay connected" })).toBeInTheDocument();
+    expect(getSession()).toMatchObject({ publicKey: me, watchOnly: false });
+
+    fireEvent.click(screen.getByRole("button", { name: /watch account/i }));
+    expect(await screen.findByText("Dashboard page")).toBeInTheDocument();
+    expect(getSession()).toMatchObject({ publicKey: other, watchOnly: true });
+  });
+
+  it("keeps a watch session on the connect page", async () => {
+    const [wallet] = SIGNERS;
+    setSigner(wallet);
+    vi.spyOn(wallet, "isAvailable").mockResolvedValue(true);
+    const getPublicKey = vi.spyOn(wallet, "getPublicKey").mockResolvedValue(me);
+    startWatchSession(other);
+
+    renderAt("/connect");
+
+    expect(await screen.findByRole("button", { name: wallet.name })).toBeInTheDocument();
+    expect(screen.queryByText("Connected")).toBeNull();
+    expect(getPublicKey).not.toHaveBeenCalled();
+    expect(getSession()).toMatchObject({ publicKey: other, watchOnly: true });
+  });
+});